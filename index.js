@@ -14,148 +14,465 @@
 
 // ---------------------------------------------------------------------------------------- //
 
-import {FilesetResolver, LlmInference} from 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-genai';
+import {registerServiceWorker, getOfflineStatus} from './js/offline.js';
+import {downloadModel, isModelStored} from './js/model-store.js';
+import {renderMarkdown, createMarkdownStream} from './js/markdown.js';
+import {buildPrompt, buildSummaryPrompt, buildTaskPrompt} from './js/prompt.js';
+import {createDeviceBackend, createServerBackend, normalizeServerUrl} from './js/inference.js';
+import {
+  chooseModels,
+  classifyLoadError,
+  detectCapabilities,
+  deviceErrorFix,
+  loadModelManifest,
+  modelLabel,
+  shouldTryNextModel
+} from './js/device.js';
+import {
+  buildReport,
+  captureErrors,
+  clearDiagnostics,
+  getDiagnostics,
+  memoryUsage,
+  recordAnswer,
+  recordModelLoad,
+  reportFileName,
+  summarizeAnswers
+} from './js/diagnostics.js';
+import {
+  couldBeToolCall,
+  loadAgronomy,
+  offersTools,
+  parseToolCall,
+  runTool,
+  toolPrompt,
+  toolResultNote
+} from './js/agronomy.js';
+import {
+  createConversation,
+  deleteArchivedConversation,
+  deleteConversation,
+  dropEmptyVersion,
+  forkConversation,
+  generateTitle,
+  getVersions,
+  hasUserMessages,
+  loadArchivedConversations,
+  restoreArchivedConversation,
+  saveConversation,
+  searchConversations,
+  sortConversations,
+  switchVersion
+} from './js/conversations.js';
+import {
+  canShare,
+  conversationsToMarkdown,
+  downloadFile,
+  exportConversationsJson,
+  exportFileName,
+  mergeConversations,
+  parseConversationsJson,
+  printConversations,
+  printHtml,
+  shareConversation
+} from './js/export.js';
+import {
+  fetchCatalog,
+  findReferences,
+  installPack,
+  installPackFromUrl,
+  listInstalledPacks,
+  removePack
+} from './js/knowledge.js';
+import {
+  getInterfaceLanguages,
+  getLanguage,
+  getLanguageInfo,
+  languageInstruction,
+  LANGUAGES,
+  plural,
+  setLanguage,
+  t,
+  translatePage
+} from './js/i18n.js';
+import {
+  loadSettings,
+  MAX_TOKEN_CHOICES,
+  resetGenerationSettings,
+  resolveGenerationOptions,
+  saveSettings,
+  validateGenerationParams
+} from './js/settings.js';
+import {
+  buildModeRegistry,
+  createModeId,
+  exportModesJson,
+  loadBuiltInModes,
+  loadCustomModes,
+  modeFileName,
+  parseModesJson,
+  saveCustomModes,
+  shareMode,
+  validateMode
+} from './js/modes.js';
+import {
+  createEmergencyMessage,
+  emergencyPromptNote,
+  findEmergency,
+  loadEmergencyRules,
+  localizeCard
+} from './js/emergency.js';
+import {
+  cleanPolished,
+  coverLetterToPrintableHtml,
+  createCv,
+  CV_MODES,
+  CV_STEPS,
+  CV_TEMPLATES,
+  cvTitle,
+  cvToPrintableHtml,
+  ENTRY_FIELDS,
+  loadCvs,
+  normalizeCv,
+  polishRequest,
+  saveCvs
+} from './js/cv.js';
+import {
+  dueReviews,
+  EXAMS,
+  isCorrect,
+  loadProgress,
+  parseQuiz,
+  QUIZ_MODES,
+  quizRequest,
+  recordQuiz,
+  SUBJECTS,
+  subjectLabel,
+  subjectSummary
+} from './js/quiz.js';
+import {classifyQuestion, modeChoicePrompt, parseModeChoice} from './js/routing.js';
+import {INJECTION_NOTE, checkAnswer, createAnswerFilter, loadSafetyRules, screenQuestion} from './js/safety.js';
+import {
+  chooseVoice,
+  createSpeaker,
+  isRecognitionSupported,
+  isSynthesisSupported,
+  listVoices,
+  startRecognition,
+  voiceLabel,
+  voicesFor
+} from './js/speech.js';
+import {
+  ARCHIVE_AFTER_DAYS,
+  estimateStorage,
+  freeUpSpace,
+  isQuotaError,
+  isStorageLow,
+  isStoragePersisted,
+  loadStoredConversations,
+  requestPersistentStorage,
+  runMigrations
+} from './js/storage.js';
 
 // DOM Elements
 const userInput = document.getElementById('user-input');
 const sendButton = document.getElementById('send-btn');
+const stopButton = document.getElementById('stop-btn');
+const micButton = document.getElementById('mic-btn');
+const speechControls = document.getElementById('speech-controls');
+const speechPauseButton = document.getElementById('speech-pause');
+const speechStopButton = document.getElementById('speech-stop');
 const chatMessages = document.getElementById('chat-messages');
 const clearChatButton = document.getElementById('clear-chat');
-const modeButtons = document.querySelectorAll('.mode-btn');
+const modeSelector = document.getElementById('mode-selector');
+const modeNotice = document.getElementById('mode-notice');
+const backendNotice = document.getElementById('backend-notice');
+const storageNotice = document.getElementById('storage-notice');
 const currentModeIcon = document.getElementById('current-mode-icon');
 const currentModeTitle = document.getElementById('current-mode-title');
 const currentModeDescription = document.getElementById('current-mode-description');
 
+// Language elements
+const languageSelect = document.getElementById('language-select');
+const answerLanguageSelect = document.getElementById('answer-language');
+
+// Conversation sidebar elements
+const conversationSidebar = document.getElementById('conversation-sidebar');
+const sidebarToggleButton = document.getElementById('toggle-sidebar');
+const newChatButton = document.getElementById('new-chat');
+const conversationSearch = document.getElementById('conversation-search');
+const conversationList = document.getElementById('conversation-list');
+
+// Saved data elements
+const storageButton = document.getElementById('open-storage');
+const storageDialog = document.getElementById('storage-dialog');
+const closeStorageButton = document.getElementById('close-storage');
+const storageStatus = document.getElementById('storage-status');
+const archiveList = document.getElementById('archive-list');
+const archiveOldButton = document.getElementById('archive-old');
+
+// Diagnostics elements
+const diagnosticsButton = document.getElementById('open-diagnostics');
+const diagnosticsDialog = document.getElementById('diagnostics-dialog');
+const closeDiagnosticsButton = document.getElementById('close-diagnostics');
+const diagnosticsSummary = document.getElementById('diagnostics-summary');
+const errorLog = document.getElementById('error-log');
+const saveDiagnosticsButton = document.getElementById('save-diagnostics');
+const clearDiagnosticsButton = document.getElementById('clear-diagnostics');
+
+// Export and import elements
+const exportButton = document.getElementById('export-chat');
+const exportMenu = document.getElementById('export-menu');
+const importButton = document.getElementById('import-chats');
+const importInput = document.getElementById('import-input');
+
+// Custom mode editor elements
+const modeDialog = document.getElementById('mode-dialog');
+const closeModesButton = document.getElementById('close-modes');
+const modeListView = document.getElementById('mode-list-view');
+const customModeList = document.getElementById('custom-mode-list');
+const newModeButton = document.getElementById('new-mode');
+const importModesButton = document.getElementById('import-modes');
+const modeInput = document.getElementById('mode-input');
+const modeForm = document.getElementById('mode-form');
+const modeFormError = document.getElementById('mode-form-error');
+const cancelModeButton = document.getElementById('cancel-mode');
+
+// Settings elements
+const settingsButton = document.getElementById('open-settings');
+const settingsDialog = document.getElementById('settings-dialog');
+const closeSettingsButton = document.getElementById('close-settings');
+const settingsForm = document.getElementById('settings-form');
+const settingsModeHeading = document.getElementById('settings-mode-heading');
+const settingsEffective = document.getElementById('settings-effective');
+const settingsError = document.getElementById('settings-error');
+const resetSettingsButton = document.getElementById('reset-settings');
+const voiceSettings = document.getElementById('voice-settings');
+const voiceChoices = document.getElementById('voice-choices');
+
+// Knowledge pack elements
+const knowledgeButton = document.getElementById('open-knowledge');
+const knowledgeDialog = document.getElementById('knowledge-dialog');
+const knowledgeList = document.getElementById('knowledge-list');
+const closeKnowledgeButton = document.getElementById('close-knowledge');
+const installPackFileButton = document.getElementById('install-pack-file');
+const packInput = document.getElementById('pack-input');
+
+// Farm tools elements
+const farmToolsButton = document.getElementById('open-farm-tools');
+const farmToolsDialog = document.getElementById('farm-tools-dialog');
+const closeFarmToolsButton = document.getElementById('close-farm-tools');
+const farmToolsForm = document.getElementById('farm-tools-form');
+const farmToolsError = document.getElementById('farm-tools-error');
+const farmToolsResult = document.getElementById('farm-tools-result');
+const insertFarmResultButton = document.getElementById('insert-farm-result');
+
+// Quiz elements
+const quizButton = document.getElementById('open-quiz');
+const quizDialog = document.getElementById('quiz-dialog');
+const closeQuizButton = document.getElementById('close-quiz');
+const quizForm = document.getElementById('quiz-form');
+const quizError = document.getElementById('quiz-error');
+const reviewQuizButton = document.getElementById('review-quiz');
+const quizProgressList = document.getElementById('quiz-progress');
+const quizWorking = document.getElementById('quiz-working');
+const quizStatus = document.getElementById('quiz-status');
+const cancelQuizButton = document.getElementById('cancel-quiz');
+const quizQuestionsForm = document.getElementById('quiz-questions-form');
+const quizHeading = document.getElementById('quiz-heading');
+const quizQuestionsList = document.getElementById('quiz-questions');
+const quizScore = document.getElementById('quiz-score');
+const checkQuizButton = document.getElementById('check-quiz');
+const newQuizButton = document.getElementById('new-quiz');
+
+// CV builder elements
+const cvButton = document.getElementById('open-cv');
+const cvDialog = document.getElementById('cv-dialog');
+const closeCvButton = document.getElementById('close-cv');
+const cvListView = document.getElementById('cv-list-view');
+const cvList = document.getElementById('cv-list');
+const newCvButton = document.getElementById('new-cv');
+const cvForm = document.getElementById('cv-form');
+const cvStepTitle = document.getElementById('cv-step-title');
+const cvError = document.getElementById('cv-error');
+const cvBackButton = document.getElementById('cv-back');
+const cvNextButton = document.getElementById('cv-next');
+const cvDoneButton = document.getElementById('cv-done');
+const printCvButton = document.getElementById('print-cv');
+const printLetterButton = document.getElementById('print-letter');
+
 // Landing page elements
 const landingPage = document.getElementById('landing-page');
 const loadingBar = document.getElementById('loading-bar');
 const loadingText = document.getElementById('loading-text');
+const offlineStatus = document.getElementById('offline-status');
+const downloadToggleButton = document.getElementById('download-toggle');
+const loadError = document.getElementById('load-error');
+const loadErrorHelp = document.getElementById('load-error-help');
+const retryLoadButton = document.getElementById('retry-load');
+const loadErrorSettingsButton = document.getElementById('load-error-settings');
+const loadErrorServerButton = document.getElementById('load-error-server');
 
 // Configuration
-const modelFileName = 'gemma3-1b-it-int4.task';
-const LOCAL_STORAGE_KEY = 'geniGuideSL_history';
-
-// Efficient markdown parser with streaming support
-const markdownParser = {
-  parse: function(text) {
-    // Process the text in a single pass for better performance
-    return text
-      // Convert bold text
-      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-      
-      // Convert italic text
-      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-      
-      // Convert inline code
-      .replace(/`([^`]+)`/g, '<code>$1</code>')
-      
-      // Convert bullet lists (simple implementation)
-      .replace(/^\s*[-*]\s+(.+)$/gm, '<li>$1</li>')
-      
-      // Convert line breaks
-      .replace(/\n/g, '<br>');
-  }
-};
+const wasmBasePath = './vendor/tasks-genai/wasm';
+const ACTIVE_CONVERSATIONS_KEY = 'geniGuideSL_activeConversations';
+// How often saving a chat also checks how much storage is left
+const STORAGE_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MODE = 'study';
+
+// Token budget: maxTokens (from the settings) covers the prompt and the reply together
+const RESPONSE_TOKEN_RESERVE = 512;
+
+// How many times the model may write a quiz before giving up, and how many
+// due questions one review covers
+const QUIZ_ATTEMPTS = 3;
+const REVIEW_QUIZ_SIZE = 10;
 
 // Application state
-let llmInference;
-let currentMode = 'study';
+// The inference backend answering questions, once it is ready
+let backend = null;
+
+// Whether the model loaded on this device was checked against its checksum
+let deviceModelVerified = true;
+// The model variants from data/models.json, and the one running on this
+// device (null while answers come from a server)
+let modelManifest = [];
+let deviceModel = null;
+let currentMode = DEFAULT_MODE;
 let isGenerating = false;
-let chatHistory = {};
-
-// Mode definitions
-const modes = {
-  study: {
-    icon: '🧑🏽‍🏫',
-    title: 'Study Mode',
-    description: 'Ask questions about school subjects, get explanations on difficult topics, and receive help with homework.',
-    systemPrompt: 'You are an educational assistant helping students in Sierra Leone. Provide clear, simple explanations for academic topics. Focus on being helpful for primary and secondary school subjects. Keep explanations concise and easy to understand, using simple language.'
-  },
-  farming: {
-    icon: '🌾',
-    title: 'Farming Mode',
-    description: 'Get advice on farming techniques, crop disease identification, and weather planning tips.',
-    systemPrompt: 'You are a farming advisor for people in Sierra Leone. Provide practical advice on farming techniques suitable for West African climate and soil conditions. Help with crop disease identification, sustainable farming practices, and seasonal planning.'
-  },
-  health: {
-    icon: '🏥',
-    title: 'Health Mode',
-    description: 'Learn about first-aid, common symptoms, and hygiene education. Not for medical diagnosis.',
-    systemPrompt: 'You are a health education assistant for people in Sierra Leone. Provide information about first aid, hygiene practices, and general wellness. DO NOT provide medical diagnosis or prescribe treatments. Always advise seeking professional medical help for health concerns.'
-  },
-  law: {
-    icon: '⚖️',
-    title: 'Law Mode',
-    description: 'Understand basic rights in labor, land, and family law applicable in Sierra Leone.',
-    systemPrompt: 'You are a basic legal information provider for people in Sierra Leone. Help users understand their basic rights regarding labor laws, land ownership, and family law. Provide general information about legal processes and rights.'
-  },
-  career: {
-    icon: '💼',
-    title: 'Career Guide',
-    description: 'Get CV tips, job preparation advice, entrepreneurship ideas, and application guidance.',
-    systemPrompt: 'You are a career advisor for people in Sierra Leone. Provide practical advice on resume writing, job interview preparation, small business ideas, and educational opportunities. Focus on skills development and local job market insights.'
-  }
-};
+let activeGeneration = null;
+const messageQueue = [];
+let settings = loadSettings();
+let conversations = {};
+let activeConversationIds = {};
+let summaryTask = null;
+// When storage was last checked, and the clean-up under way ({archived,
+// pruned} once done), if any
+let lastStorageCheck = 0;
+let freeingStorage = null;
+let modelDownloadController = null;
+let resumeModelDownload = null;
+let editingModeId = null;
+
+// Mode registry: the built-in modes from data/modes.json plus the user's
+// custom modes, keyed by id in display order
+let modes = {};
+let builtInModes = [];
+let customModes = [];
+let modeLoadProblem = '';
+
+// First-aid rules for emergency questions, or null until (or unless) loaded
+let emergencyRules = null;
+
+// Blocked content, disclaimers and referrals for answers, and patterns for
+// questions that try to change the model's role, or null until (or unless)
+// loaded
+let safetyRules = null;
+
+// Crop calendars and farming calculators, or null until (or unless) loaded,
+// and the last result worked out in the farm tools panel
+let agronomy = null;
+let farmToolResult = null;
+
+// A one-off request to the model outside the chat ({kind, stopped}), such
+// as writing a quiz, and the quiz on screen ({exam, subject, topic, type,
+// questions, review, checked}), if any
+let modelTask = null;
+let quiz = null;
+
+// The CV open in the builder, the step shown, and the button of the section
+// being polished
+let editingCv = null;
+let cvStep = 0;
+let cvPolishButton = null;
+
+// The answer being read aloud (see createSpeaker), and the dictation under
+// way ({stop}), if any
+let speaker = null;
+let recognition = null;
 
 /**
  * Initialize the application
  */
 async function initApp() {
+  // Keep errors for the diagnostics panel from the start
+  captureErrors();
+  
   // Make sure landing page is visible first
   landingPage.style.opacity = '1';
   landingPage.classList.remove('hidden');
   
+  // Show the interface in the user's language before anything else
+  await applyLanguage(settings.language);
+  
+  // Voice input and reading aloud are only offered where the browser has them
+  micButton.classList.toggle('hidden', !isRecognitionSupported());
+  voiceSettings.classList.toggle('hidden', !isSynthesisSupported());
+  
   // Reset loading bar
   loadingBar.style.width = '0%';
-  loadingText.textContent = 'Starting up...';
+  loadingText.textContent = t('loading.startingUp');
+  
+  // Cache the app for offline use and report whether it is already available
+  registerServiceWorker().then(updateOfflineStatus);
+  
+  // Load the emergency rules in the background; questions asked before they
+  // arrive simply go to the model
+  loadEmergencyRules().then(rules => {
+    emergencyRules = rules;
+  });
   
-  // Load chat history from localStorage
-  loadChatHistory();
+  // Likewise the safety rules; answers are kept as written until they arrive
+  loadSafetyRules().then(rules => {
+    safetyRules = rules;
+  });
+  
+  // Likewise the farming tools, which the panel button waits for
+  loadAgronomy().then(data => {
+    agronomy = data;
+    showModeTools();
+  });
+  
+  // Load the modes and saved conversations
+  await loadModeRegistry();
+  await loadChatHistory();
+  watchStorage();
   
   // Initialize the current mode
+  if (!modes[currentMode]) {
+    currentMode = defaultMode();
+  }
   updateModeUI(currentMode);
+  ensureActiveConversation(currentMode);
   
   // Display chat history for current mode
   displayChatHistory();
+  renderConversationList();
   
-  // Initialize the LLM model
+  await startModel();
+}
+
+/**
+ * Start the LLM: on the inference server if one is set up and can be
+ * reached, otherwise on this device. If it cannot be started, the landing
+ * page says why and offers to try again.
+ */
+async function startModel() {
   try {
     // Update loading text
-    loadingText.textContent = 'Initializing AI environment...';
+    loadingText.textContent = t('loading.initializing');
     updateLoadingProgress(10);
     
-    const genaiFileset = await FilesetResolver.forGenAiTasks(
-      'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-genai/wasm');
-    
-    // Update loading progress
-    loadingText.textContent = 'Preparing AI model...';
-    updateLoadingProgress(30);
-    
-    // Initialize chat history for all modes if they don't exist
-    Object.keys(modes).forEach(mode => {
-      if (!chatHistory[mode]) {
-        chatHistory[mode] = [];
-      }
-    });
-    
-    // Create welcome message for current mode if it's empty
-    if (!chatHistory[currentMode] || chatHistory[currentMode].length === 0) {
-      addAssistantMessage(`Welcome to ${modes[currentMode].title}! I'm here to help you with ${modes[currentMode].description.toLowerCase().split('.')[0]}. What would you like to know?`);
+    modelManifest = await loadModelManifest();
+    if (settings.backend === 'server') {
+      backend = await connectToServer();
+    }
+    if (!backend) {
+      backend = await loadDeviceModel();
     }
-    
-    // Update loading text
-    loadingText.textContent = 'Loading Gemma AI model... This may take a moment.';
-    updateLoadingProgress(50);
-    
-    // Initialize LLM with options
-    llmInference = await LlmInference.createFromOptions(genaiFileset, {
-      baseOptions: {modelAssetPath: modelFileName},
-      maxTokens: 2048,  // Increased token limit for more comprehensive responses
-      temperature: 0.7,  // Slightly reduced temperature for more focused responses
-    });
     
     // Update loading progress
-    loadingText.textContent = 'Almost ready...';
+    loadingText.textContent = t('loading.almostReady');
     updateLoadingProgress(90);
     
     // Short delay to ensure UI is ready
@@ -163,7 +480,12 @@ async function initApp() {
     
     // Final loading progress
     updateLoadingProgress(100);
-    loadingText.textContent = 'Ready!';
+    loadingText.textContent = t('loading.ready');
+    
+    // The model is now stored locally, so refresh the offline indicator and
+    // ask the browser not to clear it (or the chats) when space runs short
+    updateOfflineStatus();
+    requestPersistentStorage();
     
     // Hide landing page with a smooth transition
     setTimeout(() => {
@@ -180,15 +502,287 @@ async function initApp() {
     }, 800);
     
     // Enable input once model is loaded
-    sendButton.disabled = false;
-    sendButton.textContent = 'Send';
-    userInput.disabled = false;
+    sendButton.textContent = t('chat.send');
+    updateInputState();
   } catch (error) {
     console.error('Error initializing model:', error);
-    loadingText.textContent = 'Error loading model. Please refresh the page and try again.';
-    updateLoadingProgress(100, true); // Show error state in loading bar
-    addAssistantMessage('Sorry, there was an error loading the AI model. Please refresh the page and try again.');
+    showLoadError(error);
+  }
+}
+
+/**
+ * Say on the landing page why the model could not be started and what to
+ * do about it, with buttons to try again or change the settings. A device
+ * without WebGPU cannot run the model at all, so it is offered a server.
+ */
+function showLoadError(error) {
+  loadingText.textContent = t('loading.failed', {error: error.message});
+  loadErrorHelp.textContent = deviceErrorFix(error);
+  loadErrorServerButton.classList.toggle('hidden', error.code !== 'no-webgpu');
+  loadError.classList.remove('hidden');
+  downloadToggleButton.classList.add('hidden');
+  updateLoadingProgress(100, true); // Show error state in loading bar
+}
+
+/**
+ * Clear the error state from the landing page and start the model again
+ */
+function retryStartModel() {
+  loadError.classList.add('hidden');
+  loadingBar.style.backgroundColor = '';
+  document.querySelectorAll('.loader-circle').forEach(circle => {
+    circle.style.backgroundColor = '';
+    circle.style.animationPlayState = '';
+  });
+  startModel();
+}
+
+/**
+ * Connect to the inference server from the settings. Resolves to null, with
+ * a notice, if it cannot be reached, so the on-device model is used instead.
+ */
+async function connectToServer() {
+  loadingText.textContent = t('loading.connecting', {url: settings.serverUrl});
+  updateLoadingProgress(30);
+  
+  try {
+    const server = createServerBackend({url: settings.serverUrl, model: settings.serverModel});
+    await loadBackend(server);
+    showBackendNotice(t('backend.usingServer', {url: server.url}));
+    return server;
+  } catch (error) {
+    console.error('Error connecting to inference server:', error);
+    showBackendNotice(t('backend.serverUnreachable', {url: settings.serverUrl}));
+    return null;
+  }
+}
+
+/**
+ * Check what this device can run, then download (if needed) and load the
+ * best model variant for it. When a variant fails in a way another may not
+ * (out of memory, GPU trouble, file missing), the next one is tried.
+ * Throws a device error saying what went wrong.
+ */
+async function loadDeviceModel() {
+  loadingText.textContent = t('loading.checkingDevice');
+  updateLoadingProgress(20);
+  const capabilities = await detectCapabilities();
+  const candidates = chooseModels(modelManifest, capabilities, {
+    preferred: settings.deviceModel,
+    stored: await storedModelFiles()
+  });
+  
+  let lastError = null;
+  for (const model of candidates) {
+    try {
+      const device = await loadModelVariant(model);
+      deviceModel = model;
+      
+      // Say so when the device could not run the model it would normally use,
+      // and when there was no checksum to check the download against
+      const expected = modelManifest.find(entry => entry.id === settings.deviceModel) || modelManifest[0];
+      const notices = [];
+      if (model.id !== expected.id) {
+        notices.push(t('backend.otherModel', {model: modelLabel(model)}));
+      }
+      if (!deviceModelVerified) {
+        notices.push(t('backend.unverifiedModel'));
+      }
+      if (notices.length > 0) {
+        showBackendNotice(notices.join(' '));
+      }
+      return device;
+    } catch (error) {
+      console.error(`Error loading model ${model.id}:`, error);
+      lastError = classifyLoadError(error, model);
+      if (!shouldTryNextModel(lastError)) {
+        throw lastError;
+      }
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Download (if needed) and load one model variant on this device
+ */
+async function loadModelVariant(model) {
+  // Update loading text
+  loadingText.textContent = t('loading.preparing');
+  updateLoadingProgress(30);
+  
+  // Download the model into local storage (a no-op once it is stored)
+  const stored = await ensureModelDownloaded(model);
+  deviceModelVerified = Boolean(stored.sha256);
+  
+  // Update loading text
+  loadingText.textContent = t('loading.loadingModel');
+  updateLoadingProgress(85);
+  
+  // Initialize LLM with options in a worker, streaming the model from local storage
+  const device = createDeviceBackend({
+    wasmBasePath,
+    modelFileName: model.file,
+    onProgress: showDownloadProgress
+  });
+  try {
+    await loadBackend(device, model);
+  } catch (error) {
+    device.close();
+    throw error;
+  }
+  return device;
+}
+
+/**
+ * Get a backend ready to answer, recording how long that took (or why it
+ * failed) for the diagnostics panel. `model` is the variant loaded on the
+ * device.
+ */
+async function loadBackend(loading, model = null) {
+  const started = performance.now();
+  const details = {backend: loading.id, model: model ? model.id : ''};
+  try {
+    const timing = await loading.load(resolveGenerationOptions(settings, modes[currentMode]));
+    recordModelLoad({...details, ...timing, totalMs: performance.now() - started});
+  } catch (error) {
+    recordModelLoad({...details, totalMs: performance.now() - started, error: error.message});
+    throw error;
+  }
+}
+
+/**
+ * The model files from the manifest that are already downloaded
+ */
+async function storedModelFiles() {
+  const files = [...new Set(modelManifest.map(model => model.file))];
+  const stored = await Promise.all(files.map(file => isModelStored(file)));
+  return files.filter((file, index) => stored[index]);
+}
+
+/**
+ * Switch to the on-device model after the inference server stopped
+ * answering. This needs the model already stored; downloading it is left
+ * to the user (by choosing this device in the settings), since it is large.
+ * Resolves to whether the switch was made.
+ */
+async function fallBackToDevice(error) {
+  console.error('Inference server unreachable, falling back to the on-device model:', error);
+  const stored = await storedModelFiles();
+  let model = null;
+  try {
+    const candidates = chooseModels(modelManifest, await detectCapabilities(), {preferred: settings.deviceModel, stored});
+    model = candidates.find(candidate => stored.includes(candidate.file)) || null;
+  } catch (deviceProblem) {
+    console.error('This device cannot run the model:', deviceProblem);
+  }
+  if (!model) {
+    showBackendNotice(t('backend.serverLostNoModel'));
+    return false;
+  }
+  
+  const device = createDeviceBackend({wasmBasePath, modelFileName: model.file});
+  try {
+    await loadBackend(device, model);
+    backend = device;
+    deviceModel = model;
+    showBackendNotice(t('backend.serverLost'));
+    return true;
+  } catch (loadError) {
+    console.error('Error loading the on-device model:', loadError);
+    device.close();
+    return false;
+  }
+}
+
+/**
+ * Show which inference server answers, or why the on-device model does
+ */
+function showBackendNotice(text) {
+  backendNotice.textContent = text;
+  backendNotice.classList.toggle('hidden', !text);
+}
+
+/**
+ * Download a model variant's file with byte-level progress, letting the user
+ * pause and resume. Resolves to the stored record once the model is fully
+ * stored and verified (its `sha256` is empty if there was nothing to verify
+ * it against); a file that is not on the server or does not fit on the
+ * device throws, since resuming would not help.
+ */
+async function ensureModelDownloaded(model) {
+  while (true) {
+    modelDownloadController = new AbortController();
+    
+    try {
+      const record = await downloadModel(model.file, {
+        sha256: model.sha256,
+        signal: modelDownloadController.signal,
+        onProgress: showDownloadProgress
+      });
+      downloadToggleButton.classList.add('hidden');
+      return record;
+    } catch (error) {
+      if (error.status === 404 || error.name === 'QuotaExceededError') {
+        downloadToggleButton.classList.add('hidden');
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        loadingText.textContent = t('loading.paused');
+      } else {
+        console.error('Error downloading model:', error);
+        loadingText.textContent = t('loading.stopped', {error: error.message});
+      }
+      downloadToggleButton.textContent = t('loading.resume');
+      downloadToggleButton.classList.remove('hidden');
+      
+      // Wait for the user before trying again; progress so far is kept
+      await new Promise(resolve => {
+        resumeModelDownload = resolve;
+      });
+      resumeModelDownload = null;
+    }
+  }
+}
+
+/**
+ * Show model download (and loading) progress on the landing page
+ */
+function showDownloadProgress({phase, receivedBytes, totalBytes, attempt}) {
+  const fraction = totalBytes ? receivedBytes / totalBytes : 0;
+  const progress = totalBytes ?
+    t('loading.progressOf', {received: formatMegabytes(receivedBytes), total: formatMegabytes(totalBytes)}) :
+    formatMegabytes(receivedBytes);
+  
+  if (phase === 'verifying') {
+    loadingText.textContent = t('loading.verifying', {percent: Math.floor(fraction * 100)});
+    updateLoadingProgress(80 + fraction * 5);
+    return;
+  }
+  
+  if (phase === 'loading') {
+    loadingText.textContent = t('loading.loadingModelPercent', {percent: Math.floor(fraction * 100)});
+    updateLoadingProgress(85 + fraction * 5);
+    return;
+  }
+  
+  if (phase === 'retrying') {
+    loadingText.textContent = t('loading.retrying', {progress, attempt});
+  } else {
+    loadingText.textContent = t('loading.downloading', {progress});
   }
+  
+  // Downloading fills the bar from 30% to 80%
+  updateLoadingProgress(30 + fraction * 50);
+  downloadToggleButton.textContent = t('loading.pause');
+  downloadToggleButton.classList.remove('hidden');
+}
+
+/**
+ * Format a byte count as megabytes
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
@@ -218,19 +812,167 @@ function updateLoadingProgress(percentage, isError = false) {
   }
 }
 
+/**
+ * Show whether the app and model are cached for offline use
+ */
+async function updateOfflineStatus() {
+  offlineStatus.textContent = t('offline.checking');
+  
+  try {
+    const status = await getOfflineStatus();
+    const modelReady = deviceModel ?
+      await isModelStored(deviceModel.file) :
+      (await storedModelFiles()).length > 0;
+    
+    if (!status.supported) {
+      offlineStatus.textContent = t('offline.unsupported');
+      offlineStatus.dataset.state = 'unavailable';
+    } else if (status.shellReady && modelReady) {
+      offlineStatus.textContent = t('offline.ready');
+      offlineStatus.dataset.state = 'ready';
+    } else if (backend && backend.id === 'server' && !modelReady) {
+      // Answers come from the server; the model was never downloaded
+      offlineStatus.textContent = t('offline.serverOnly');
+      offlineStatus.dataset.state = 'unavailable';
+    } else {
+      offlineStatus.textContent = t('offline.saving');
+      offlineStatus.dataset.state = 'pending';
+    }
+  } catch (error) {
+    console.error('Error checking offline status:', error);
+    offlineStatus.textContent = t('offline.unknown');
+    offlineStatus.dataset.state = 'unavailable';
+  }
+}
+
+/**
+ * Load the built-in modes from the manifest and the user's custom modes
+ */
+async function loadModeRegistry() {
+  const {modes: builtIn, skipped, failed} = await loadBuiltInModes();
+  builtInModes = builtIn;
+  customModes = loadCustomModes();
+  modes = buildModeRegistry(builtInModes, customModes);
+  
+  if (failed) {
+    modeLoadProblem = t('modeNotice.manifestFailed', {title: modeText(defaultMode(), 'title')});
+  } else if (skipped > 0) {
+    modeLoadProblem = plural('modeNotice.skipped', skipped);
+  }
+  showModeNotice();
+  renderModeButtons();
+}
+
+/**
+ * The mode to open when no other is chosen
+ */
+function defaultMode() {
+  return modes[DEFAULT_MODE] ? DEFAULT_MODE : Object.keys(modes)[0];
+}
+
+/**
+ * Show a notice about the modes above the chat, or any problem loading them
+ */
+function showModeNotice(text = modeLoadProblem) {
+  modeNotice.textContent = text;
+  modeNotice.classList.toggle('hidden', !text);
+}
+
+/**
+ * Create a button for each mode, followed by the custom mode editor button
+ */
+function renderModeButtons() {
+  modeSelector.innerHTML = '';
+  Object.values(modes).forEach(mode => {
+    const button = document.createElement('button');
+    button.className = 'mode-btn';
+    button.dataset.mode = mode.id;
+    button.textContent = `${mode.icon} ${modeText(mode.id, 'title')}`;
+    button.classList.toggle('active', mode.id === currentMode);
+    button.addEventListener('click', () => selectMode(mode.id));
+    modeSelector.appendChild(button);
+  });
+  
+  const manageButton = document.createElement('button');
+  manageButton.className = 'mode-btn manage-modes-btn';
+  manageButton.textContent = t('modeEditor.open');
+  manageButton.addEventListener('click', openModeDialog);
+  modeSelector.appendChild(manageButton);
+}
+
+/**
+ * Switch to another mode
+ */
+function selectMode(mode) {
+  if (mode === currentMode) {
+    return;
+  }
+  
+  // Store previous mode to check if it changed
+  const previousMode = currentMode;
+  
+  // Update current mode
+  currentMode = mode;
+  console.log(`Switching from ${previousMode} mode to ${currentMode} mode`);
+  
+  // Update UI for the new mode
+  showModeNotice();
+  updateModeUI(currentMode);
+  
+  // Display the mode's conversation (an in-flight response stays with the
+  // conversation it was asked in)
+  ensureActiveConversation(currentMode);
+  displayChatHistory();
+  renderConversationList();
+}
+
+/**
+ * Show the current mode's suggested questions under the welcome message
+ */
+function renderStarters() {
+  const starters = modes[currentMode].starters;
+  if (starters.length === 0) {
+    return;
+  }
+  
+  const container = document.createElement('div');
+  container.className = 'starter-questions';
+  const heading = document.createElement('span');
+  heading.className = 'starter-heading';
+  heading.textContent = t('chat.starters');
+  container.appendChild(heading);
+  starters.forEach(starter => {
+    const button = document.createElement('button');
+    button.className = 'starter-btn';
+    button.textContent = starter;
+    button.addEventListener('click', () => {
+      if (!backend) {
+        return;
+      }
+      userInput.value = starter;
+      sendMessage();
+    });
+    container.appendChild(button);
+  });
+  chatMessages.appendChild(container);
+}
+
 /**
  * Update the UI to reflect the current mode
  */
 function updateModeUI(mode) {
-  // Validate that the mode exists
+  // A mode that is gone (a deleted custom mode, say) falls back to the
+  // default one, telling the user rather than switching silently
   if (!modes[mode]) {
-    console.error(`Mode ${mode} does not exist. Defaulting to study mode.`);
-    mode = 'study';
-    currentMode = 'study';
+    const fallback = defaultMode();
+    console.error(`Mode ${mode} does not exist. Falling back to ${fallback} mode.`);
+    showModeNotice(t('modeNotice.missing', {title: modeText(fallback, 'title')}));
+    mode = fallback;
+    currentMode = fallback;
   }
   
   // Update active button
-  modeButtons.forEach(button => {
+  modeSelector.querySelectorAll('.mode-btn[data-mode]').forEach(button => {
     if (button.dataset.mode === mode) {
       button.classList.add('active');
     } else {
@@ -239,42 +981,67 @@ function updateModeUI(mode) {
   });
   
   // Update mode info section
-  currentModeIcon.textContent = modes[mode].icon;
-  currentModeTitle.textContent = modes[mode].title;
-  currentModeDescription.textContent = modes[mode].description;
+  showModeInfo();
   
   // Reset input field
   userInput.value = '';
   userInput.style.height = 'auto';
   
   // Re-enable input if it was disabled
-  if (!llmInference) {
-    // If model isn't loaded yet, keep disabled
-    sendButton.disabled = true;
-    userInput.disabled = true;
-  } else if (!isGenerating) {
-    // If not currently generating, enable input
-    sendButton.disabled = false;
-    userInput.disabled = false;
-  }
+  updateInputState();
+}
+
+/**
+ * Show the current mode's icon, title and description
+ */
+function showModeInfo() {
+  currentModeIcon.textContent = modes[currentMode].icon;
+  currentModeTitle.textContent = modeText(currentMode, 'title');
+  currentModeDescription.textContent = modeText(currentMode, 'description');
+  showModeTools();
+}
+
+/**
+ * Offer the farm tools, quiz and CV panels in the modes that use them
+ */
+function showModeTools() {
+  farmToolsButton.classList.toggle('hidden', !offersTools(agronomy, currentMode));
+  quizButton.classList.toggle('hidden', !QUIZ_MODES.includes(currentMode));
+  cvButton.classList.toggle('hidden', !CV_MODES.includes(currentMode));
 }
 
 /**
- * Display chat history for the current mode
+ * Display the current mode's active conversation
  */
 function displayChatHistory() {
+  const conversation = currentConversation();
+  updateAnswerLanguageSelect();
+  
   // Clear chat display
   chatMessages.innerHTML = '';
   
   // Add messages from history if they exist
-  if (chatHistory[currentMode] && chatHistory[currentMode].length > 0) {
-    chatHistory[currentMode].forEach(message => {
-      if (message.role === 'user') {
-        addUserMessage(message.content, false);
-      } else {
-        addAssistantMessage(message.content, false);
+  conversation.messages.forEach((message, index) => {
+    chatMessages.appendChild(createMessageElement(conversation, index));
+  });
+  
+  // A generation or queued messages for this conversation carry on in the
+  // background, so put them back when returning to it
+  if (activeGeneration && activeGeneration.conversationId === conversation.id) {
+    chatMessages.appendChild(activeGeneration.messageDiv);
+  }
+  messageQueue
+    .filter(item => item.conversationId === conversation.id)
+    .forEach(item => {
+      chatMessages.appendChild(item.element);
+      if (item.cardElement) {
+        chatMessages.appendChild(item.cardElement);
       }
     });
+  
+  // Suggest a few questions until the user asks their own
+  if (!hasUserMessages(conversation)) {
+    renderStarters();
   }
   
   // Scroll to bottom of chat
@@ -282,273 +1049,3325 @@ function displayChatHistory() {
 }
 
 /**
- * Add a user message to the chat
+ * The conversation shown for the current mode
  */
-function addUserMessage(text, saveToHistory = true) {
-  // Check if this is a duplicate message (to prevent double submissions)
-  const lastMessage = chatHistory[currentMode] && chatHistory[currentMode].length > 0 ? 
-                     chatHistory[currentMode][chatHistory[currentMode].length - 1] : null;
-  
-  // If this is a duplicate of the last message, don't add it again
-  if (lastMessage && lastMessage.role === 'user' && lastMessage.content === text) {
-    console.log('Duplicate message detected, ignoring');
-    return;
-  }
-  
-  const messageDiv = document.createElement('div');
-  messageDiv.className = 'message user-message';
-  messageDiv.textContent = text;
-  chatMessages.appendChild(messageDiv);
-  
-  if (saveToHistory) {
-    // Initialize mode history if it doesn't exist
-    if (!chatHistory[currentMode]) {
-      chatHistory[currentMode] = [];
-    }
-    
-    // Add to history
-    chatHistory[currentMode].push({
-      role: 'user',
-      content: text
-    });
-    
-    // Save to localStorage
-    saveChatHistory();
-  }
-  
-  scrollToBottom();
+function currentConversation() {
+  return conversations[activeConversationIds[currentMode]];
 }
 
 /**
- * Add an assistant message to the chat
+ * Whether a conversation is the one on screen
  */
-function addAssistantMessage(text, saveToHistory = true) {
-  const messageDiv = document.createElement('div');
-  messageDiv.className = 'message assistant-message';
-  
-  // Parse markdown in the assistant's response
-  messageDiv.innerHTML = markdownParser.parse(text);
-  
-  // Add message to chat
-  chatMessages.appendChild(messageDiv);
-  
-  if (saveToHistory) {
-    // Initialize mode history if it doesn't exist
-    if (!chatHistory[currentMode]) {
-      chatHistory[currentMode] = [];
-    }
-    
-    // Add to history
-    chatHistory[currentMode].push({
-      role: 'assistant',
-      content: text
-    });
-    
-    // Save to localStorage
-    saveChatHistory();
-  }
-  
-  scrollToBottom();
+function isOnScreen(conversationId) {
+  return activeConversationIds[currentMode] === conversationId;
 }
 
 /**
- * Scroll to the bottom of the chat container
+ * A mode's title, description or topic in the interface language. Modes
+ * without a translation use their own English text.
  */
-function scrollToBottom() {
-  chatMessages.scrollTop = chatMessages.scrollHeight;
+function modeText(mode, field) {
+  const fallback = field === 'topic' ?
+    (modes[mode].description || modes[mode].title).toLowerCase().split('.')[0] :
+    modes[mode][field];
+  return t(`modes.${mode}.${field}`, {}, fallback);
 }
 
 /**
- * Save chat history to localStorage
+ * The system prompt of the conversation's mode (or the mode a question was
+ * routed to), asking for answers in the conversation's chosen language (or
+ * the interface language if none was chosen)
  */
-function saveChatHistory() {
-  localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(chatHistory));
+function buildSystemPrompt(conversation, mode = conversation.mode) {
+  const instruction = languageInstruction(conversation.answerLanguage || getLanguage());
+  const systemPrompt = modes[mode].systemPrompt;
+  return instruction ? `${systemPrompt} ${instruction}` : systemPrompt;
 }
 
 /**
- * Load chat history from localStorage
+ * Welcome text shown at the start of a new conversation
  */
-function loadChatHistory() {
-  const savedHistory = localStorage.getItem(LOCAL_STORAGE_KEY);
-  if (savedHistory) {
-    chatHistory = JSON.parse(savedHistory);
-  }
+function welcomeMessage(mode) {
+  return t('chat.welcome', {title: modeText(mode, 'title'), topic: modeText(mode, 'topic')});
 }
 
 /**
- * Clear chat history for the current mode
+ * Start a new conversation for a mode. It is only saved once the user writes in it.
  */
-function clearCurrentModeChat() {
-  // Clear chat display
-  chatMessages.innerHTML = '';
-  
-  // Clear history for current mode
-  chatHistory[currentMode] = [];
-  saveChatHistory();
-  
-  // Add welcome message specific to the current mode
-  const welcomeMessage = `Chat cleared. I'm here to help you with ${modes[currentMode].description.toLowerCase().split('.')[0]}. What would you like to know?`;
-  addAssistantMessage(welcomeMessage);
+function startConversation(mode) {
+  const conversation = createConversation(mode);
+  conversation.messages.push({role: 'assistant', content: welcomeMessage(mode)});
+  conversations[conversation.id] = conversation;
+  return conversation;
 }
 
 /**
- * Generate a response using the LLM
+ * Make sure a mode has an active conversation, reopening its most recent one
+ * or starting a new one
  */
-function generateResponse(userMessage) {
-  // Check if already generating to prevent duplicate responses
-  if (isGenerating) {
+function ensureActiveConversation(mode) {
+  let conversation = conversations[activeConversationIds[mode]];
+  if (!conversation) {
+    conversation = sortConversations(Object.values(conversations).filter(c => c.mode === mode))[0] ||
+      startConversation(mode);
+    activeConversationIds[mode] = conversation.id;
+    saveActiveConversationIds();
+  }
+  return conversation;
+}
+
+/**
+ * Add a user message to the chat
+ */
+function addUserMessage(text, conversationId = activeConversationIds[currentMode]) {
+  const conversation = conversations[conversationId];
+  
+  // Name the conversation after the first question
+  if (conversation.autoTitle && !hasUserMessages(conversation)) {
+    conversation.title = generateTitle(text);
+  }
+  
+  // Add to history and save to IndexedDB. A question that tries to change
+  // the model's instructions is marked, and the model told to ignore that.
+  const message = {
+    role: 'user',
+    content: text
+  };
+  if (screenQuestion(safetyRules, text)) {
+    message.screened = true;
+  }
+  conversation.messages.push(message);
+  saveChatHistory(conversation);
+  
+  // Messages for a conversation that is not on screen are only saved
+  if (isOnScreen(conversationId)) {
+    const starters = chatMessages.querySelector('.starter-questions');
+    if (starters) {
+      starters.remove();
+    }
+    chatMessages.appendChild(createMessageElement(conversation, conversation.messages.length - 1));
+    scrollToBottom();
+  }
+}
+
+/**
+ * Add an assistant message to the chat
+ */
+function addAssistantMessage(text, conversationId = activeConversationIds[currentMode]) {
+  const conversation = conversations[conversationId];
+  
+  // Add to history and save to IndexedDB
+  conversation.messages.push({
+    role: 'assistant',
+    content: text
+  });
+  saveChatHistory(conversation);
+  
+  if (isOnScreen(conversationId)) {
+    chatMessages.appendChild(createMessageElement(conversation, conversation.messages.length - 1));
+    scrollToBottom();
+  }
+}
+
+/**
+ * Element for a saved message, with its action buttons
+ */
+function createMessageElement(conversation, index) {
+  const message = conversation.messages[index];
+  let messageDiv;
+  
+  if (message.emergency) {
+    messageDiv = createEmergencyCard(message);
+  } else if (message.role === 'user') {
+    messageDiv = document.createElement('div');
+    messageDiv.className = 'message user-message';
+    messageDiv.textContent = message.content;
+    if (message.screened) {
+      const screenedNote = document.createElement('div');
+      screenedNote.className = 'message-screened';
+      screenedNote.textContent = t('safety.screened');
+      messageDiv.appendChild(screenedNote);
+    }
+    const routeNote = createRouteNote(conversation, index);
+    if (routeNote) {
+      messageDiv.appendChild(routeNote);
+    }
+  } else {
+    messageDiv = document.createElement('div');
+    messageDiv.className = 'message assistant-message';
+    
+    // A farming tool the model used is shown above its answer
+    if (message.tool && message.tool.result) {
+      messageDiv.appendChild(createToolResult(message.tool.result));
+    }
+    
+    // Render markdown in the assistant's response (HTML is shown as text)
+    messageDiv.appendChild(renderMarkdown(message.content));
+    if (message.sources) {
+      renderSources(messageDiv, message.sources);
+    }
+    if (message.safety) {
+      renderSafety(messageDiv, message.safety);
+    }
+    if (message.stopped) {
+      markMessageStopped(messageDiv);
+    }
+  }
+  
+  addMessageActions(messageDiv, conversation, index);
+  return messageDiv;
+}
+
+/**
+ * Note under a question answered in (or fitting) another mode, with a button
+ * to answer it in the other mode instead. Null for other questions.
+ */
+function createRouteNote(conversation, index) {
+  const question = conversation.messages[index];
+  const routed = question.routedMode && modes[question.routedMode] ? question.routedMode : null;
+  const suggested = !routed && question.suggestedMode && modes[question.suggestedMode] ? question.suggestedMode : null;
+  if (!routed && !suggested) {
+    return null;
+  }
+  const modeName = mode => `${modes[mode].icon} ${modeText(mode, 'title')}`;
+  
+  const note = document.createElement('div');
+  note.className = 'message-route';
+  const text = document.createElement('span');
+  text.textContent = routed ?
+    t('routing.answeredIn', {mode: modeName(routed)}) :
+    t('routing.looksLike', {mode: modeName(suggested)});
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'message-route-button history-action';
+  button.textContent = t('routing.answerIn', {mode: modeName(routed ? conversation.mode : suggested)});
+  button.disabled = isGenerating;
+  button.addEventListener('click', () => rerouteQuestion(conversation, index));
+  
+  note.append(text, button);
+  return note;
+}
+
+/**
+ * Answer a question again in the other mode its route note offers: the mode
+ * it fits if it was answered where it was asked, or the other way round
+ */
+function rerouteQuestion(conversation, index) {
+  if (isGenerating || !backend) {
+    return;
+  }
+  const question = conversation.messages[index];
+  const routedMode = question.suggestedMode;
+  question.suggestedMode = question.routedMode;
+  question.routedMode = routedMode;
+  if (!question.routedMode) {
+    delete question.routedMode;
+  }
+  if (!question.suggestedMode) {
+    delete question.suggestedMode;
+  }
+  
+  let answerIndex = index + 1;
+  while (answerIndex < conversation.messages.length && conversation.messages[answerIndex].emergency) {
+    answerIndex++;
+  }
+  if (answerIndex < conversation.messages.length) {
+    regenerateAnswer(conversation, answerIndex);
+    return;
+  }
+  
+  // The answer failed; ask for it again
+  saveChatHistory(conversation);
+  displayChatHistory();
+  const cardMessage = conversation.messages[conversation.messages.length - 1];
+  const emergency = cardMessage.emergency ? checkForEmergency(question.content, conversation) : null;
+  generateResponse(question.content, conversation.id, emergency);
+}
+
+/**
+ * The question an answer replies to: the user message before it, skipping
+ * any first-aid card shown for it. Null for welcome messages.
+ */
+function questionFor(conversation, index) {
+  let questionIndex = index - 1;
+  while (questionIndex >= 0 && conversation.messages[questionIndex].emergency) {
+    questionIndex--;
+  }
+  const question = conversation.messages[questionIndex];
+  return question && question.role === 'user' ? question : null;
+}
+
+/**
+ * Add the buttons under a message: switching between its versions, copying,
+ * editing a question, and regenerating or rating an answer. Buttons that
+ * change the conversation are disabled while an answer is being generated.
+ */
+function addMessageActions(messageDiv, conversation, index) {
+  const message = conversation.messages[index];
+  const isAnswer = message.role === 'assistant' && !message.emergency;
+  if (message.role === 'assistant' && !questionFor(conversation, index)) {
+    return;
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'message-actions';
+  
+  const addAction = (icon, label, onClick, changesHistory = false) => {
+    const button = createIconButton(icon, label, onClick);
+    button.className = 'message-action';
+    if (changesHistory) {
+      button.classList.add('history-action');
+      button.disabled = isGenerating;
+    }
+    actions.appendChild(button);
+    return button;
+  };
+  
+  const versions = getVersions(conversation, index);
+  if (versions) {
+    const previous = addAction('‹', t('messageActions.previousVersion'),
+      () => showVersion(conversation, index, versions.active - 1), true);
+    const counter = document.createElement('span');
+    counter.className = 'version-counter';
+    counter.textContent = t('messageActions.version', {active: versions.active + 1, count: versions.count});
+    actions.appendChild(counter);
+    const next = addAction('›', t('messageActions.nextVersion'),
+      () => showVersion(conversation, index, versions.active + 1), true);
+    previous.classList.toggle('hidden', versions.active === 0);
+    next.classList.toggle('hidden', versions.active === versions.count - 1);
+  }
+  
+  const copyButton = addAction('📋', t('messageActions.copy'), () => copyMessage(message, copyButton));
+  
+  if (message.role === 'assistant' && isSynthesisSupported()) {
+    addAction('🔊', t('messageActions.readAloud'), () => readAloud(conversation, message));
+  }
+  
+  if (message.role === 'user') {
+    addAction('✏️', t('messageActions.edit'), () => startEditing(messageDiv, conversation, index), true);
+  }
+  
+  if (isAnswer) {
+    addAction('🔄', t('messageActions.regenerate'), () => regenerateAnswer(conversation, index), true);
+    ['up', 'down'].forEach(feedback => {
+      const button = addAction(feedback === 'up' ? '👍' : '👎',
+        t(feedback === 'up' ? 'messageActions.helpful' : 'messageActions.notHelpful'), () => {
+          message.feedback = message.feedback === feedback ? undefined : feedback;
+          saveChatHistory(conversation);
+          actions.querySelectorAll('.feedback-action').forEach(other => {
+            other.setAttribute('aria-pressed', String(other.dataset.feedback === message.feedback));
+          });
+        });
+      button.classList.add('feedback-action');
+      button.dataset.feedback = feedback;
+      button.setAttribute('aria-pressed', String(message.feedback === feedback));
+    });
+  }
+  
+  messageDiv.appendChild(actions);
+}
+
+/**
+ * Copy a message's text, briefly showing whether it worked on the button
+ */
+async function copyMessage(message, button) {
+  const showResult = (icon, label) => {
+    button.textContent = icon;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  };
+  
+  try {
+    await navigator.clipboard.writeText(message.content);
+    showResult('✓', t('messageActions.copied'));
+  } catch (error) {
+    console.error('Error copying message:', error);
+    showResult('⚠️', t('messageActions.copyFailed'));
+  }
+  setTimeout(() => showResult('📋', t('messageActions.copy')), 2000);
+}
+
+/**
+ * Show another version of the conversation from a message on
+ */
+function showVersion(conversation, index, version) {
+  if (isGenerating || !switchVersion(conversation, index, version)) {
+    return;
+  }
+  saveChatHistory(conversation);
+  displayChatHistory();
+}
+
+/**
+ * Ask for a new answer in place of an existing one. The old answer is kept
+ * as another version of the conversation from that point on.
+ */
+function regenerateAnswer(conversation, index) {
+  const question = questionFor(conversation, index);
+  if (isGenerating || !backend || !question) {
+    return;
+  }
+  
+  const previous = forkConversation(conversation, index);
+  saveChatHistory(conversation);
+  displayChatHistory();
+  
+  // A first-aid card shown for the question stays, and the model is told about it again
+  const cardMessage = conversation.messages[index - 1];
+  const emergency = cardMessage.emergency ? checkForEmergency(question.content, conversation) : null;
+  generateResponse(question.content, conversation.id, emergency, {index, previous, messages: conversation.messages});
+}
+
+/**
+ * Turn a question into a box for editing it. Sending the edited question
+ * starts a new version of the conversation from there.
+ */
+function startEditing(messageDiv, conversation, index) {
+  if (isGenerating) {
+    return;
+  }
+  
+  const textarea = document.createElement('textarea');
+  textarea.className = 'message-edit-input';
+  textarea.value = conversation.messages[index].content;
+  textarea.setAttribute('aria-label', t('messageActions.edit'));
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'message-edit-buttons';
+  const sendEditButton = document.createElement('button');
+  sendEditButton.textContent = t('messageActions.saveAndSend');
+  sendEditButton.addEventListener('click', () => {
+    const text = textarea.value.trim();
+    if (!text || isGenerating || !backend) {
+      return;
+    }
+    forkConversation(conversation, index);
+    saveChatHistory(conversation);
+    displayChatHistory();
+    submitMessage(text, conversation.id, checkForEmergency(text, conversation));
+  });
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = t('messageActions.cancel');
+  cancelButton.addEventListener('click', displayChatHistory);
+  buttons.append(sendEditButton, cancelButton);
+  
+  messageDiv.classList.add('editing');
+  messageDiv.replaceChildren(textarea, buttons);
+  textarea.focus();
+}
+
+/**
+ * List the knowledge pack passages an answer was based on
+ */
+function renderSources(messageDiv, sources) {
+  const container = document.createElement('div');
+  container.className = 'message-sources';
+  
+  const heading = document.createElement('div');
+  heading.className = 'message-sources-heading';
+  heading.textContent = t('chat.sources');
+  container.appendChild(heading);
+  
+  const list = document.createElement('ul');
+  sources.forEach(source => {
+    const item = document.createElement('li');
+    item.textContent = `[${source.number}] ${source.title} — ${source.packTitle}` +
+      (source.source ? ` (${source.source})` : '');
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+  
+  // Keep the stopped label last
+  messageDiv.insertBefore(container, messageDiv.querySelector('.stopped-label'));
+}
+
+/**
+ * Show the safety notes of an answer (its mode's disclaimer and referral)
+ * below it and, if blocked content was taken out of it, a badge saying so
+ */
+function renderSafety(messageDiv, safety) {
+  if (safety.modified) {
+    const badge = document.createElement('div');
+    badge.className = 'safety-badge';
+    badge.textContent = t('safety.modified');
+    badge.title = t('safety.modifiedHelp');
+    messageDiv.prepend(badge);
+  }
+  if (safety.notes.length > 0) {
+    const notes = document.createElement('div');
+    notes.className = 'safety-notes';
+    safety.notes.forEach(note => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = note;
+      notes.appendChild(paragraph);
+    });
+    messageDiv.insertBefore(notes, messageDiv.querySelector('.stopped-label'));
+  }
+}
+
+/**
+ * Element showing the result of a farming tool
+ */
+function createToolResult(content) {
+  const container = document.createElement('div');
+  container.className = 'tool-result';
+  container.appendChild(renderMarkdown(content));
+  return container;
+}
+
+/**
+ * Label an assistant message as stopped by the user
+ */
+function markMessageStopped(messageDiv) {
+  if (!messageDiv.querySelector('.stopped-label')) {
+    const label = document.createElement('div');
+    label.className = 'stopped-label';
+    label.textContent = t('chat.stopped');
+    messageDiv.appendChild(label);
+  }
+}
+
+/**
+ * Scroll to the bottom of the chat container
+ */
+function scrollToBottom() {
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Save a conversation to IndexedDB. Conversations the user has not written
+ * in yet are not kept, so empty "New chat" entries do not pile up.
+ */
+function saveChatHistory(conversation) {
+  conversation.updatedAt = Date.now();
+  storeConversation(conversation).catch(error => {
+    console.error('Error saving conversation:', error);
+    if (isQuotaError(error)) {
+      showStorageNotice(t('storage.full'));
+    }
+  });
+  renderConversationList();
+}
+
+/**
+ * Write a conversation to IndexedDB, or delete it if the user has not
+ * written in it. When storage is full, old conversations are archived to
+ * make room and the save is tried once more.
+ */
+async function storeConversation(conversation) {
+  if (!hasUserMessages(conversation)) {
+    await deleteConversation(conversation.id);
+    return;
+  }
+  try {
+    await saveConversation(conversation);
+  } catch (error) {
+    if (!isQuotaError(error)) {
+      throw error;
+    }
+    await freeStorage(true, [conversation.id]);
+    await saveConversation(conversation);
+  }
+  requestPersistentStorage();
+  watchStorage();
+}
+
+/**
+ * Load saved conversations, first bringing data saved by older versions of
+ * the app up to date (see runMigrations)
+ */
+async function loadChatHistory() {
+  try {
+    await runMigrations();
+    (await loadStoredConversations()).forEach(conversation => {
+      conversations[conversation.id] = conversation;
+    });
+  } catch (error) {
+    console.error('Error loading conversations:', error);
+  }
+  
+  try {
+    const savedActive = JSON.parse(localStorage.getItem(ACTIVE_CONVERSATIONS_KEY));
+    if (savedActive && typeof savedActive === 'object') {
+      activeConversationIds = savedActive;
+    }
+  } catch (error) {
+    console.error('Error loading open conversations:', error);
+  }
+}
+
+/**
+ * Check now and then how much storage is left, archiving old conversations
+ * when it runs low
+ */
+async function watchStorage() {
+  if (Date.now() - lastStorageCheck < STORAGE_CHECK_INTERVAL_MS) {
+    return;
+  }
+  lastStorageCheck = Date.now();
+  try {
+    if (isStorageLow(await estimateStorage())) {
+      await freeStorage(false);
+    }
+  } catch (error) {
+    console.error('Error freeing storage:', error);
+  }
+}
+
+/**
+ * Conversations that must stay where they are: open in a mode, being
+ * answered or waiting in the queue
+ */
+function conversationsInUse() {
+  const ids = Object.values(activeConversationIds);
+  if (activeGeneration) {
+    ids.push(activeGeneration.conversationId);
+  }
+  messageQueue.forEach(item => ids.push(item.conversationId));
+  return ids;
+}
+
+/**
+ * Make room by archiving old conversations (see freeUpSpace) and say what
+ * was moved or deleted. `urgent` when a save has already failed; `keepIds`
+ * are left alone along with the conversations in use.
+ */
+function freeStorage(urgent, keepIds = []) {
+  if (!freeingStorage) {
+    const saved = Object.values(conversations).filter(hasUserMessages);
+    freeingStorage = freeUpSpace(saved, [...conversationsInUse(), ...keepIds], {urgent})
+      .then(result => {
+        result.archived.forEach(id => {
+          delete conversations[id];
+        });
+        if (result.archived.length > 0) {
+          renderConversationList();
+          showStorageNotice(plural('storage.archivedNotice', result.archived.length));
+        } else if (result.pruned > 0) {
+          showStorageNotice(plural('storage.prunedNotice', result.pruned));
+        }
+        return result;
+      })
+      .finally(() => {
+        freeingStorage = null;
+      });
+  }
+  return freeingStorage;
+}
+
+/**
+ * Show or hide the notice about storage running out
+ */
+function showStorageNotice(text) {
+  storageNotice.textContent = text;
+  storageNotice.classList.toggle('hidden', !text);
+}
+
+/**
+ * Remember which conversation is open in each mode
+ */
+function saveActiveConversationIds() {
+  localStorage.setItem(ACTIVE_CONVERSATIONS_KEY, JSON.stringify(activeConversationIds));
+}
+
+/**
+ * Stop and drop any generation or queued messages for a conversation
+ */
+function abandonPendingWork(conversationId) {
+  if (activeGeneration && activeGeneration.conversationId === conversationId) {
+    activeGeneration.discard = true;
+    stopGeneration();
+  }
+  for (let i = messageQueue.length - 1; i >= 0; i--) {
+    if (messageQueue[i].conversationId === conversationId) {
+      messageQueue.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Clear the messages of the current conversation
+ */
+function clearCurrentModeChat() {
+  const conversation = currentConversation();
+  abandonPendingWork(conversation.id);
+  
+  // Clear chat display
+  chatMessages.innerHTML = '';
+  
+  // Clear messages and memory; the conversation is renamed after its next question
+  conversation.messages = [];
+  conversation.memory = null;
+  delete conversation.forks;
+  conversation.title = generateTitle('');
+  conversation.autoTitle = true;
+  
+  // Add welcome message specific to the current mode
+  const clearedMessage = t('chat.cleared', {topic: modeText(currentMode, 'topic')});
+  addAssistantMessage(clearedMessage);
+  renderStarters();
+}
+
+/**
+ * Open a conversation, switching to its mode if needed
+ */
+function switchConversation(conversationId) {
+  const conversation = conversations[conversationId];
+  if (!conversation) {
+    return;
+  }
+  
+  const previous = currentConversation();
+  if (conversation.mode !== currentMode) {
+    currentMode = conversation.mode;
+    updateModeUI(currentMode);
+  }
+  activeConversationIds[currentMode] = conversationId;
+  saveActiveConversationIds();
+  discardIfEmpty(previous);
+  
+  displayChatHistory();
+  renderConversationList();
+  conversationSidebar.classList.remove('open');
+}
+
+/**
+ * Forget an unsaved conversation the user left without writing anything
+ */
+function discardIfEmpty(conversation) {
+  if (conversation && !hasUserMessages(conversation) &&
+      activeConversationIds[conversation.mode] !== conversation.id) {
+    delete conversations[conversation.id];
+  }
+}
+
+/**
+ * Start a new conversation in the current mode
+ */
+function startNewConversation() {
+  // An untouched conversation is already a new chat
+  const current = currentConversation();
+  if (!hasUserMessages(current)) {
+    conversationSidebar.classList.remove('open');
+    userInput.focus();
+    return;
+  }
+  
+  const conversation = startConversation(currentMode);
+  switchConversation(conversation.id);
+  userInput.focus();
+}
+
+/**
+ * Delete a conversation after confirmation
+ */
+function removeConversation(conversationId) {
+  const conversation = conversations[conversationId];
+  if (!conversation || !confirm(t('sidebar.confirmDelete', {title: conversation.title}))) {
+    return;
+  }
+  
+  abandonPendingWork(conversationId);
+  delete conversations[conversationId];
+  deleteConversation(conversationId)
+    .catch(error => console.error('Error deleting conversation:', error));
+  
+  // Reopen the mode's most recent conversation in its place
+  if (activeConversationIds[conversation.mode] === conversationId) {
+    delete activeConversationIds[conversation.mode];
+    ensureActiveConversation(conversation.mode);
+    if (conversation.mode === currentMode) {
+      displayChatHistory();
+    }
+  }
+  renderConversationList();
+}
+
+/**
+ * Pin or unpin a conversation at the top of the list
+ */
+function togglePinned(conversationId) {
+  const conversation = conversations[conversationId];
+  conversation.pinned = !conversation.pinned;
+  saveChatHistory(conversation);
+}
+
+/**
+ * Replace a conversation's title with an inline editor
+ */
+function startRename(conversationId, titleElement) {
+  const conversation = conversations[conversationId];
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'conversation-rename';
+  input.value = conversation.title;
+  input.maxLength = 80;
+  
+  let finished = false;
+  const finish = (save) => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    const title = input.value.trim();
+    if (save && title && title !== conversation.title) {
+      conversation.title = title;
+      conversation.autoTitle = false;
+      saveChatHistory(conversation);
+    } else {
+      renderConversationList();
+    }
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+  
+  titleElement.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Create a small icon button for a conversation list item
+ */
+function createIconButton(icon, label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'conversation-action';
+  button.textContent = icon;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick(button);
+  });
+  return button;
+}
+
+/**
+ * Create the sidebar entry for one conversation
+ */
+function createConversationItem(conversation) {
+  const item = document.createElement('li');
+  item.className = 'conversation-item';
+  if (isOnScreen(conversation.id)) {
+    item.classList.add('active');
+  }
+  
+  const title = document.createElement('span');
+  title.className = 'conversation-title';
+  title.textContent = (conversation.pinned ? '📌 ' : '') + conversation.title;
+  item.appendChild(title);
+  item.addEventListener('click', () => switchConversation(conversation.id));
+  
+  // Untouched new chats have nothing to pin, rename or delete
+  if (hasUserMessages(conversation)) {
+    const actions = document.createElement('span');
+    actions.className = 'conversation-actions';
+    actions.appendChild(createIconButton('📌', t(conversation.pinned ? 'sidebar.unpin' : 'sidebar.pin'),
+      () => togglePinned(conversation.id)));
+    actions.appendChild(createIconButton('✏️', t('sidebar.rename'), () => startRename(conversation.id, title)));
+    actions.appendChild(createIconButton('🗑️', t('sidebar.delete'), () => removeConversation(conversation.id)));
+    item.appendChild(actions);
+  }
+  
+  return item;
+}
+
+/**
+ * Create a search result entry linking to a conversation in any mode
+ */
+function createSearchResultItem({conversation, snippet}) {
+  const item = document.createElement('li');
+  item.className = 'conversation-item search-result';
+  
+  const title = document.createElement('span');
+  title.className = 'conversation-title';
+  title.textContent = `${modes[conversation.mode] ? modes[conversation.mode].icon : ''} ${conversation.title}`;
+  item.appendChild(title);
+  
+  if (snippet) {
+    const excerpt = document.createElement('span');
+    excerpt.className = 'conversation-snippet';
+    excerpt.textContent = snippet;
+    item.appendChild(excerpt);
+  }
+  
+  item.addEventListener('click', () => {
+    conversationSearch.value = '';
+    switchConversation(conversation.id);
+  });
+  return item;
+}
+
+/**
+ * Render the sidebar: the current mode's conversations, or search results
+ * across every mode while a search is active
+ */
+function renderConversationList() {
+  conversationList.innerHTML = '';
+  const query = conversationSearch.value.trim();
+  
+  if (query) {
+    const results = searchConversations(
+      Object.values(conversations).filter(c => hasUserMessages(c) && modes[c.mode]), query);
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'conversation-empty';
+      empty.textContent = t('sidebar.noResults');
+      conversationList.appendChild(empty);
+    }
+    results.forEach(result => conversationList.appendChild(createSearchResultItem(result)));
+    return;
+  }
+  
+  sortConversations(Object.values(conversations).filter(c => c.mode === currentMode))
+    .forEach(conversation => conversationList.appendChild(createConversationItem(conversation)));
+}
+
+/**
+ * Enable or disable the input controls to match the model and generation state
+ */
+function updateInputState() {
+  // Input stays enabled while generating so the next message can be queued
+  sendButton.disabled = !backend;
+  userInput.disabled = !backend;
+  micButton.disabled = !backend;
+  
+  stopButton.classList.toggle('hidden', !isGenerating);
+  const stopping = Boolean(activeGeneration && activeGeneration.stopped);
+  stopButton.disabled = stopping;
+  stopButton.textContent = t(stopping ? 'chat.stopping' : 'chat.stop');
+  
+  // Past messages cannot be changed while an answer is on its way
+  chatMessages.querySelectorAll('.history-action').forEach(button => {
+    button.disabled = isGenerating;
+  });
+}
+
+/**
+ * Start reading aloud in a conversation's answer language with the voice
+ * chosen for it, cutting off whatever was being read. Returns the reader.
+ */
+function startSpeaking(conversation) {
+  stopSpeaking();
+  const language = conversation.answerLanguage || getLanguage();
+  speaker = createSpeaker({
+    voice: chooseVoice(listVoices(), language, settings.voices[language]),
+    onStateChange: showSpeechState
+  });
+  return speaker;
+}
+
+/**
+ * Read a saved answer aloud
+ */
+function readAloud(conversation, message) {
+  const reader = startSpeaking(conversation);
+  reader.push(message.content);
+  reader.finish();
+}
+
+/**
+ * Stop reading aloud
+ */
+function stopSpeaking() {
+  if (speaker) {
+    speaker.stop();
+    speaker = null;
+  }
+}
+
+/**
+ * Pause or resume reading aloud
+ */
+function toggleSpeechPause() {
+  if (!speaker) {
+    return;
+  }
+  if (speaker.state === 'paused') {
+    speaker.resume();
+  } else {
+    speaker.pause();
+  }
+}
+
+/**
+ * Show the reading controls while something is being read
+ */
+function showSpeechState(state) {
+  speechControls.classList.toggle('hidden', state === 'idle');
+  speechPauseButton.textContent = t(state === 'paused' ? 'voice.resume' : 'voice.pause');
+  if (state === 'idle') {
+    speaker = null;
+  }
+}
+
+/**
+ * Start dictating a question into the input box, or stop listening. The
+ * words are added to anything already typed, for the user to check and send.
+ */
+async function toggleVoiceInput() {
+  if (recognition) {
+    recognition.stop();
+    return;
+  }
+  
+  const conversation = currentConversation();
+  const typed = userInput.value.trim();
+  micButton.disabled = true;
+  try {
+    recognition = await startRecognition(conversation.answerLanguage || getLanguage(), {
+      onText: (words) => {
+        userInput.value = typed ? `${typed} ${words}` : words;
+        userInput.dispatchEvent(new Event('input'));
+      },
+      onEnd: (error) => {
+        recognition = null;
+        micButton.setAttribute('aria-pressed', 'false');
+        if (error) {
+          console.error('Error recognizing speech:', error);
+          alert(error.message);
+        }
+        userInput.focus();
+      }
+    });
+    micButton.setAttribute('aria-pressed', 'true');
+  } catch (error) {
+    console.error('Error starting speech recognition:', error);
+    alert(error.code ? error.message : t('voice.error.failed', {error: error.message}));
+  }
+  micButton.disabled = !backend;
+}
+
+/**
+ * Send the message in the input box, queueing it if a response is in progress
+ */
+function sendMessage() {
+  const message = userInput.value.trim();
+  if (!message || !backend) {
+    return;
+  }
+  
+  // Words still being dictated would land in the emptied box
+  if (recognition) {
+    recognition.stop();
+  }
+  userInput.value = '';
+  userInput.style.height = 'auto';
+  
+  // Emergency first aid is shown straight away, even if the model is busy
+  const conversation = currentConversation();
+  const emergency = checkForEmergency(message, conversation);
+  
+  if (isGenerating) {
+    queueMessage(message, conversation.id, emergency);
+    return;
+  }
+  
+  submitMessage(message, conversation.id, emergency);
+}
+
+/**
+ * Add a message to a conversation, with any first-aid card for it, and
+ * generate the answer
+ */
+function submitMessage(text, conversationId, emergency = null) {
+  addUserMessage(text, conversationId);
+  if (emergency) {
+    addEmergencyCard(emergency, conversationId);
+  }
+  generateResponse(text, conversationId, emergency);
+}
+
+/**
+ * The first-aid card for a message describing an emergency, in the
+ * conversation's answer language, or null. A message that clearly belongs to
+ * another mode (such as Health) is checked with that mode's cards too.
+ */
+function checkForEmergency(text, conversation) {
+  const route = settings.modeRouting !== 'off' ? classifyQuestion(modes, conversation.mode, text) : null;
+  const card = findEmergency(emergencyRules, conversation.mode, text) ||
+    (route && route.mode ? findEmergency(emergencyRules, route.mode, text) : null);
+  return card ? localizeCard(emergencyRules, card, conversation.answerLanguage || getLanguage()) : null;
+}
+
+/**
+ * Show a first-aid card and save it to the conversation
+ */
+function addEmergencyCard(card, conversationId) {
+  const conversation = conversations[conversationId];
+  const message = createEmergencyMessage(card);
+  
+  conversation.messages.push(message);
+  saveChatHistory(conversation);
+  
+  if (isOnScreen(conversationId)) {
+    chatMessages.appendChild(createMessageElement(conversation, conversation.messages.length - 1));
+    scrollToBottom();
+  }
+}
+
+/**
+ * Element for a first-aid card message, with buttons to call the emergency numbers
+ */
+function createEmergencyCard(message) {
+  const card = document.createElement('div');
+  card.className = 'message assistant-message emergency-card';
+  card.setAttribute('role', 'alert');
+  
+  const calls = document.createElement('div');
+  calls.className = 'emergency-calls';
+  message.emergency.numbers.forEach(({number, label}) => {
+    const link = document.createElement('a');
+    link.className = 'emergency-call';
+    link.href = `tel:${number}`;
+    link.textContent = t('emergency.call', {number});
+    link.title = label;
+    calls.appendChild(link);
+  });
+  card.appendChild(calls);
+  
+  card.appendChild(renderMarkdown(message.content));
+  
+  const note = document.createElement('div');
+  note.className = 'emergency-note';
+  note.textContent = t('emergency.note');
+  card.appendChild(note);
+  return card;
+}
+
+/**
+ * Hold a message until the current generation finishes
+ */
+function queueMessage(text, conversationId, emergency = null) {
+  const element = document.createElement('div');
+  element.className = 'message user-message queued';
+  element.textContent = text;
+  
+  const label = document.createElement('div');
+  label.className = 'queued-label';
+  label.textContent = t('chat.queued');
+  element.appendChild(label);
+  
+  // A first-aid card cannot wait for the queue; it is shown now and saved
+  // once the message is sent
+  const cardElement = emergency ? createEmergencyCard(createEmergencyMessage(emergency)) : null;
+  
+  messageQueue.push({text, conversationId, element, emergency, cardElement});
+  if (isOnScreen(conversationId)) {
+    chatMessages.appendChild(element);
+    if (cardElement) {
+      chatMessages.appendChild(cardElement);
+    }
+    scrollToBottom();
+  }
+}
+
+/**
+ * Send the next queued message, if any
+ */
+function processQueue() {
+  const next = messageQueue.shift();
+  if (!next) {
+    return;
+  }
+  
+  next.element.remove();
+  if (next.cardElement) {
+    next.cardElement.remove();
+  }
+  submitMessage(next.text, next.conversationId, next.emergency);
+}
+
+/**
+ * Cancel the in-flight generation, keeping what has been generated so far
+ */
+function stopGeneration() {
+  if (modelTask) {
+    cancelModelTask();
+    return;
+  }
+  if (!activeGeneration || activeGeneration.stopped) {
+    return;
+  }
+  
+  activeGeneration.stopped = true;
+  flushPendingText(activeGeneration);
+  activeGeneration.messageDiv.classList.remove('streaming');
+  if (!activeGeneration.discard) {
+    markMessageStopped(activeGeneration.messageDiv);
+  }
+  
+  // The backend may only stop at its next decoding step, so the generation is
+  // finished off (and the queue resumed) once generateResponse() settles
+  backend.cancel();
+  updateInputState();
+}
+
+/**
+ * Generate a response using the LLM. The response is bound to the conversation
+ * it was started in, even if the user switches away while it streams. When a
+ * first-aid card was shown for the message, the model adds to it. `fork` is
+ * set when the response is a new version of an answer (see regenerateAnswer).
+ */
+async function generateResponse(userMessage, conversationId = activeConversationIds[currentMode], emergency = null, fork = null) {
+  const conversation = conversations[conversationId];
+  
+  // Check if already generating to prevent duplicate responses
+  if (isGenerating) {
     console.log('Already generating a response, ignoring duplicate request');
     return;
   }
   
-  if (!llmInference) {
-    addAssistantMessage('Sorry, the AI model is not loaded yet. Please try again in a moment.');
+  if (!backend) {
+    addAssistantMessage(t('chat.modelNotLoaded'), conversationId);
+    return;
+  }
+  
+  // Create a message div that will stay and be updated with streaming content
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'message assistant-message streaming';
+  
+  // Add typing indicator that will be replaced with content
+  const typingIndicator = document.createElement('div');
+  typingIndicator.className = 'typing-indicator';
+  typingIndicator.innerHTML = '<span></span><span></span><span></span>';
+  messageDiv.appendChild(typingIndicator);
+  
+  const generation = {
+    conversationId,
+    text: '',
+    stopped: false,
+    discard: false,
+    messageDiv,
+    renderer: createMarkdownStream(messageDiv),
+    pendingText: '',
+    frame: null,
+    fork,
+    // Reads the answer aloud as it arrives, if the user asked for that
+    speaker: settings.readAloud && isSynthesisSupported() ? startSpeaking(conversation) : null
+  };
+  activeGeneration = generation;
+  isGenerating = true;
+  updateInputState();
+  
+  if (isOnScreen(conversationId)) {
+    chatMessages.appendChild(messageDiv);
+    scrollToBottom();
+  }
+  
+  // A background memory update must not hold up the user's question
+  if (summaryTask) {
+    summaryTask.cancelled = true;
+    backend.cancel();
+    await summaryTask.promise;
+  }
+  
+  // Stop may be pressed before anything reaches the model; then the model
+  // is never asked, as a cancel only reaches a generation under way
+  if (generation.stopped) {
+    finishGeneration(generation, false);
+    return;
+  }
+  
+  // A question that fits another mode better is answered there, or the user
+  // is offered that (see routing.js). New versions of an answer keep the
+  // question's route.
+  const question = questionFor(conversation, conversation.messages.length);
+  if (question && !fork && !question.routedMode && !question.suggestedMode) {
+    await routeQuestion(generation, conversation, question);
+    if (generation.stopped) {
+      finishGeneration(generation, false);
+      return;
+    }
+  }
+  const mode = question && question.routedMode && modes[question.routedMode] ? question.routedMode : conversation.mode;
+  
+  // Answers in modes with safety rules are checked as they arrive (see safety.js)
+  generation.mode = mode;
+  generation.language = conversation.answerLanguage || getLanguage();
+  generation.filter = createAnswerFilter(safetyRules, mode, generation.language);
+  
+  // Ground the answer in the mode's installed knowledge packs
+  generation.references = await lookUpReferences(mode, userMessage);
+  if (generation.stopped) {
+    finishGeneration(generation, false);
+    return;
+  }
+  
+  // Build a Gemma prompt with as much history as fits, leaving room for the reply.
+  // The user message (and any first-aid card shown for it) was already added
+  // to history, so it is left out here.
+  const history = conversation.messages.slice();
+  if (history.length > 0 && history[history.length - 1].emergency) {
+    history.pop();
+  }
+  const lastMessage = history[history.length - 1];
+  if (lastMessage && lastMessage.role === 'user' && lastMessage.content === userMessage) {
+    history.pop();
+  }
+  let systemPrompt = emergency ?
+    `${buildSystemPrompt(conversation, mode)}\n\n${emergencyPromptNote(emergency)}` :
+    buildSystemPrompt(conversation, mode);
+  if (question && question.screened) {
+    systemPrompt = `${systemPrompt}\n\n${INJECTION_NOTE}`;
+  }
+  const promptOptions = {
+    memory: conversation.memory && conversation.memory.summary,
+    references: generation.references,
+    history,
+    userMessage,
+    countTokens,
+    budget: settings.maxTokens - RESPONSE_TOKEN_RESERVE
+  };
+  
+  // In farming the model may first ask for a tool (see agronomy.js)
+  generation.tools = offersTools(agronomy, mode);
+  const request = await buildPrompt({
+    ...promptOptions,
+    systemPrompt: generation.tools ? `${systemPrompt}\n\n${toolPrompt(agronomy)}` : systemPrompt
+  });
+  generation.firstIncludedIndex = request.firstIncludedIndex;
+  // Passages that did not fit in the prompt are not cited
+  generation.references = request.references;
+  if (generation.stopped) {
+    finishGeneration(generation, false);
+    return;
+  }
+  
+  const options = resolveGenerationOptions(settings, modes[mode]);
+  const onText = (partialResponse) => {
+    // Ignore tokens that arrive after the user pressed Stop
+    if (generation.stopped) {
+      return;
+    }
+    generation.firstTokenAt = generation.firstTokenAt || performance.now();
+    generation.lastTokenAt = performance.now();
+    
+    // Append the partial response
+    generation.text += partialResponse;
+    
+    // Tokens can arrive faster than the screen refreshes, so the page is
+    // updated at most once per frame. A request for a tool is not shown.
+    generation.pendingText += partialResponse;
+    if (generation.tools && couldBeToolCall(generation.text)) {
+      return;
+    }
+    if (!generation.frame) {
+      generation.frame = requestAnimationFrame(() => renderPendingText(generation));
+    }
+  };
+  
+  // Timed for the diagnostics panel from when the prompt goes to the model
+  generation.promptTokens = request.promptTokens;
+  generation.requestedAt = performance.now();
+  
+  let failed = false;
+  try {
+    await generateWithFallback(generation, request, options, onText);
+    
+    // The model asked for a farming tool: show the result and answer with it
+    const call = generation.tools && !generation.stopped ? parseToolCall(generation.text) : null;
+    if (call) {
+      generation.tool = useFarmTool(call, conversation);
+      generation.tools = false;
+      generation.text = '';
+      generation.pendingText = '';
+      generation.filter = createAnswerFilter(safetyRules, mode, generation.language);
+      messageDiv.prepend(createToolResult(generation.tool.result));
+      
+      const toolRequest = await buildPrompt({
+        ...promptOptions,
+        systemPrompt: `${systemPrompt}\n\n${toolResultNote(generation.tool.result)}`
+      });
+      generation.firstIncludedIndex = toolRequest.firstIncludedIndex;
+      generation.references = toolRequest.references;
+      if (!generation.stopped) {
+        await generateWithFallback(generation, toolRequest, options, onText);
+      }
+    }
+  } catch (error) {
+    // Cancelling can surface as an error from the engine; that is expected
+    if (!generation.stopped) {
+      console.error('Error generating response:', error);
+      generation.unreachable = Boolean(error.unreachable);
+      failed = true;
+    }
+  }
+  
+  finishGeneration(generation, failed);
+}
+
+/**
+ * Find the mode a question fits best and, if it is not the conversation's,
+ * record it on the question: as the mode it is answered in (`routedMode`)
+ * when routing is automatic, or as a suggestion (`suggestedMode`). When the
+ * keywords do not settle it, the model chooses; a suggestion is not worth
+ * holding up the answer for that, so none is made.
+ */
+async function routeQuestion(generation, conversation, question) {
+  if (settings.modeRouting === 'off') {
+    return;
+  }
+  const route = classifyQuestion(modes, conversation.mode, question.content);
+  let mode = route && route.mode;
+  if (route && route.candidates && settings.modeRouting === 'auto') {
+    mode = await chooseModeWithModel(generation, route.candidates, question.content);
+  }
+  if (!mode || mode === conversation.mode || generation.stopped) {
+    return;
+  }
+  
+  if (settings.modeRouting === 'auto') {
+    question.routedMode = mode;
+  } else {
+    question.suggestedMode = mode;
+  }
+  saveChatHistory(conversation);
+  
+  // The question is the last one on screen; messages queued behind it are not sent yet
+  const questionElements = chatMessages.querySelectorAll('.user-message:not(.queued)');
+  const element = questionElements[questionElements.length - 1];
+  if (isOnScreen(conversation.id) && element) {
+    const routeNote = createRouteNote(conversation, conversation.messages.lastIndexOf(question));
+    element.insertBefore(routeNote, element.querySelector('.message-actions'));
+  }
+}
+
+/**
+ * Ask the model which of the candidate modes a question belongs to.
+ * Resolves to its choice, or null if it named none or could not answer.
+ */
+async function chooseModeWithModel(generation, candidates, text) {
+  const request = modeChoicePrompt(modes, candidates, text);
+  request.promptTokens = await countTokens(request.prompt);
+  if (generation.stopped) {
+    return null;
+  }
+  // Greedy decoding, so the same question is always routed the same way
+  const options = {...resolveGenerationOptions(settings, modes[candidates[0]]), topK: 1};
+  
+  let reply = '';
+  try {
+    await generateWithFallback(generation, request, options, (partialResponse) => {
+      reply += partialResponse;
+    });
+  } catch (error) {
+    // Cancelling can surface as an error from the engine; that is expected
+    if (!generation.stopped) {
+      console.error('Error choosing a mode:', error);
+    }
+    return null;
+  }
+  return parseModeChoice(reply, candidates);
+}
+
+/**
+ * Generate with the current backend. If the server cannot be reached before
+ * answering, the on-device model is asked instead.
+ */
+async function generateWithFallback(generation, request, options, onText) {
+  try {
+    await backend.generate(request, options, onText);
+  } catch (error) {
+    if (!error.unreachable || generation.stopped || !(await fallBackToDevice(error))) {
+      throw error;
+    }
+    await backend.generate(request, options, onText);
+  }
+}
+
+/**
+ * Run the farming tool the model asked for, in the conversation's answer
+ * language. Arguments the tool cannot use give a result explaining why, so
+ * the model can still answer. Returns the tool as saved with the answer.
+ */
+function useFarmTool(call, conversation) {
+  const {name, ...args} = call;
+  try {
+    const result = runTool(agronomy, call, conversation.answerLanguage || getLanguage());
+    return {name, arguments: args, result: result.content};
+  } catch (error) {
+    console.error('Error running farming tool:', error);
+    return {name, arguments: args, result: `⚠️ ${error.message}`};
+  }
+}
+
+/**
+ * Take the model for a one-off request outside the chat (`kind` says which,
+ * e.g. 'quiz'). Chat messages sent meanwhile are queued as they are behind
+ * an answer; call finishModelTask() when done.
+ */
+async function startModelTask(kind) {
+  const task = {kind, stopped: false};
+  modelTask = task;
+  isGenerating = true;
+  updateInputState();
+  
+  // A background memory update must not hold up the task
+  if (summaryTask) {
+    summaryTask.cancelled = true;
+    backend.cancel();
+    await summaryTask.promise;
+  }
+  return task;
+}
+
+/**
+ * Ask the model for the reply to one request of a task. Resolves to the
+ * text, or null if the task was cancelled.
+ */
+async function generateTaskReply(task, systemPrompt, requestText, mode) {
+  const request = buildTaskPrompt(systemPrompt, requestText);
+  request.promptTokens = await countTokens(request.prompt);
+  // Cancelled before the model was asked
+  if (task.stopped) {
+    return null;
+  }
+  const options = resolveGenerationOptions(settings, modes[mode]);
+  
+  let text = '';
+  try {
+    await generateWithFallback(task, request, options, (partialResponse) => {
+      text += partialResponse;
+    });
+  } catch (error) {
+    // Cancelling can surface as an error from the engine; that is expected
+    if (!task.stopped) {
+      throw error;
+    }
+  }
+  return task.stopped ? null : text;
+}
+
+/**
+ * Give the model back to the chat after a task
+ */
+function finishModelTask() {
+  modelTask = null;
+  isGenerating = false;
+  updateInputState();
+  processQueue();
+}
+
+/**
+ * Stop the task the model is working on
+ */
+function cancelModelTask() {
+  if (!modelTask || modelTask.stopped) {
+    return;
+  }
+  modelTask.stopped = true;
+  backend.cancel();
+}
+
+/**
+ * Show the text that arrived since the last frame
+ */
+function renderPendingText(generation) {
+  generation.frame = null;
+  
+  // Answers with safety rules are shown a sentence at a time, once checked
+  const text = generation.filter ? generation.filter.push(generation.pendingText) : generation.pendingText;
+  generation.pendingText = '';
+  showAnswerText(generation, text);
+}
+
+/**
+ * Add text to the answer on screen and to what is being read aloud
+ */
+function showAnswerText(generation, text) {
+  if (!text) {
+    return;
+  }
+  
+  // Remove typing indicator first
+  const typingIndicator = generation.messageDiv.querySelector('.typing-indicator');
+  if (typingIndicator) {
+    typingIndicator.remove();
+  }
+  
+  // Render only the new text rather than re-parsing the whole answer
+  generation.renderer.append(text);
+  if (generation.speaker) {
+    generation.speaker.push(text);
+  }
+  if (isOnScreen(generation.conversationId)) {
+    scrollToBottom();
+  }
+}
+
+/**
+ * Show any text still waiting for a frame straight away
+ */
+function flushPendingText(generation) {
+  if (generation.frame) {
+    cancelAnimationFrame(generation.frame);
+  }
+  renderPendingText(generation);
+}
+
+/**
+ * Save a finished (or stopped) generation to its conversation and move on
+ * to the next queued message
+ */
+function finishGeneration(generation, failed) {
+  flushPendingText(generation);
+  if (generation.filter && !failed && !generation.discard) {
+    showAnswerText(generation, generation.filter.finish());
+  }
+  
+  // Read out the rest of the answer; one that was stopped or failed is not read further
+  if (generation.speaker) {
+    if (failed || generation.stopped || generation.discard) {
+      generation.speaker.stop();
+    } else {
+      generation.speaker.finish();
+    }
+  }
+  
+  // The conversation may have been deleted while the reply streamed
+  const conversation = conversations[generation.conversationId];
+  const messageDiv = generation.messageDiv;
+  messageDiv.classList.remove('streaming');
+  const typingIndicator = messageDiv.querySelector('.typing-indicator');
+  if (typingIndicator) {
+    typingIndicator.remove();
+  }
+  
+  if (generation.discard) {
+    messageDiv.remove();
+  } else if (failed) {
+    messageDiv.textContent = t(generation.unreachable ? 'chat.serverUnreachable' : 'chat.generationError');
+  } else {
+    generation.renderer.finish();
+    
+    // The answer is saved as it was shown, with blocked content taken out
+    const checked = checkAnswer(safetyRules, generation.mode, generation.text, generation.language);
+    const message = {
+      role: 'assistant',
+      content: checked ? checked.text : generation.text
+    };
+    if (generation.stopped) {
+      message.stopped = true;
+    }
+    if (generation.tool) {
+      message.tool = generation.tool;
+    }
+    const sources = citedSources(message.content, generation.references);
+    if (sources.length > 0) {
+      message.sources = sources;
+      renderSources(messageDiv, sources);
+    }
+    if (checked) {
+      message.safety = {modified: checked.modified.length > 0, notes: checked.notes};
+      renderSafety(messageDiv, message.safety);
+    }
+    if (conversation) {
+      conversation.messages.push(message);
+      saveChatHistory(conversation);
+      addMessageActions(messageDiv, conversation, conversation.messages.length - 1);
+    }
+    measureAnswer(generation);
+  }
+  
+  activeGeneration = null;
+  isGenerating = false;
+  updateInputState();
+  
+  // A new version of an answer that failed gives way to the answer it was
+  // to replace, unless the conversation changed meanwhile
+  const fork = generation.fork;
+  if (failed && fork && conversation && conversation.messages === fork.messages &&
+      conversation.messages.length === fork.index) {
+    dropEmptyVersion(conversation, fork.index, fork.previous);
+    saveChatHistory(conversation);
+    if (isOnScreen(conversation.id)) {
+      displayChatHistory();
+      chatMessages.appendChild(messageDiv);
+      scrollToBottom();
+    }
+  }
+  if (isOnScreen(generation.conversationId)) {
+    userInput.focus();
+  }
+  
+  // Queued messages come first; otherwise use the idle time to remember
+  // whatever no longer fits in the prompt
+  if (messageQueue.length > 0) {
+    processQueue();
+  } else if (!failed && !generation.discard) {
+    updateConversationMemory(generation.conversationId, generation.firstIncludedIndex);
+  }
+}
+
+/**
+ * Record how quickly an answer came for the diagnostics panel. Its length in
+ * tokens is counted once it is done, so counting does not slow it down.
+ */
+async function measureAnswer(generation) {
+  if (!generation.firstTokenAt) {
+    return;
+  }
+  const answerBackend = backend;
+  recordAnswer({
+    backend: answerBackend.id,
+    model: answerBackend.id === 'device' && deviceModel ? deviceModel.id : settings.serverModel,
+    mode: generation.mode,
+    promptTokens: generation.promptTokens,
+    outputTokens: await answerBackend.countTokens(generation.text),
+    firstTokenMs: generation.firstTokenAt - generation.requestedAt,
+    totalMs: generation.lastTokenAt - generation.requestedAt,
+    stopped: generation.stopped
+  });
+}
+
+/**
+ * Find knowledge pack passages for a question. Retrieval problems never block
+ * an answer; the question is just answered without references.
+ */
+async function lookUpReferences(mode, userMessage) {
+  try {
+    return await findReferences(mode, userMessage);
+  } catch (error) {
+    console.error('Error searching knowledge packs:', error);
+    return [];
+  }
+}
+
+/**
+ * The references an answer cites by number, or all of them if it cites none
+ * (they were still given to the model as context)
+ */
+function citedSources(text, references) {
+  if (!references || references.length === 0) {
+    return [];
+  }
+  const sources = references.map((reference, index) => ({
+    number: index + 1,
+    title: reference.title,
+    packTitle: reference.packTitle,
+    source: reference.source
+  }));
+  const cited = new Set([...text.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  const citedSources = sources.filter(source => cited.has(source.number));
+  return citedSources.length > 0 ? citedSources : sources;
+}
+
+/**
+ * Count prompt tokens the way the current backend does
+ */
+function countTokens(text) {
+  return backend.countTokens(text);
+}
+
+/**
+ * Fold messages that were trimmed from the prompt into the conversation's
+ * running summary, so older context is not lost entirely
+ */
+async function updateConversationMemory(conversationId, firstIncludedIndex) {
+  const conversation = conversations[conversationId];
+  if (!conversation || summaryTask) {
+    return;
+  }
+  const memory = conversation.memory || {summary: '', coveredCount: 0};
+  const messages = conversation.messages;
+  const pending = messages.slice(memory.coveredCount, firstIncludedIndex);
+  if (!pending.some(message => message.role === 'user')) {
+    return;
+  }
+  
+  // Claimed before anything is awaited, so a question sent meanwhile waits
+  // for (or cancels) the update instead of running alongside it
+  let summary = '';
+  const task = {cancelled: false, promise: null};
+  summaryTask = task;
+  task.promise = (async () => {
+    const request = buildSummaryPrompt(memory.summary, pending);
+    request.promptTokens = await countTokens(request.prompt);
+    if (task.cancelled) {
+      return;
+    }
+    const options = resolveGenerationOptions(settings, modes[conversation.mode]);
+    await backend.generate(request, options, (partialResponse) => {
+      summary += partialResponse;
+    });
+  })().catch(error => {
+    if (!task.cancelled) {
+      console.error('Error updating conversation memory:', error);
+    }
+  });
+  
+  try {
+    await task.promise;
+  } finally {
+    summaryTask = null;
+  }
+  
+  // Discard the result if it was interrupted by a new question (it is retried
+  // after the next answer) or the chat was cleared or deleted meanwhile
+  if (task.cancelled || !summary.trim() || conversations[conversationId] !== conversation ||
+      conversation.messages !== messages) {
+    return;
+  }
+  conversation.memory = {summary: summary.trim(), coveredCount: firstIncludedIndex};
+  saveChatHistory(conversation);
+}
+
+/**
+ * Show or hide the export menu
+ */
+function toggleExportMenu(open = exportMenu.classList.contains('hidden')) {
+  exportMenu.classList.toggle('hidden', !open);
+  exportButton.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Export the current conversation, or every saved one, in the chosen format
+ */
+async function exportConversations(format, scope) {
+  toggleExportMenu(false);
+  
+  const current = currentConversation();
+  const list = scope === 'all' ?
+    sortConversations(Object.values(conversations).filter(hasUserMessages)) :
+    (hasUserMessages(current) ? [current] : []);
+  if (list.length === 0) {
+    alert(t(scope === 'all' ? 'export.nothingAll' : 'export.nothingCurrent'));
+    return;
+  }
+  const named = scope === 'all' ? null : current;
+  
+  try {
+    if (format === 'json') {
+      downloadFile(exportFileName(named, 'json'), exportConversationsJson(list), 'application/json');
+    } else if (format === 'markdown') {
+      downloadFile(exportFileName(named, 'md'), conversationsToMarkdown(list, modes), 'text/markdown');
+    } else if (format === 'print') {
+      if (!printConversations(list, modes)) {
+        alert(t('export.popupBlocked'));
+      }
+    } else if (format === 'share') {
+      await shareConversation(current, modes);
+    }
+  } catch (error) {
+    console.error('Error exporting conversations:', error);
+    alert(t('export.failed', {error: error.message}));
+  }
+}
+
+/**
+ * Import conversations from a JSON export, skipping ones already here
+ */
+async function importConversations(file) {
+  try {
+    const {conversations: incoming, invalidCount} = parseConversationsJson(await file.text());
+    
+    // Chats from modes this app does not have cannot be shown
+    const usable = incoming.filter(conversation => modes[conversation.mode]);
+    const unusable = invalidCount + incoming.length - usable.length;
+    
+    const {added, updated, skipped} = mergeConversations(Object.values(conversations), usable);
+    for (const conversation of [...added, ...updated]) {
+      conversations[conversation.id] = conversation;
+      await storeConversation(conversation);
+    }
+    
+    renderConversationList();
+    if (updated.some(conversation => isOnScreen(conversation.id))) {
+      displayChatHistory();
+    }
+    
+    let summary = plural('import.added', added.length);
+    if (updated.length > 0) {
+      summary += t('import.updated', {count: updated.length});
+    }
+    if (skipped > 0) {
+      summary += t('import.skipped', {count: skipped});
+    }
+    if (unusable > 0) {
+      summary += t('import.unusable', {count: unusable});
+    }
+    alert(summary + '.');
+  } catch (error) {
+    console.error('Error importing conversations:', error);
+    alert(t('import.failed', {error: error.message}));
+  }
+}
+
+/**
+ * Show the knowledge packs that ship with the app and those installed from files
+ */
+async function renderKnowledgePacks() {
+  knowledgeList.innerHTML = '';
+  
+  let installed = [];
+  let catalog = [];
+  try {
+    installed = await listInstalledPacks();
+  } catch (error) {
+    console.error('Error reading knowledge packs:', error);
+  }
+  try {
+    catalog = await fetchCatalog();
+  } catch (error) {
+    console.error('Error loading knowledge pack list:', error);
+  }
+  
+  const installedById = new Map(installed.map(pack => [pack.id, pack]));
+  const entries = [
+    ...catalog.map(pack => ({...pack, installed: installedById.get(pack.id)})),
+    ...installed.filter(pack => !catalog.some(entry => entry.id === pack.id))
+      .map(pack => ({...pack, installed: pack}))
+  ];
+  
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = t('knowledge.empty');
+    knowledgeList.appendChild(empty);
+    return;
+  }
+  
+  entries.forEach(entry => knowledgeList.appendChild(createKnowledgePackItem(entry)));
+}
+
+/**
+ * Create the list entry for one knowledge pack, with its install or remove button
+ */
+function createKnowledgePackItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'knowledge-item';
+  
+  const details = document.createElement('div');
+  details.className = 'knowledge-details';
+  const title = document.createElement('strong');
+  title.textContent = `${modes[entry.mode] ? modes[entry.mode].icon : '📄'} ${entry.title}`;
+  details.appendChild(title);
+  if (entry.description) {
+    const description = document.createElement('p');
+    description.textContent = entry.description;
+    details.appendChild(description);
+  }
+  const status = document.createElement('p');
+  status.className = 'knowledge-status';
+  status.textContent = entry.installed ?
+    plural('knowledge.installed', entry.installed.documentCount) :
+    t('knowledge.notInstalled');
+  details.appendChild(status);
+  item.appendChild(details);
+  
+  const actions = document.createElement('div');
+  actions.className = 'knowledge-actions';
+  const outdated = entry.installed && entry.url && entry.packVersion &&
+    entry.installed.packVersion !== entry.packVersion;
+  if (!entry.installed || outdated) {
+    const installButton = document.createElement('button');
+    installButton.className = 'clear-btn';
+    installButton.textContent = t(outdated ? 'knowledge.update' : 'knowledge.install');
+    installButton.addEventListener('click', async () => {
+      installButton.disabled = true;
+      installButton.textContent = t('knowledge.installing');
+      try {
+        await installPackFromUrl(entry.url);
+      } catch (error) {
+        console.error('Error installing knowledge pack:', error);
+        alert(t('knowledge.installFailed', {error: error.message}));
+      }
+      renderKnowledgePacks();
+    });
+    actions.appendChild(installButton);
+  }
+  if (entry.installed) {
+    const removeButton = document.createElement('button');
+    removeButton.className = 'clear-btn';
+    removeButton.textContent = t('knowledge.remove');
+    removeButton.addEventListener('click', async () => {
+      try {
+        await removePack(entry.id);
+      } catch (error) {
+        console.error('Error removing knowledge pack:', error);
+      }
+      renderKnowledgePacks();
+    });
+    actions.appendChild(removeButton);
+  }
+  item.appendChild(actions);
+  
+  return item;
+}
+
+/**
+ * Install a knowledge pack from a file the user picked
+ */
+async function installPackFile(file) {
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(t('export.errorInvalidJson'));
+    }
+    const pack = await installPack(data);
+    if (!modes[pack.mode]) {
+      alert(t('knowledge.unknownMode', {title: pack.title}));
+    }
+  } catch (error) {
+    console.error('Error installing knowledge pack:', error);
+    alert(t('knowledge.installFailed', {error: error.message}));
+  }
+  renderKnowledgePacks();
+}
+
+/**
+ * Show how much storage the app uses, whether the browser keeps it, and the
+ * archived conversations
+ */
+async function renderStorage() {
+  const [storage, persisted] = await Promise.all([estimateStorage(), isStoragePersisted()]);
+  storageStatus.textContent = [
+    storage ? t('storage.usage', {used: storage.usedMB, quota: storage.quotaMB}) : t('storage.usageUnknown'),
+    t(persisted ? 'storage.persisted' : 'storage.notPersisted')
+  ].join(' ');
+  
+  let archived = [];
+  try {
+    archived = await loadArchivedConversations();
+  } catch (error) {
+    console.error('Error reading archived conversations:', error);
+  }
+  
+  archiveList.innerHTML = '';
+  if (archived.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = t('storage.noArchived');
+    archiveList.appendChild(empty);
+    return;
+  }
+  archived.forEach(entry => archiveList.appendChild(createArchivedItem(entry)));
+}
+
+/**
+ * Create the list entry for one archived conversation, with its restore and
+ * delete buttons
+ */
+function createArchivedItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'knowledge-item';
+  
+  const details = document.createElement('div');
+  details.className = 'knowledge-details';
+  const title = document.createElement('strong');
+  title.textContent = `${modes[entry.mode] ? modes[entry.mode].icon : '💬'} ${entry.title}`;
+  details.appendChild(title);
+  const status = document.createElement('p');
+  status.className = 'knowledge-status';
+  status.textContent = t('storage.archivedDetails', {
+    mode: modes[entry.mode] ? modeText(entry.mode, 'title') : entry.mode,
+    date: new Date(entry.updatedAt).toLocaleDateString(getLanguage()),
+    size: Math.max(1, Math.round(entry.size / 1024))
+  });
+  details.appendChild(status);
+  item.appendChild(details);
+  
+  const actions = document.createElement('div');
+  actions.className = 'knowledge-actions';
+  const restoreButton = document.createElement('button');
+  restoreButton.className = 'clear-btn';
+  restoreButton.textContent = t('storage.restore');
+  restoreButton.addEventListener('click', async () => {
+    restoreButton.disabled = true;
+    try {
+      const conversation = await restoreArchivedConversation(entry.id);
+      conversations[conversation.id] = conversation;
+      renderConversationList();
+    } catch (error) {
+      console.error('Error restoring conversation:', error);
+      alert(t('storage.restoreFailed', {error: error.message}));
+    }
+    renderStorage();
+  });
+  actions.appendChild(restoreButton);
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'clear-btn';
+  deleteButton.textContent = t('storage.delete');
+  deleteButton.addEventListener('click', async () => {
+    if (!confirm(t('sidebar.confirmDelete', {title: entry.title}))) {
+      return;
+    }
+    try {
+      await deleteArchivedConversation(entry.id);
+    } catch (error) {
+      console.error('Error deleting archived conversation:', error);
+    }
+    renderStorage();
+  });
+  actions.appendChild(deleteButton);
+  item.appendChild(actions);
+  
+  return item;
+}
+
+/**
+ * Archive the old conversations now, without waiting for storage to run low
+ */
+async function archiveOldConversations() {
+  archiveOldButton.disabled = true;
+  try {
+    const {archived} = await freeStorage(false);
+    if (archived.length === 0) {
+      alert(t('storage.nothingToArchive', {days: ARCHIVE_AFTER_DAYS}));
+    }
+  } catch (error) {
+    console.error('Error archiving conversations:', error);
+  }
+  archiveOldButton.disabled = false;
+  renderStorage();
+}
+
+/**
+ * Show the diagnostics panel: the model in use and how long it took to
+ * load, how fast recent answers came, memory and storage, and the error log
+ */
+async function renderDiagnostics() {
+  const {loads, answers, errors} = getDiagnostics();
+  const typical = summarizeAnswers(answers);
+  const memory = memoryUsage();
+  const storage = await estimateStorage();
+  const seconds = ms => t('diagnostics.seconds', {seconds: (ms / 1000).toFixed(1)});
+  const unknown = t('diagnostics.unknown');
+  
+  const lastLoad = loads[loads.length - 1];
+  let loadTime = unknown;
+  if (lastLoad && lastLoad.ok) {
+    loadTime = lastLoad.createMs !== null ?
+      t('diagnostics.loadTimeDetails', {total: seconds(lastLoad.totalMs), create: seconds(lastLoad.createMs)}) :
+      seconds(lastLoad.totalMs);
+  } else if (lastLoad) {
+    loadTime = t('diagnostics.loadFailed', {error: lastLoad.error});
+  }
+  
+  let model = t('diagnostics.notLoaded');
+  if (backend && backend.id === 'server') {
+    model = t('diagnostics.server', {url: backend.url});
+  } else if (backend && deviceModel) {
+    model = modelLabel(deviceModel);
+  }
+  
+  const memoryParts = [];
+  if (memory.deviceGB !== null) {
+    memoryParts.push(t('diagnostics.deviceMemory', {memory: memory.deviceGB}));
+  }
+  if (memory.usedMB !== null) {
+    memoryParts.push(t('diagnostics.pageMemory', {used: memory.usedMB, limit: memory.limitMB}));
+  }
+  
+  const rows = [
+    [t('diagnostics.model'), model],
+    [t('diagnostics.loadTime'), loadTime],
+    [t('diagnostics.answers'), typical.count > 0 ? plural('diagnostics.answerCount', typical.count) : t('diagnostics.noAnswers')],
+    [t('diagnostics.firstToken'), typical.firstTokenMs !== null ? seconds(typical.firstTokenMs) : unknown],
+    [t('diagnostics.speed'), typical.tokensPerSecond !== null ? t('diagnostics.tokensPerSecond', {rate: typical.tokensPerSecond}) : unknown],
+    [t('diagnostics.promptTokens'), typical.promptTokens !== null ? String(typical.promptTokens) : unknown],
+    [t('diagnostics.memory'), memoryParts.length > 0 ? memoryParts.join('; ') : unknown],
+    [t('diagnostics.storage'), storage ? t('diagnostics.storageUsage', {used: storage.usedMB, quota: storage.quotaMB}) : unknown]
+  ];
+  diagnosticsSummary.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    diagnosticsSummary.append(term, description);
+  });
+  
+  // Newest errors first
+  errorLog.innerHTML = '';
+  if (errors.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = t('diagnostics.noErrors');
+    errorLog.appendChild(empty);
+    return;
+  }
+  errors.slice().reverse().forEach(entry => {
+    const item = document.createElement('li');
+    const time = document.createElement('time');
+    time.dateTime = new Date(entry.at).toISOString();
+    time.textContent = new Date(entry.at).toLocaleString(getLanguage());
+    item.append(time, entry.message);
+    errorLog.appendChild(item);
+  });
+}
+
+/**
+ * Save the diagnostics as a JSON report the user can send to whoever
+ * supports the app. It has no chats in it.
+ */
+async function saveDiagnosticsReport() {
+  saveDiagnosticsButton.disabled = true;
+  try {
+    const [capabilities, persisted] = await Promise.all([detectCapabilities(), isStoragePersisted()]);
+    const report = buildReport({
+      app: {
+        backend: backend ? backend.id : '',
+        model: deviceModel ? deviceModel.id : '',
+        settings: {
+          backend: settings.backend,
+          deviceModel: settings.deviceModel,
+          maxTokens: settings.maxTokens,
+          language: settings.language
+        }
+      },
+      device: {...capabilities, memory: memoryUsage(), persisted}
+    });
+    downloadFile(reportFileName(), JSON.stringify(report, null, 2), 'application/json');
+  } catch (error) {
+    console.error('Error saving diagnostics report:', error);
+    alert(t('diagnostics.saveFailed', {error: error.message}));
+  }
+  saveDiagnosticsButton.disabled = false;
+}
+
+/**
+ * Replace a select's options with `entries` ({value, label}), keeping the
+ * selected value if it is still offered
+ */
+function fillSelect(select, entries) {
+  const selected = select.value;
+  select.innerHTML = '';
+  entries.forEach(({value, label}) => select.appendChild(new Option(label, value)));
+  if (entries.some(entry => entry.value === selected)) {
+    select.value = selected;
+  }
+}
+
+/**
+ * Open the farm tools panel with its lists in the interface language
+ */
+function openFarmTools() {
+  if (!agronomy) {
+    return;
+  }
+  const language = getLanguage();
+  const pick = field => field[language] || field.en;
+  const elements = farmToolsForm.elements;
+  fillSelect(elements.crop, agronomy.crops.map(crop => ({value: crop.id, label: pick(crop.label)})));
+  fillSelect(elements.district, agronomy.districts.map(district => ({value: district.name, label: district.name})));
+  farmToolsForm.querySelectorAll('select[data-kinds]').forEach(select => {
+    const kinds = select.dataset.kinds.split(' ');
+    fillSelect(select, agronomy.units
+      .filter(unit => kinds.includes(unit.kind))
+      .map(unit => ({value: unit.id, label: pick(unit.label)})));
+  });
+  
+  showFarmToolFields();
+  farmToolsDialog.showModal();
+}
+
+/**
+ * Show only the fields the chosen tool needs, clearing the last result
+ */
+function showFarmToolFields() {
+  const tool = farmToolsForm.elements.tool.value;
+  farmToolsForm.querySelectorAll('[data-tools]').forEach(field => {
+    field.classList.toggle('hidden', !field.dataset.tools.split(' ').includes(tool));
+  });
+  farmToolsError.textContent = '';
+  farmToolsResult.innerHTML = '';
+  farmToolResult = null;
+  insertFarmResultButton.disabled = true;
+}
+
+/**
+ * Work out the chosen tool from the form and show the result
+ */
+function calculateFarmTool() {
+  const values = Object.fromEntries(new FormData(farmToolsForm));
+  const argumentsByTool = {
+    crop_calendar: {crop: values.crop, district: values.district},
+    input_rates: {crop: values.crop, area: values.area, unit: values.areaUnit},
+    plot_area: {length: values.plotLength, width: values.plotWidth, unit: values.lengthUnit},
+    convert_units: {value: values.value, from: values.from, to: values.to, crop: values.crop}
+  };
+  
+  try {
+    farmToolResult = runTool(agronomy, {name: values.tool, ...argumentsByTool[values.tool]}, getLanguage());
+    farmToolsError.textContent = '';
+    farmToolsResult.replaceChildren(renderMarkdown(farmToolResult.content));
+    insertFarmResultButton.disabled = false;
+  } catch (error) {
+    farmToolResult = null;
+    farmToolsError.textContent = error.message;
+    farmToolsResult.innerHTML = '';
+    insertFarmResultButton.disabled = true;
+  }
+}
+
+/**
+ * Add the panel's result to the current conversation, so the user can ask
+ * about it
+ */
+function insertFarmToolResult() {
+  if (!farmToolResult) {
+    return;
+  }
+  const conversation = currentConversation();
+  conversation.messages.push({
+    role: 'assistant',
+    content: farmToolResult.content,
+    tool: {name: farmToolResult.name, arguments: farmToolResult.arguments}
+  });
+  saveChatHistory(conversation);
+  displayChatHistory();
+  farmToolsDialog.close();
+  userInput.focus();
+}
+
+/**
+ * Open the quiz panel where the student left it: the quiz being written, the
+ * quiz on screen, or the setup form with their progress
+ */
+function openQuiz() {
+  fillSelect(quizForm.elements.exam, EXAMS.map(exam => ({value: exam, label: exam})));
+  fillSelect(quizForm.elements.subject, SUBJECTS.map(subject => ({value: subject, label: subjectLabel(subject)})));
+  if (modelTask && modelTask.kind === 'quiz') {
+    showQuizView(quizWorking);
+  } else if (quiz) {
+    showQuizView(quizQuestionsForm);
+  } else {
+    showQuizSetup();
+  }
+  quizDialog.showModal();
+}
+
+/**
+ * Show one of the quiz panel's views (setup, writing, questions)
+ */
+function showQuizView(view) {
+  [quizForm, quizWorking, quizQuestionsForm].forEach(element => {
+    element.classList.toggle('hidden', element !== view);
+  });
+}
+
+/**
+ * Show the setup form with the student's scores per subject and the number
+ * of questions due for review
+ */
+function showQuizSetup() {
+  const progress = loadProgress();
+  const due = dueReviews(progress).length;
+  reviewQuizButton.textContent = t('quiz.review', {count: due});
+  reviewQuizButton.classList.toggle('hidden', due === 0);
+  
+  quizProgressList.innerHTML = '';
+  const summary = subjectSummary(progress);
+  if (summary.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = t('quiz.noProgress');
+    quizProgressList.appendChild(empty);
+  }
+  summary.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'knowledge-item';
+    const details = document.createElement('div');
+    details.className = 'knowledge-details';
+    const title = document.createElement('strong');
+    title.textContent = subjectLabel(entry.subject);
+    const scores = document.createElement('p');
+    scores.className = 'knowledge-status';
+    scores.textContent = t('quiz.subjectScores', {
+      quizzes: plural('quiz.quizzes', entry.quizzes),
+      average: entry.average,
+      last: entry.last
+    });
+    details.append(title, scores);
+    item.appendChild(details);
+    quizProgressList.appendChild(item);
+  });
+  
+  showQuizView(quizForm);
+}
+
+/**
+ * Have the model write a quiz from the setup form, then show it
+ */
+async function startQuiz() {
+  const values = Object.fromEntries(new FormData(quizForm));
+  const options = {
+    exam: values.exam,
+    subject: values.subject,
+    topic: values.topic.trim(),
+    type: values.type,
+    count: Number(values.count)
+  };
+  if (!options.topic) {
+    quizError.textContent = t('quiz.topicRequired');
+    return;
+  }
+  if (!backend) {
+    quizError.textContent = t('chat.modelNotLoaded');
+    return;
+  }
+  if (isGenerating) {
+    quizError.textContent = t('quiz.busy');
+    return;
+  }
+  
+  quizError.textContent = '';
+  showQuizView(quizWorking);
+  try {
+    const questions = await writeQuiz(options);
+    if (!questions) {
+      showQuizSetup();
+      return;
+    }
+    quiz = {...options, questions, review: false, checked: false};
+    renderQuiz();
+  } catch (error) {
+    console.error('Error writing quiz:', error);
+    quizError.textContent = error.message;
+    showQuizSetup();
+  }
+}
+
+/**
+ * Ask the model for a quiz, asking again (with what was wrong) when the
+ * reply is not usable JSON. Resolves to the questions, or null if cancelled.
+ */
+async function writeQuiz(options) {
+  const task = await startModelTask('quiz');
+  const conversation = currentConversation();
+  let retryNote = '';
+  try {
+    for (let attempt = 1; attempt <= QUIZ_ATTEMPTS; attempt++) {
+      quizStatus.textContent = t('quiz.writing', {attempt, attempts: QUIZ_ATTEMPTS});
+      let text;
+      try {
+        text = await generateTaskReply(task, buildSystemPrompt(conversation), quizRequest(options, retryNote), conversation.mode);
+      } catch (error) {
+        console.error('Error generating quiz:', error);
+        throw new Error(t('quiz.failed'));
+      }
+      if (text === null) {
+        return null;
+      }
+      
+      try {
+        return parseQuiz(text, options);
+      } catch (error) {
+        console.error(`Quiz attempt ${attempt} was not usable:`, error.message);
+        retryNote = error.message;
+      }
+    }
+    throw new Error(t('quiz.unusable'));
+  } finally {
+    finishModelTask();
+  }
+}
+
+/**
+ * Start a review of the questions that are due
+ */
+function startReview() {
+  const due = dueReviews(loadProgress()).slice(0, REVIEW_QUIZ_SIZE);
+  if (due.length === 0) {
+    return;
+  }
+  quiz = {questions: due.map(item => item.question), review: true, checked: false};
+  renderQuiz();
+}
+
+/**
+ * Show the quiz's questions, ready to be answered
+ */
+function renderQuiz() {
+  quizHeading.textContent = quiz.review ?
+    t('quiz.reviewHeading', {count: quiz.questions.length}) :
+    `${quiz.exam} · ${subjectLabel(quiz.subject)} · ${quiz.topic}`;
+  quizQuestionsList.innerHTML = '';
+  quiz.questions.forEach((question, index) => {
+    const item = document.createElement('li');
+    item.className = 'quiz-question';
+    const text = document.createElement('p');
+    text.textContent = question.question;
+    item.appendChild(text);
+    
+    if (question.choices) {
+      question.choices.forEach((choice, choiceIndex) => {
+        const label = document.createElement('label');
+        label.className = 'quiz-choice';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `question-${index}`;
+        radio.value = String(choiceIndex);
+        const choiceText = document.createElement('span');
+        choiceText.textContent = choice;
+        label.append(radio, choiceText);
+        item.appendChild(label);
+      });
+    } else {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = `question-${index}`;
+      input.className = 'quiz-answer-input';
+      input.setAttribute('aria-label', t('quiz.yourAnswer'));
+      item.appendChild(input);
+    }
+    quizQuestionsList.appendChild(item);
+  });
+  
+  quizScore.textContent = '';
+  checkQuizButton.classList.remove('hidden');
+  showQuizView(quizQuestionsForm);
+}
+
+/**
+ * Grade the answers, showing the right answer and its explanation under
+ * each question, and record the result
+ */
+function checkQuiz() {
+  if (!quiz || quiz.checked) {
+    return;
+  }
+  const elements = quizQuestionsForm.elements;
+  const results = quiz.questions.map((question, index) => {
+    const field = elements.namedItem(`question-${index}`);
+    const answer = question.choices ?
+      (field.value === '' ? null : Number(field.value)) :
+      field.value;
+    return isCorrect(question, answer);
+  });
+  
+  quizQuestionsList.querySelectorAll('.quiz-question').forEach((item, index) => {
+    const question = quiz.questions[index];
+    const correctAnswer = question.choices ? question.choices[question.answer] : question.answer;
+    const feedback = document.createElement('div');
+    feedback.className = results[index] ? 'quiz-feedback' : 'quiz-feedback wrong';
+    feedback.textContent = results[index] ?
+      t('quiz.correct') :
+      t('quiz.wrong', {answer: correctAnswer});
+    if (question.explanation) {
+      feedback.textContent += ` ${question.explanation}`;
+    }
+    item.appendChild(feedback);
+  });
+  quizQuestionsForm.querySelectorAll('input').forEach(input => {
+    input.disabled = true;
+  });
+  
+  const score = recordQuiz(loadProgress(), quiz, results);
+  quiz.checked = true;
+  quizScore.textContent = t('quiz.score', {score, total: results.length});
+  checkQuizButton.classList.add('hidden');
+}
+
+/**
+ * Leave the quiz on screen for the setup form
+ */
+function closeQuizQuestions() {
+  quiz = null;
+  showQuizSetup();
+}
+
+/**
+ * Open the CV builder at the list of saved CVs
+ */
+function openCvBuilder() {
+  fillSelect(cvForm.querySelector('[data-field="template"]'),
+    CV_TEMPLATES.map(template => ({value: template, label: t(`cv.templates.${template}`)})));
+  if (!editingCv) {
+    showCvList();
+  }
+  cvDialog.showModal();
+}
+
+/**
+ * Show the saved CVs, each with Edit and Delete
+ */
+function showCvList() {
+  editingCv = null;
+  cvError.textContent = '';
+  cvList.innerHTML = '';
+  const saved = loadCvs();
+  if (saved.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = t('cv.empty');
+    cvList.appendChild(empty);
+  }
+  saved.forEach(cv => {
+    const item = document.createElement('li');
+    item.className = 'knowledge-item';
+    const details = document.createElement('div');
+    details.className = 'knowledge-details';
+    const title = document.createElement('strong');
+    title.textContent = cvTitle(cv) || t('cv.untitled');
+    const status = document.createElement('p');
+    status.className = 'knowledge-status';
+    status.textContent = t('cv.updated', {date: new Date(cv.updatedAt).toLocaleDateString(getLanguage())});
+    details.append(title, status);
+    
+    const actions = document.createElement('div');
+    actions.className = 'knowledge-actions';
+    const editButton = document.createElement('button');
+    editButton.className = 'clear-btn';
+    editButton.textContent = t('cv.edit');
+    editButton.addEventListener('click', () => editCv(cv));
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'clear-btn';
+    deleteButton.textContent = t('cv.delete');
+    deleteButton.addEventListener('click', () => {
+      if (confirm(t('cv.confirmDelete', {title: cvTitle(cv) || t('cv.untitled')}))) {
+        if (storeCvs(loadCvs().filter(other => other.id !== cv.id))) {
+          showCvList();
+        }
+      }
+    });
+    actions.append(editButton, deleteButton);
+    item.append(details, actions);
+    cvList.appendChild(item);
+  });
+  
+  cvListView.classList.remove('hidden');
+  cvForm.classList.add('hidden');
+}
+
+/**
+ * Open a CV (or a new one) in the step-by-step form
+ */
+function editCv(cv) {
+  editingCv = cv;
+  cvForm.querySelectorAll('[data-field]').forEach(field => {
+    const [group, name] = field.dataset.field.split('.');
+    field.value = name ? cv[group][name] : cv[group];
+  });
+  Object.keys(ENTRY_FIELDS).forEach(kind => {
+    const container = cvForm.querySelector(`[data-entries="${kind}"]`);
+    container.replaceChildren(...cv[kind].map(entry => createCvEntry(kind, entry)));
+  });
+  cvForm.querySelectorAll('.cv-undo').forEach(button => button.classList.add('hidden'));
+  
+  cvListView.classList.add('hidden');
+  cvForm.classList.remove('hidden');
+  showCvStep(0);
+}
+
+/**
+ * Create the fields for one school, job or reference
+ */
+function createCvEntry(kind, entry = {}) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'cv-entry';
+  fieldset.dataset.kind = kind;
+  
+  ENTRY_FIELDS[kind].forEach(name => {
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    text.textContent = t(`cv.fields.${name}`);
+    const input = document.createElement(name === 'duties' ? 'textarea' : 'input');
+    if (name === 'duties') {
+      input.rows = 4;
+      input.placeholder = t('cv.hints.duties');
+    } else {
+      input.type = 'text';
+      input.maxLength = 100;
+    }
+    input.dataset.entryField = name;
+    input.value = entry[name] || '';
+    label.append(text, input);
+    
+    if (name !== 'duties') {
+      fieldset.appendChild(label);
+      return;
+    }
+    // Duties can be polished like the other long fields
+    const field = document.createElement('div');
+    field.className = 'cv-polish-field';
+    const actions = document.createElement('div');
+    actions.className = 'cv-polish-actions';
+    const polishButton = document.createElement('button');
+    polishButton.type = 'button';
+    polishButton.className = 'clear-btn cv-polish';
+    polishButton.dataset.polish = 'duties';
+    polishButton.textContent = t('cv.polish');
+    const undoButton = document.createElement('button');
+    undoButton.type = 'button';
+    undoButton.className = 'clear-btn cv-undo hidden';
+    undoButton.textContent = t('cv.undo');
+    actions.append(polishButton, undoButton);
+    field.append(label, actions);
+    fieldset.appendChild(field);
+  });
+  
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'clear-btn cv-remove';
+  removeButton.textContent = t('cv.remove');
+  fieldset.appendChild(removeButton);
+  return fieldset;
+}
+
+/**
+ * The fields of one school, job or reference as entered
+ */
+function readCvEntry(fieldset) {
+  return Object.fromEntries([...fieldset.querySelectorAll('[data-entry-field]')]
+    .map(input => [input.dataset.entryField, input.value]));
+}
+
+/**
+ * Save the list of CVs, showing an error (and returning false) if it cannot
+ * be saved, e.g. because storage is full
+ */
+function storeCvs(list) {
+  try {
+    saveCvs(list);
+    return true;
+  } catch (error) {
+    console.error('Error saving CVs:', error);
+    cvError.textContent = t(isQuotaError(error) ? 'cv.storageFull' : 'cv.saveFailed');
+    return false;
+  }
+}
+
+/**
+ * Copy the form into the CV being edited and save it. Returns false if it
+ * could not be saved; the error is shown and the CV stays in the form.
+ */
+function saveEditingCv() {
+  const data = {...editingCv, personal: {...editingCv.personal}, letter: {...editingCv.letter}};
+  cvForm.querySelectorAll('[data-field]').forEach(field => {
+    const [group, name] = field.dataset.field.split('.');
+    if (name) {
+      data[group][name] = field.value;
+    } else {
+      data[group] = field.value;
+    }
+  });
+  Object.keys(ENTRY_FIELDS).forEach(kind => {
+    data[kind] = [...cvForm.querySelectorAll(`.cv-entry[data-kind="${kind}"]`)].map(readCvEntry);
+  });
+  data.updatedAt = Date.now();
+  
+  editingCv = normalizeCv(data);
+  return storeCvs([editingCv, ...loadCvs().filter(cv => cv.id !== editingCv.id)]);
+}
+
+/**
+ * Show one step of the CV form
+ */
+function showCvStep(index) {
+  cvStep = index;
+  const step = CV_STEPS[index];
+  cvForm.querySelectorAll('.cv-step').forEach(fieldset => {
+    fieldset.classList.toggle('hidden', fieldset.dataset.step !== step);
+  });
+  cvStepTitle.textContent = t('cv.stepTitle', {
+    number: index + 1,
+    total: CV_STEPS.length,
+    name: t(`cv.steps.${step}`)
+  });
+  cvBackButton.disabled = index === 0;
+  cvNextButton.classList.toggle('hidden', index === CV_STEPS.length - 1);
+  cvError.textContent = '';
+}
+
+/**
+ * Save the CV and move to the next or previous step. A CV needs a name
+ * before going past the first step.
+ */
+function moveCvStep(offset) {
+  if (offset > 0 && !cvForm.querySelector('[data-field="personal.name"]').value.trim()) {
+    cvError.textContent = t('cv.nameRequired');
+    return;
+  }
+  if (!saveEditingCv()) {
+    return;
+  }
+  showCvStep(Math.min(Math.max(cvStep + offset, 0), CV_STEPS.length - 1));
+}
+
+/**
+ * Have the model polish the section next to `button` (or write the cover
+ * letter), keeping the previous text for Undo. Pressing the button again
+ * while it works stops it.
+ */
+async function polishCvSection(button) {
+  if (cvPolishButton === button) {
+    cancelModelTask();
+    return;
+  }
+  if (!backend) {
+    cvError.textContent = t('chat.modelNotLoaded');
+    return;
+  }
+  if (isGenerating) {
+    cvError.textContent = t('cv.busy');
+    return;
+  }
+  const field = button.closest('.cv-polish-field');
+  const textarea = field.querySelector('textarea');
+  const section = button.dataset.polish;
+  if (!textarea.value.trim() && section !== 'letter') {
+    cvError.textContent = t('cv.nothingToPolish');
+    return;
+  }
+  
+  if (!saveEditingCv()) {
     return;
   }
+  const entryElement = button.closest('.cv-entry');
+  const entry = entryElement ? readCvEntry(entryElement) : null;
+  const request = polishRequest(section, textarea.value.trim(), editingCv, entry);
   
-  // Disable input while generating
-  isGenerating = true;
-  sendButton.disabled = true;
-  userInput.disabled = true;
+  cvError.textContent = '';
+  cvPolishButton = button;
+  const label = button.textContent;
+  button.textContent = t('cv.stopPolishing');
+  cvForm.querySelectorAll('.cv-polish').forEach(other => {
+    other.disabled = other !== button;
+  });
   
-  // Create a placeholder for the assistant's response
-  const responsePlaceholder = document.createElement('div');
-  responsePlaceholder.className = 'message assistant-message typing';
+  const task = await startModelTask('cv');
+  try {
+    const reply = await generateTaskReply(task, modes[currentMode].systemPrompt, request, currentMode);
+    const polished = reply === null ? '' : cleanPolished(reply);
+    if (polished) {
+      textarea.dataset.previous = textarea.value;
+      textarea.value = polished;
+      field.querySelector('.cv-undo').classList.remove('hidden');
+      saveEditingCv();
+    }
+  } catch (error) {
+    console.error('Error polishing CV section:', error);
+    cvError.textContent = t('cv.polishFailed');
+  } finally {
+    finishModelTask();
+    cvPolishButton = null;
+    button.textContent = label;
+    cvForm.querySelectorAll('.cv-polish').forEach(other => {
+      other.disabled = false;
+    });
+  }
+}
+
+/**
+ * Put back the text a section had before the model polished it
+ */
+function undoCvPolish(button) {
+  const textarea = button.closest('.cv-polish-field').querySelector('textarea');
+  textarea.value = textarea.dataset.previous || '';
+  delete textarea.dataset.previous;
+  button.classList.add('hidden');
+  saveEditingCv();
+}
+
+/**
+ * Save the CV and open it, or its cover letter, as a printable page
+ */
+function printCvDocument(kind) {
+  if (!saveEditingCv()) {
+    return;
+  }
+  if (kind === 'letter' && !editingCv.letter.body) {
+    cvError.textContent = t('cv.letterEmpty');
+    return;
+  }
+  cvError.textContent = '';
+  const html = kind === 'letter' ? coverLetterToPrintableHtml(editingCv) : cvToPrintableHtml(editingCv);
+  if (!printHtml(html)) {
+    alert(t('export.popupBlocked'));
+  }
+}
+
+/**
+ * Open the settings panel
+ */
+function openSettings() {
+  fillSettingsForm();
+  settingsDialog.showModal();
+}
+
+/**
+ * Open the settings with an AI server chosen as the engine, ready for its
+ * address
+ */
+function openServerSettings() {
+  openSettings();
+  settingsForm.elements.namedItem('backend').value = 'server';
+  settingsForm.elements.namedItem('serverUrl').focus();
+}
+
+/**
+ * Fill the settings panel with the saved settings and the current mode's overrides
+ */
+function fillSettingsForm() {
+  const fields = settingsForm.elements;
+  const override = settings.modeOverrides[currentMode] || {};
   
-  // Add typing indicator
-  const typingIndicator = document.createElement('div');
-  typingIndicator.className = 'typing-indicator';
-  typingIndicator.innerHTML = '<span></span><span></span><span></span>';
-  responsePlaceholder.appendChild(typingIndicator);
+  fields.namedItem('maxTokens').innerHTML = '';
+  MAX_TOKEN_CHOICES.forEach(choice => {
+    fields.namedItem('maxTokens').appendChild(new Option(String(choice), String(choice)));
+  });
+  fields.namedItem('temperature').value = settings.temperature ?? '';
+  fields.namedItem('topK').value = settings.topK ?? '';
+  fields.namedItem('maxTokens').value = String(settings.maxTokens);
+  fields.namedItem('randomSeed').value = String(settings.randomSeed);
+  fields.namedItem('deterministic').checked = settings.deterministic;
+  fields.namedItem('modeRouting').value = settings.modeRouting;
+  fields.namedItem('readAloud').checked = settings.readAloud;
+  fillVoiceChoices(settings.voices);
+  fields.namedItem('modeTemperature').value = override.temperature ?? '';
+  fields.namedItem('modeTopK').value = override.topK ?? '';
+  fields.namedItem('backend').value = settings.backend;
+  fillSelect(fields.namedItem('deviceModel'), [
+    {value: 'auto', label: t('settings.deviceModelAuto')},
+    ...modelManifest.map(model => ({value: model.id, label: modelLabel(model)}))
+  ]);
+  fields.namedItem('deviceModel').value = modelManifest.some(model => model.id === settings.deviceModel) ?
+    settings.deviceModel : 'auto';
+  fields.namedItem('serverUrl').value = settings.serverUrl;
+  fields.namedItem('serverModel').value = settings.serverModel;
   
-  chatMessages.appendChild(responsePlaceholder);
-  scrollToBottom();
+  settingsModeHeading.textContent = t('settings.thisMode', {title: modeText(currentMode, 'title')});
+  settingsError.textContent = '';
+  showEffectiveSettings();
+}
+
+/**
+ * Offer a voice for each answer language in the settings, with `chosen`
+ * ({language: voiceURI}) selected
+ */
+function fillVoiceChoices(chosen) {
+  const voices = listVoices();
+  voiceChoices.replaceChildren(...LANGUAGES.map(({code, name}) => {
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    text.textContent = t('settings.voiceFor', {language: name});
+    const select = document.createElement('select');
+    select.name = `voice-${code}`;
+    const offered = voicesFor(voices, code);
+    fillSelect(select, [
+      {value: '', label: t('settings.voiceAuto')},
+      ...offered.map(voice => ({value: voice.voiceURI, label: voiceLabel(voice)}))
+    ]);
+    select.value = offered.some(voice => voice.voiceURI === chosen[code]) ? chosen[code] : '';
+    label.append(text, select);
+    return label;
+  }));
+}
+
+/**
+ * The voices chosen in the settings form, as {language: voiceURI}
+ */
+function readVoiceChoices() {
+  const chosen = {};
+  LANGUAGES.forEach(({code}) => {
+    const select = settingsForm.elements.namedItem(`voice-${code}`);
+    if (select && select.value) {
+      chosen[code] = select.value;
+    }
+  });
+  return chosen;
+}
+
+/**
+ * Show which temperature and top-K the current mode's answers will use
+ */
+function showEffectiveSettings() {
+  const options = resolveGenerationOptions(settings, modes[currentMode]);
+  settingsEffective.textContent = t('settings.effective', {
+    title: modeText(currentMode, 'title'),
+    temperature: options.temperature,
+    topK: options.topK
+  });
+}
+
+/**
+ * Validate and save the settings form. The model picks the new options up
+ * before its next response; a different engine restarts the app.
+ */
+function saveSettingsForm() {
+  const data = new FormData(settingsForm);
+  let general;
+  let override;
+  let randomSeed;
+  let serverUrl = String(data.get('serverUrl') || '').trim();
+  try {
+    general = validateGenerationParams({temperature: data.get('temperature'), topK: data.get('topK')});
+    override = validateGenerationParams({temperature: data.get('modeTemperature'), topK: data.get('modeTopK')});
+    randomSeed = Number(data.get('randomSeed') || 0);
+    if (!Number.isInteger(randomSeed) || randomSeed < 0) {
+      throw new Error(t('settings.errorSeed'));
+    }
+    if (data.get('backend') === 'server' || serverUrl) {
+      serverUrl = normalizeServerUrl(serverUrl);
+    }
+  } catch (error) {
+    settingsError.textContent = error.message;
+    return;
+  }
   
-  // Construct prompt with system prompt, some context from recent history, and the current user message
-  let prompt = modes[currentMode].systemPrompt + '\n\n';
+  settings.temperature = general.temperature ?? null;
+  settings.topK = general.topK ?? null;
+  settings.maxTokens = Number(data.get('maxTokens'));
+  settings.randomSeed = randomSeed;
+  settings.deterministic = data.get('deterministic') !== null;
+  settings.modeRouting = data.get('modeRouting');
+  settings.readAloud = data.get('readAloud') !== null;
+  if (isSynthesisSupported()) {
+    settings.voices = readVoiceChoices();
+  }
+  if (Object.keys(override).length > 0) {
+    settings.modeOverrides[currentMode] = override;
+  } else {
+    delete settings.modeOverrides[currentMode];
+  }
   
-  // Add up to 2 most recent exchanges for context if available
-  if (chatHistory[currentMode] && chatHistory[currentMode].length > 0) {
-    const recentHistory = chatHistory[currentMode].slice(-4); // Get up to 4 messages (2 exchanges)
-    for (let i = 0; i < recentHistory.length; i++) {
-      const msg = recentHistory[i];
-      prompt += (msg.role === 'user' ? 'User: ' : 'Assistant: ') + msg.content + '\n';
-    }
+  // The engine is chosen while the app starts up, so changing it restarts the app
+  const serverModel = String(data.get('serverModel') || '').trim();
+  const deviceModelChoice = data.get('deviceModel') || 'auto';
+  const engineChanged = data.get('backend') !== settings.backend || (data.get('backend') === 'server' &&
+    (serverUrl !== settings.serverUrl || serverModel !== settings.serverModel)) ||
+    (data.get('backend') === 'device' && deviceModelChoice !== settings.deviceModel);
+  settings.backend = data.get('backend');
+  settings.deviceModel = deviceModelChoice;
+  settings.serverUrl = serverUrl;
+  settings.serverModel = serverModel;
+  saveSettings(settings);
+  settingsDialog.close();
+  if (engineChanged) {
+    location.reload();
+  }
+}
+
+/**
+ * Put every generation setting, for all modes, back to its default
+ */
+function resetSettings() {
+  if (!confirm(t('settings.confirmReset'))) {
+    return;
   }
+  settings = resetGenerationSettings(settings);
+  saveSettings(settings);
+  fillSettingsForm();
+}
+
+/**
+ * Open the custom mode editor on its list of modes
+ */
+function openModeDialog() {
+  closeModeForm();
+  renderCustomModeList();
+  modeDialog.showModal();
+}
+
+/**
+ * List the user's custom modes with their edit, save, share and delete buttons
+ */
+function renderCustomModeList() {
+  customModeList.innerHTML = '';
   
-  // Add current user message
-  prompt += 'User: ' + userMessage + '\n' + 'Assistant: ';
+  if (customModes.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = t('modeEditor.empty');
+    customModeList.appendChild(empty);
+    return;
+  }
   
-  // Track the generated response
-  let generatedResponse = '';
+  customModes.forEach(mode => customModeList.appendChild(createCustomModeItem(mode)));
+}
+
+/**
+ * Create the list entry for one custom mode
+ */
+function createCustomModeItem(mode) {
+  const item = document.createElement('li');
+  item.className = 'knowledge-item';
   
-  // Generate response with the LLM
-  try {
-    // Remove any existing typing indicators first to prevent duplicates
-    const existingTypingIndicators = document.querySelectorAll('.typing-indicator');
-    existingTypingIndicators.forEach(indicator => {
-      const parentMessage = indicator.closest('.message');
-      if (parentMessage) {
-        parentMessage.remove();
+  const details = document.createElement('div');
+  details.className = 'knowledge-details';
+  const title = document.createElement('strong');
+  title.textContent = `${mode.icon} ${mode.title}`;
+  details.appendChild(title);
+  if (mode.description) {
+    const description = document.createElement('p');
+    description.textContent = mode.description;
+    details.appendChild(description);
+  }
+  item.appendChild(details);
+  
+  const actions = document.createElement('div');
+  actions.className = 'knowledge-actions';
+  const addAction = (label, onClick) => {
+    const button = document.createElement('button');
+    button.className = 'clear-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    actions.appendChild(button);
+  };
+  addAction(t('modeEditor.edit'), () => openModeForm(mode));
+  addAction(t('modeEditor.export'), () => {
+    downloadFile(modeFileName(mode), exportModesJson([mode]), 'application/json');
+  });
+  if (canShare()) {
+    addAction(t('modeEditor.share'), async () => {
+      try {
+        await shareMode(mode);
+      } catch (error) {
+        console.error('Error sharing mode:', error);
+        alert(t('modeEditor.shareFailed', {error: error.message}));
       }
     });
-    
-    // Create a message div that will stay and be updated with streaming content
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message assistant-message streaming';
-    
-    // Add typing indicator that will be replaced with content
-    const typingIndicator = document.createElement('div');
-    typingIndicator.className = 'typing-indicator';
-    typingIndicator.innerHTML = '<span></span><span></span><span></span>';
-    messageDiv.appendChild(typingIndicator);
-    
-    // Add to chat area
-    chatMessages.appendChild(messageDiv);
-    scrollToBottom();
-    
-    llmInference.generateResponse(prompt, (partialResponse, complete) => {
-      // Append the partial response
-      generatedResponse += partialResponse;
-      
-      // Update the message div with formatted markdown content
-      // Remove typing indicator first
-      if (typingIndicator.parentNode === messageDiv) {
-        messageDiv.removeChild(typingIndicator);
-      }
-      
-      // Apply simple markdown formatting
-      messageDiv.innerHTML = markdownParser.parse(generatedResponse);
-      scrollToBottom();
-      
-      // When generation is complete
-      if (complete) {
-        // Remove streaming class
-        messageDiv.classList.remove('streaming');
-        
-        // Save to history
-        if (!chatHistory[currentMode]) {
-          chatHistory[currentMode] = [];
-        }
-        chatHistory[currentMode].push({
-          role: 'assistant',
-          content: generatedResponse
-        });
-        saveChatHistory();
-        
-        // Re-enable input
-        isGenerating = false;
-        sendButton.disabled = false;
-        userInput.disabled = false;
-        userInput.focus();
-      }
+  }
+  addAction(t('modeEditor.delete'), () => removeCustomMode(mode.id));
+  item.appendChild(actions);
+  
+  return item;
+}
+
+/**
+ * Show the mode form, filled in with a custom mode to edit or empty for a new one
+ */
+function openModeForm(mode = null) {
+  editingModeId = mode ? mode.id : null;
+  modeForm.reset();
+  if (mode) {
+    modeForm.elements.namedItem('icon').value = mode.icon;
+    modeForm.elements.namedItem('title').value = mode.title;
+    modeForm.elements.namedItem('description').value = mode.description;
+    modeForm.elements.namedItem('systemPrompt').value = mode.systemPrompt;
+    modeForm.elements.namedItem('starters').value = mode.starters.join('\n');
+    modeForm.elements.namedItem('keywords').value = mode.keywords.join('\n');
+    modeForm.elements.namedItem('temperature').value = mode.params.temperature ?? '';
+    modeForm.elements.namedItem('topK').value = mode.params.topK ?? '';
+  }
+  modeFormError.textContent = '';
+  modeListView.classList.add('hidden');
+  modeForm.classList.remove('hidden');
+  modeForm.elements.namedItem('title').focus();
+}
+
+/**
+ * Go back from the mode form to the list of custom modes
+ */
+function closeModeForm() {
+  editingModeId = null;
+  modeForm.classList.add('hidden');
+  modeListView.classList.remove('hidden');
+}
+
+/**
+ * Validate the mode form and save it as a new or updated custom mode
+ */
+function saveModeForm() {
+  const data = new FormData(modeForm);
+  let mode;
+  try {
+    mode = validateMode({
+      id: editingModeId || createModeId(data.get('title')),
+      icon: data.get('icon'),
+      title: data.get('title'),
+      description: data.get('description'),
+      systemPrompt: data.get('systemPrompt'),
+      starters: data.get('starters').split('\n'),
+      keywords: data.get('keywords').split('\n'),
+      params: {temperature: data.get('temperature'), topK: data.get('topK')}
     });
   } catch (error) {
-    console.error('Error generating response:', error);
-    
-    // Remove any existing typing indicators
-    const existingTypingIndicators = document.querySelectorAll('.typing-indicator');
-    existingTypingIndicators.forEach(indicator => {
-      const parentMessage = indicator.closest('.message');
-      if (parentMessage) {
-        parentMessage.remove();
+    modeFormError.textContent = error.message;
+    return;
+  }
+  
+  const index = customModes.findIndex(other => other.id === mode.id);
+  if (index >= 0) {
+    customModes[index] = mode;
+  } else {
+    customModes.push(mode);
+  }
+  refreshModes();
+  closeModeForm();
+}
+
+/**
+ * Delete a custom mode and its chats after confirmation
+ */
+function removeCustomMode(id) {
+  const mode = modes[id];
+  const chats = Object.values(conversations).filter(conversation => conversation.mode === id);
+  const savedChats = chats.filter(hasUserMessages).length;
+  const question = savedChats > 0 ?
+    plural('modeEditor.confirmDeleteChats', savedChats, {title: mode.title}) :
+    t('modeEditor.confirmDelete', {title: mode.title});
+  if (!confirm(question)) {
+    return;
+  }
+  
+  chats.forEach(conversation => {
+    abandonPendingWork(conversation.id);
+    delete conversations[conversation.id];
+    deleteConversation(conversation.id)
+      .catch(error => console.error('Error deleting conversation:', error));
+  });
+  delete activeConversationIds[id];
+  saveActiveConversationIds();
+  delete settings.modeOverrides[id];
+  saveSettings(settings);
+  
+  customModes = customModes.filter(other => other.id !== id);
+  refreshModes();
+}
+
+/**
+ * Import custom modes from a mode file, replacing ones with the same id
+ */
+async function importModes(file) {
+  try {
+    const {modes: incoming, invalidCount} = parseModesJson(await file.text());
+    let added = 0;
+    let updated = 0;
+    let builtIn = 0;
+    incoming.forEach(mode => {
+      if (builtInModes.some(other => other.id === mode.id)) {
+        builtIn++;
+        return;
+      }
+      const index = customModes.findIndex(other => other.id === mode.id);
+      if (index >= 0) {
+        customModes[index] = mode;
+        updated++;
+      } else {
+        customModes.push(mode);
+        added++;
       }
     });
+    refreshModes();
     
-    // Add error message
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message assistant-message';
-    messageDiv.textContent = 'Sorry, there was an error generating a response. Please try again with a shorter message.';
-    chatMessages.appendChild(messageDiv);
-    
-    // Re-enable input
-    isGenerating = false;
-    sendButton.disabled = false;
-    userInput.disabled = false;
+    let summary = plural('modeEditor.imported', added);
+    if (updated > 0) {
+      summary += t('import.updated', {count: updated});
+    }
+    if (builtIn > 0) {
+      summary += t('modeEditor.importedBuiltIn', {count: builtIn});
+    }
+    if (invalidCount > 0) {
+      summary += t('import.unusable', {count: invalidCount});
+    }
+    alert(summary + '.');
+  } catch (error) {
+    console.error('Error importing modes:', error);
+    alert(t('modeEditor.importFailed', {error: error.message}));
+  }
+}
+
+/**
+ * Save the custom modes and redraw everything that shows them
+ */
+function refreshModes() {
+  saveCustomModes(customModes);
+  modes = buildModeRegistry(builtInModes, customModes);
+  renderModeButtons();
+  renderCustomModeList();
+  
+  if (modes[currentMode]) {
+    showModeInfo();
+  } else {
+    // The current mode was deleted
+    selectMode(defaultMode());
   }
 }
 
+/**
+ * Switch the interface language and redraw everything that shows text.
+ * Messages already in a chat stay in the language they were written in.
+ */
+async function applyLanguage(code) {
+  const language = await setLanguage(code);
+  document.title = t('app.documentTitle');
+  translatePage();
+  populateLanguageSelects();
+  renderModeButtons();
+  return language;
+}
+
+/**
+ * Fill the interface language picker and the "answer in" picker
+ */
+function populateLanguageSelects() {
+  languageSelect.innerHTML = '';
+  getInterfaceLanguages().forEach(language => {
+    languageSelect.appendChild(new Option(language.name, language.code, false, language.code === getLanguage()));
+  });
+  
+  answerLanguageSelect.innerHTML = '';
+  const appLanguage = getLanguageInfo(getLanguage());
+  answerLanguageSelect.appendChild(new Option(t('answerIn.appLanguage', {language: appLanguage.name}), ''));
+  LANGUAGES.forEach(language => {
+    answerLanguageSelect.appendChild(new Option(language.name, language.code));
+  });
+  updateAnswerLanguageSelect();
+}
+
+/**
+ * Show the current conversation's answer language
+ */
+function updateAnswerLanguageSelect() {
+  const conversation = currentConversation();
+  answerLanguageSelect.value = (conversation && conversation.answerLanguage) || '';
+}
+
+/**
+ * Change the interface language from the picker and remember it
+ */
+async function changeLanguage(code) {
+  settings.language = await applyLanguage(code);
+  saveSettings(settings);
+  
+  // Redraw text built by the app itself
+  showModeInfo();
+  updateInputState();
+  showSpeechState(speaker ? speaker.state : 'idle');
+  renderConversationList();
+  updateOfflineStatus();
+}
+
 // Event Listeners
 
 // Send button click
-sendButton.addEventListener('click', () => {
-  const message = userInput.value.trim();
-  if (message && !isGenerating) {
-    // Disable the button immediately to prevent double clicks
-    sendButton.disabled = true;
-    
-    // Add user message and generate response
-    addUserMessage(message);
-    userInput.value = '';
-    generateResponse(message);
-  }
-});
+sendButton.addEventListener('click', sendMessage);
+
+// Stop button click
+stopButton.addEventListener('click', stopGeneration);
+
+// Dictate a question, and control reading answers aloud
+micButton.addEventListener('click', toggleVoiceInput);
+speechPauseButton.addEventListener('click', toggleSpeechPause);
+speechStopButton.addEventListener('click', stopSpeaking);
+if (isSynthesisSupported()) {
+  // Browsers load their voices after the page; offer them once they arrive
+  window.speechSynthesis.addEventListener('voiceschanged', () => {
+    if (settingsDialog.open) {
+      fillVoiceChoices(readVoiceChoices());
+    }
+  });
+}
 
 // Enter key press in input
 userInput.addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' && !e.shiftKey && !isGenerating && !sendButton.disabled) {
+  if (e.key === 'Enter' && !e.shiftKey && !sendButton.disabled) {
     e.preventDefault();
-    sendButton.click();
+    sendMessage();
   }
 });
 
@@ -558,43 +4377,199 @@ userInput.addEventListener('input', () => {
   userInput.style.height = (userInput.scrollHeight) + 'px';
 });
 
-// Mode selection
-modeButtons.forEach(button => {
-  button.addEventListener('click', () => {
-    if (button.dataset.mode !== currentMode) {
-      // Store previous mode to check if it changed
-      const previousMode = currentMode;
-      
-      // Update current mode
-      currentMode = button.dataset.mode;
-      console.log(`Switching from ${previousMode} mode to ${currentMode} mode`);
-      
-      // Update UI for the new mode
-      updateModeUI(currentMode);
-      
-      // Clear any typing indicators before switching modes
-      const existingTypingIndicators = document.querySelectorAll('.typing-indicator');
-      existingTypingIndicators.forEach(indicator => {
-        const parentMessage = indicator.closest('.message');
-        if (parentMessage) {
-          parentMessage.remove();
-        }
-      });
-      
-      // Display chat history for the new mode
-      displayChatHistory();
-      
-      // If no history for this mode, add a welcome message
-      if (!chatHistory[currentMode] || chatHistory[currentMode].length === 0) {
-        addAssistantMessage(`Welcome to ${modes[currentMode].title}! I'm here to help you with ${modes[currentMode].description.toLowerCase().split('.')[0]}. What would you like to know?`, true);
-      }
-    }
-  });
-});
-
 // Clear chat button
 clearChatButton.addEventListener('click', clearCurrentModeChat);
 
+// Conversation sidebar
+newChatButton.addEventListener('click', startNewConversation);
+conversationSearch.addEventListener('input', renderConversationList);
+sidebarToggleButton.addEventListener('click', () => {
+  conversationSidebar.classList.toggle('open');
+});
+
+// Export menu
+exportButton.addEventListener('click', (e) => {
+  e.stopPropagation();
+  toggleExportMenu();
+});
+exportMenu.querySelectorAll('[data-export]').forEach(button => {
+  button.addEventListener('click', () => exportConversations(button.dataset.export, button.dataset.scope));
+});
+exportMenu.querySelector('[data-export="share"]').classList.toggle('hidden', !canShare());
+document.addEventListener('click', (e) => {
+  if (!exportMenu.contains(e.target)) {
+    toggleExportMenu(false);
+  }
+});
+
+// Import chats from a JSON export
+importButton.addEventListener('click', () => importInput.click());
+importInput.addEventListener('change', () => {
+  const file = importInput.files[0];
+  importInput.value = '';
+  if (file) {
+    importConversations(file);
+  }
+});
+
+// Interface language and the current chat's answer language
+languageSelect.addEventListener('change', () => changeLanguage(languageSelect.value));
+answerLanguageSelect.addEventListener('change', () => {
+  const conversation = currentConversation();
+  conversation.answerLanguage = answerLanguageSelect.value || null;
+  saveChatHistory(conversation);
+});
+
+// Settings
+settingsButton.addEventListener('click', openSettings);
+closeSettingsButton.addEventListener('click', () => settingsDialog.close());
+resetSettingsButton.addEventListener('click', resetSettings);
+settingsForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveSettingsForm();
+});
+
+// Custom mode editor
+closeModesButton.addEventListener('click', () => modeDialog.close());
+newModeButton.addEventListener('click', () => openModeForm());
+cancelModeButton.addEventListener('click', closeModeForm);
+modeForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveModeForm();
+});
+importModesButton.addEventListener('click', () => modeInput.click());
+modeInput.addEventListener('change', () => {
+  const file = modeInput.files[0];
+  modeInput.value = '';
+  if (file) {
+    importModes(file);
+  }
+});
+
+// Knowledge packs
+knowledgeButton.addEventListener('click', () => {
+  renderKnowledgePacks();
+  knowledgeDialog.showModal();
+});
+closeKnowledgeButton.addEventListener('click', () => knowledgeDialog.close());
+installPackFileButton.addEventListener('click', () => packInput.click());
+packInput.addEventListener('change', () => {
+  const file = packInput.files[0];
+  packInput.value = '';
+  if (file) {
+    installPackFile(file);
+  }
+});
+
+// Saved data and the archive
+storageButton.addEventListener('click', () => {
+  renderStorage();
+  storageDialog.showModal();
+});
+closeStorageButton.addEventListener('click', () => storageDialog.close());
+archiveOldButton.addEventListener('click', archiveOldConversations);
+
+// Diagnostics
+diagnosticsButton.addEventListener('click', () => {
+  renderDiagnostics();
+  diagnosticsDialog.showModal();
+});
+closeDiagnosticsButton.addEventListener('click', () => diagnosticsDialog.close());
+saveDiagnosticsButton.addEventListener('click', saveDiagnosticsReport);
+clearDiagnosticsButton.addEventListener('click', () => {
+  if (confirm(t('diagnostics.confirmClear'))) {
+    clearDiagnostics();
+    renderDiagnostics();
+  }
+});
+
+// Farm tools
+farmToolsButton.addEventListener('click', openFarmTools);
+closeFarmToolsButton.addEventListener('click', () => farmToolsDialog.close());
+farmToolsForm.elements.tool.addEventListener('change', showFarmToolFields);
+farmToolsForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  calculateFarmTool();
+});
+insertFarmResultButton.addEventListener('click', insertFarmToolResult);
+
+// Quiz
+quizButton.addEventListener('click', openQuiz);
+closeQuizButton.addEventListener('click', () => quizDialog.close());
+quizForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  startQuiz();
+});
+reviewQuizButton.addEventListener('click', startReview);
+cancelQuizButton.addEventListener('click', cancelModelTask);
+quizQuestionsForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  checkQuiz();
+});
+newQuizButton.addEventListener('click', closeQuizQuestions);
+
+// CV builder
+cvButton.addEventListener('click', openCvBuilder);
+closeCvButton.addEventListener('click', () => {
+  if (editingCv && !saveEditingCv()) {
+    return;
+  }
+  cvDialog.close();
+});
+newCvButton.addEventListener('click', () => editCv(createCv()));
+cvForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  moveCvStep(1);
+});
+cvBackButton.addEventListener('click', () => moveCvStep(-1));
+cvDoneButton.addEventListener('click', () => {
+  if (saveEditingCv()) {
+    showCvList();
+  }
+});
+printCvButton.addEventListener('click', () => printCvDocument('cv'));
+printLetterButton.addEventListener('click', () => printCvDocument('letter'));
+cvForm.addEventListener('click', (e) => {
+  const button = e.target.closest('button');
+  if (!button) {
+    return;
+  }
+  if (button.dataset.add) {
+    const entry = createCvEntry(button.dataset.add);
+    cvForm.querySelector(`[data-entries="${button.dataset.add}"]`).appendChild(entry);
+    entry.querySelector('input, textarea').focus();
+  } else if (button.classList.contains('cv-remove')) {
+    button.closest('.cv-entry').remove();
+  } else if (button.classList.contains('cv-polish')) {
+    polishCvSection(button);
+  } else if (button.classList.contains('cv-undo')) {
+    undoCvPolish(button);
+  }
+});
+// Typing over polished text drops its Undo
+cvForm.addEventListener('input', (e) => {
+  if (e.target.dataset.previous !== undefined) {
+    delete e.target.dataset.previous;
+    e.target.closest('.cv-polish-field').querySelector('.cv-undo').classList.add('hidden');
+  }
+});
+
+// Try starting the model again, or change the settings first, after it failed
+retryLoadButton.addEventListener('click', retryStartModel);
+loadErrorSettingsButton.addEventListener('click', openSettings);
+loadErrorServerButton.addEventListener('click', openServerSettings);
+
+// Pause or resume the model download
+downloadToggleButton.addEventListener('click', () => {
+  if (resumeModelDownload) {
+    downloadToggleButton.textContent = t('loading.pause');
+    loadingText.textContent = t('loading.resuming');
+    resumeModelDownload();
+  } else if (modelDownloadController) {
+    modelDownloadController.abort();
+  }
+});
+
 // Initialize the app
 initApp();
 
@@ -0,0 +1,464 @@
+// Farming toolkit: crop calendars by district, seed and fertiliser rates,
+// plot areas and local units, from data/agronomy.json. The same tools are
+// offered to the model, which asks for one with a TOOL line (see
+// parseToolCall), and to the user in the farm tools panel. Results are
+// Markdown so they can be shown and saved like any other message.
+
+import {normalizeText} from './emergency.js';
+import {t} from './i18n.js';
+
+export const AGRONOMY_FORMAT = 'geniguidesl-agronomy';
+export const AGRONOMY_VERSION = 1;
+
+const AGRONOMY_URL = 'data/agronomy.json';
+
+// Fertiliser is sold in bags of this many kilograms
+const BAG_KG = 50;
+
+// A model reply asking for a tool starts with this word
+const TOOL_CALL_PREFIX = 'TOOL';
+
+export const TOOL_NAMES = ['crop_calendar', 'input_rates', 'plot_area', 'convert_units'];
+
+/**
+ * Text reduced to lowercase words, for matching names typed by the user or
+ * the model ("Port Loko district" and "port loko" match)
+ */
+function simplify(text) {
+  return normalizeText(String(text)).trim().replace(/ district$/, '');
+}
+
+/**
+ * Strings for each language in a {en: ..., kri: ...} field, which must have
+ * English
+ */
+function localizedField(field, what) {
+  if (!field || typeof field !== 'object' || typeof field.en !== 'string') {
+    throw new Error(`${what} needs English text`);
+  }
+  return Object.fromEntries(Object.entries(field).filter(([, value]) => typeof value === 'string'));
+}
+
+const isMonth = value => Number.isInteger(value) && value >= 1 && value <= 12;
+
+/**
+ * Check one crop. Throws an Error when it cannot be used.
+ */
+function validateCrop(id, data, activities, zones) {
+  if (!data || typeof data !== 'object' || !data.calendar || !Array.isArray(data.calendar.default)) {
+    throw new Error(`Crop ${id} has no calendar`);
+  }
+  const calendar = {};
+  Object.entries(data.calendar).forEach(([zone, entries]) => {
+    if (zone !== 'default' && !zones[zone]) {
+      throw new Error(`Crop ${id} has a calendar for unknown zone ${zone}`);
+    }
+    calendar[zone] = entries.map(entry => {
+      if (!entry || !activities[entry.activity] || !Array.isArray(entry.months) || !entry.months.every(isMonth)) {
+        throw new Error(`Crop ${id} has an invalid calendar entry`);
+      }
+      return {activity: entry.activity, months: [entry.months[0], entry.months[entry.months.length - 1]]};
+    });
+  });
+  if (!data.seed || !(data.seed.amount > 0) || typeof data.seed.unit !== 'string') {
+    throw new Error(`Crop ${id} has no seed rate`);
+  }
+  const fertilisers = (Array.isArray(data.fertilisers) ? data.fertilisers : []).map(entry => {
+    if (!entry || typeof entry.name !== 'string' || !(entry.kgPerHectare > 0)) {
+      throw new Error(`Crop ${id} has an invalid fertiliser rate`);
+    }
+    return {name: entry.name, kgPerHectare: entry.kgPerHectare, timing: localizedField(entry.timing, `Fertiliser timing for ${id}`)};
+  });
+
+  return {
+    id,
+    label: localizedField(data.label, `Crop ${id}`),
+    aliases: [id, ...(Array.isArray(data.aliases) ? data.aliases : [])].map(simplify),
+    calendar,
+    note: data.note ? localizedField(data.note, `Note for ${id}`) : null,
+    seed: {amount: data.seed.amount, unit: data.seed.unit, spacing: typeof data.seed.spacing === 'string' ? data.seed.spacing : ''},
+    fertilisers,
+    zones: Array.isArray(data.zones) ? data.zones.filter(zone => zones[zone]) : Object.keys(zones)
+  };
+}
+
+/**
+ * Check one unit. Units of a kind convert through their factor (to square
+ * metres, metres or kilograms); market measures weigh differently for each
+ * crop, given in kgByCrop.
+ */
+function validateUnit(data) {
+  if (!data || typeof data.id !== 'string' || !['area', 'length', 'weight', 'measure'].includes(data.kind)) {
+    throw new Error('Unit without an id or kind');
+  }
+  if (data.kind === 'measure' ? !data.kgByCrop : !(data.factor > 0)) {
+    throw new Error(`Unit ${data.id} has no size`);
+  }
+  return {
+    id: data.id,
+    kind: data.kind,
+    factor: data.factor,
+    kgByCrop: data.kgByCrop || null,
+    label: localizedField(data.label, `Unit ${data.id}`),
+    aliases: [data.id, ...(Array.isArray(data.aliases) ? data.aliases : [])].map(simplify)
+  };
+}
+
+/**
+ * Check an agronomy data file and return it in the shape the tools use.
+ * Invalid crops and units are skipped; the file is rejected if it has no
+ * usable crops.
+ */
+export function parseAgronomy(data) {
+  if (!data || data.format !== AGRONOMY_FORMAT || !data.crops || !data.zones || !Array.isArray(data.districts)) {
+    throw new Error('Not an agronomy data file');
+  }
+  if (!Number.isInteger(data.version) || data.version > AGRONOMY_VERSION) {
+    throw new Error('Agronomy data file is for a newer version of the app');
+  }
+
+  const zones = {};
+  Object.entries(data.zones).forEach(([id, zone]) => {
+    zones[id] = {label: localizedField(zone.label, `Zone ${id}`), rains: localizedField(zone.rains, `Rains for ${id}`)};
+  });
+  const activities = {};
+  Object.entries(data.activities || {}).forEach(([id, label]) => {
+    activities[id] = localizedField(label, `Activity ${id}`);
+  });
+
+  const crops = [];
+  Object.entries(data.crops).forEach(([id, entry]) => {
+    try {
+      crops.push(validateCrop(id, entry, activities, zones));
+    } catch (error) {
+      console.error('Skipping invalid crop:', error);
+    }
+  });
+  if (crops.length === 0) {
+    throw new Error('Agronomy data file has no usable crops');
+  }
+
+  const units = [];
+  (Array.isArray(data.units) ? data.units : []).forEach(entry => {
+    try {
+      units.push(validateUnit(entry));
+    } catch (error) {
+      console.error('Skipping invalid unit:', error);
+    }
+  });
+
+  return {
+    dataVersion: typeof data.dataVersion === 'string' ? data.dataVersion : '',
+    source: typeof data.source === 'string' ? data.source : '',
+    modes: Array.isArray(data.modes) ? data.modes : ['farming'],
+    zones,
+    districts: data.districts.filter(district => district && typeof district.name === 'string' && zones[district.zone]),
+    activities,
+    crops,
+    units
+  };
+}
+
+/**
+ * Load the agronomy data. Resolves to null if it cannot be read, in which
+ * case farming questions are answered by the model alone.
+ */
+export async function loadAgronomy() {
+  try {
+    const response = await fetch(AGRONOMY_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return parseAgronomy(await response.json());
+  } catch (error) {
+    console.error('Error loading agronomy data:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether the tools are offered in a mode
+ */
+export function offersTools(agronomy, modeId) {
+  return Boolean(agronomy && agronomy.modes.includes(modeId));
+}
+
+/**
+ * The crop with this name, or an Error listing the crops there are
+ */
+function findCrop(agronomy, name) {
+  const key = simplify(name || '');
+  const crop = agronomy.crops.find(entry => entry.aliases.includes(key));
+  if (!crop) {
+    throw new Error(t('agronomy.errorCrop', {crops: agronomy.crops.map(entry => entry.id).join(', ')}));
+  }
+  return crop;
+}
+
+/**
+ * The district with this name, or an Error listing the districts there are
+ */
+function findDistrict(agronomy, name) {
+  const key = simplify(name || '');
+  const district = agronomy.districts.find(entry => simplify(entry.name) === key);
+  if (!district) {
+    throw new Error(t('agronomy.errorDistrict', {districts: agronomy.districts.map(entry => entry.name).join(', ')}));
+  }
+  return district;
+}
+
+/**
+ * The unit with this name among the given kinds, or an Error
+ */
+function findUnit(agronomy, name, kinds) {
+  const key = simplify(name || '');
+  const unit = agronomy.units.find(entry => kinds.includes(entry.kind) && entry.aliases.includes(key));
+  if (!unit) {
+    const known = agronomy.units.filter(entry => kinds.includes(entry.kind)).map(entry => entry.id);
+    throw new Error(t('agronomy.errorUnit', {unit: name || '', units: known.join(', ')}));
+  }
+  return unit;
+}
+
+/**
+ * A positive number from a form field or tool argument, or an Error
+ */
+function positiveNumber(value, name) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(t('agronomy.errorNumber', {name}));
+  }
+  return number;
+}
+
+/**
+ * Round to a precision that suits the size of the number
+ */
+function formatNumber(value) {
+  const digits = value >= 100 ? 0 : value >= 10 ? 1 : 2;
+  return Number(value.toFixed(digits)).toLocaleString('en-US', {maximumFractionDigits: digits});
+}
+
+/**
+ * Name of a month (1-12) in the given language, or English if the browser
+ * does not know it
+ */
+function monthName(month, language) {
+  const locale = Intl.DateTimeFormat.supportedLocalesOf([language]).length > 0 ? language : 'en';
+  return new Intl.DateTimeFormat(locale, {month: 'long'}).format(new Date(2026, month - 1, 1));
+}
+
+/**
+ * Whether a month falls in a range, which may run past December
+ */
+function inMonths([start, end], month) {
+  return start <= end ? month >= start && month <= end : month >= start || month <= end;
+}
+
+/**
+ * What to do when for a crop in a district
+ */
+function cropCalendar(agronomy, {crop: cropName, district: districtName}, language) {
+  const pick = field => field[language] || field.en;
+  const crop = findCrop(agronomy, cropName);
+  const district = findDistrict(agronomy, districtName);
+  const zone = agronomy.zones[district.zone];
+  const thisMonth = new Date().getMonth() + 1;
+
+  const lines = [
+    `### 🗓️ ${t('agronomy.calendarTitle', {crop: pick(crop.label), district: district.name})}`,
+    '',
+    `${pick(zone.label)}: ${pick(zone.rains)}`,
+    '',
+    `| ${t('agronomy.activity')} | ${t('agronomy.when')} |`,
+    '| --- | --- |'
+  ];
+  (crop.calendar[district.zone] || crop.calendar.default).forEach(({activity, months}) => {
+    const when = months[0] === months[1] ?
+      monthName(months[0], language) :
+      `${monthName(months[0], language)} – ${monthName(months[1], language)}`;
+    const now = inMonths(months, thisMonth) ? ` ⬅️ ${t('agronomy.now')}` : '';
+    lines.push(`| ${pick(agronomy.activities[activity])} | ${when}${now} |`);
+  });
+  if (crop.note) {
+    lines.push('', pick(crop.note));
+  }
+  if (!crop.zones.includes(district.zone)) {
+    const suited = crop.zones.map(id => pick(agronomy.zones[id].label)).join(', ');
+    lines.push('', `⚠️ ${t('agronomy.notSuited', {crop: pick(crop.label), zone: pick(zone.label), zones: suited})}`);
+  }
+  return lines;
+}
+
+/**
+ * Seed and fertiliser needed for an area of a crop
+ */
+function inputRates(agronomy, {crop: cropName, area, unit: unitName}, language) {
+  const pick = field => field[language] || field.en;
+  const crop = findCrop(agronomy, cropName);
+  const size = positiveNumber(area, t('agronomy.area'));
+  const unit = findUnit(agronomy, unitName || 'acre', ['area']);
+  const hectares = size * unit.factor / 10000;
+
+  const seedAmount = crop.seed.amount * hectares;
+  const seed = crop.seed.unit === 'kg' ?
+    `${formatNumber(seedAmount)} kg` :
+    `${Math.ceil(seedAmount).toLocaleString('en-US')} ${t(`agronomy.${crop.seed.unit}`, {}, crop.seed.unit)}`;
+  const lines = [
+    `### 🌱 ${t('agronomy.ratesTitle', {crop: pick(crop.label), area: formatNumber(size), unit: pick(unit.label)})}`,
+    '',
+    t('agronomy.hectares', {hectares: formatNumber(hectares)}),
+    '',
+    `- **${t('agronomy.seed')}:** ${seed}` + (crop.seed.spacing ? ` (${t('agronomy.spacing', {spacing: crop.seed.spacing})})` : '')
+  ];
+  crop.fertilisers.forEach(fertiliser => {
+    const kg = fertiliser.kgPerHectare * hectares;
+    // Bags are rounded up to the nearest half bag
+    const bags = Math.ceil(kg / (BAG_KG / 2)) / 2;
+    lines.push(`- **${fertiliser.name}:** ${formatNumber(kg)} kg ` +
+      `(${t('agronomy.bags', {bags: formatNumber(bags), size: BAG_KG})}), ${pick(fertiliser.timing)}`);
+  });
+  return lines;
+}
+
+/**
+ * Area of a rectangular plot measured in metres, feet, yards or paces
+ */
+function plotArea(agronomy, {length, width, unit: unitName}, language) {
+  const pick = field => field[language] || field.en;
+  const unit = findUnit(agronomy, unitName || 'm', ['length']);
+  const lengthValue = positiveNumber(length, t('agronomy.length'));
+  const widthValue = positiveNumber(width, t('agronomy.width'));
+  const squareMetres = lengthValue * widthValue * unit.factor * unit.factor;
+  const areaUnits = agronomy.units.filter(entry => entry.kind === 'area');
+
+  return [
+    `### 📐 ${t('agronomy.areaTitle', {length: formatNumber(lengthValue), width: formatNumber(widthValue), unit: pick(unit.label)})}`,
+    '',
+    ...areaUnits.map(entry => `- ${formatNumber(squareMetres / entry.factor)} ${pick(entry.label)}`)
+  ];
+}
+
+/**
+ * Kilograms in one unit of weight, or in a market measure of a crop
+ */
+function kilograms(unit, crop) {
+  if (unit.kind === 'weight') {
+    return unit.factor;
+  }
+  const kg = crop && unit.kgByCrop[crop.id];
+  if (!kg) {
+    throw new Error(t('agronomy.errorMeasure', {unit: unit.id, crops: Object.keys(unit.kgByCrop).join(', ')}));
+  }
+  return kg;
+}
+
+/**
+ * Convert between local units of area, length and weight, and market
+ * measures such as cups and bushels of a crop
+ */
+function convertUnits(agronomy, {value, from, to, crop: cropName}, language) {
+  const pick = field => field[language] || field.en;
+  const amount = positiveNumber(value, t('agronomy.value'));
+  const fromUnit = findUnit(agronomy, from, ['area', 'length', 'weight', 'measure']);
+  const weighed = ['weight', 'measure'];
+  const toUnit = findUnit(agronomy, to, weighed.includes(fromUnit.kind) ? weighed : [fromUnit.kind]);
+  const crop = cropName ? findCrop(agronomy, cropName) : null;
+
+  let result;
+  let note = '';
+  if (weighed.includes(fromUnit.kind)) {
+    result = amount * kilograms(fromUnit, crop) / kilograms(toUnit, crop);
+    if (fromUnit.kind === 'measure' || toUnit.kind === 'measure') {
+      note = t('agronomy.measureNote', {crop: pick(crop.label)});
+    }
+  } else {
+    result = amount * fromUnit.factor / toUnit.factor;
+  }
+
+  const lines = [`### ⚖️ ${formatNumber(amount)} ${pick(fromUnit.label)} = ${formatNumber(result)} ${pick(toUnit.label)}`];
+  if (note) {
+    lines.push('', note);
+  }
+  return lines;
+}
+
+const TOOLS = {
+  crop_calendar: cropCalendar,
+  input_rates: inputRates,
+  plot_area: plotArea,
+  convert_units: convertUnits
+};
+
+/**
+ * Run a tool, given as {name, ...arguments}, with labels in the given
+ * language. Returns {name, arguments, content} with the result as Markdown;
+ * throws an Error with a readable message for arguments it cannot use.
+ */
+export function runTool(agronomy, {name, ...args}, language) {
+  if (!TOOLS[name]) {
+    throw new Error(t('agronomy.errorTool', {name: String(name)}));
+  }
+  const lines = TOOLS[name](agronomy, args, language);
+  if (agronomy.source) {
+    lines.push('', `_${agronomy.source}_`);
+  }
+  return {name, arguments: args, content: lines.join('\n')};
+}
+
+/**
+ * Instructions added to the system prompt so the model can ask for a tool
+ */
+export function toolPrompt(agronomy) {
+  return [
+    'You can look up Sierra Leone farming facts with these tools:',
+    '- crop_calendar: crop, district. Months to prepare, plant, weed and harvest.',
+    '- input_rates: crop, area, unit (acre, hectare or m2). Seed and fertiliser needed.',
+    '- plot_area: length, width, unit (m, ft, yard or pace). Size of a field.',
+    '- convert_units: value, from, to, and crop for cups and bushels. Local units.',
+    `Crops: ${agronomy.crops.map(crop => crop.id).join(', ')}.`,
+    `Districts: ${agronomy.districts.map(district => district.name).join(', ')}.`,
+    'When the question needs planting dates or quantities, reply with only one line like this and nothing else:',
+    `${TOOL_CALL_PREFIX} {"name": "crop_calendar", "crop": "rice", "district": "Bo"}`,
+    'You will then be given the result to answer with.'
+  ].join('\n');
+}
+
+/**
+ * Instructions for answering once a tool has run (or failed)
+ */
+export function toolResultNote(content) {
+  return [
+    'A farming tool was used for this question. The user can already see its result:',
+    '',
+    content,
+    '',
+    'Answer the question using this result. Do not repeat the whole result and do not ask for a tool.'
+  ].join('\n');
+}
+
+/**
+ * Whether a reply streamed so far may still turn out to be a tool request,
+ * so it should not be shown yet
+ */
+export function couldBeToolCall(text) {
+  const start = text.trimStart();
+  return start.startsWith(TOOL_CALL_PREFIX) || TOOL_CALL_PREFIX.startsWith(start);
+}
+
+/**
+ * The tool a model reply asks for, as {name, ...arguments}, or null if it
+ * is an ordinary answer
+ */
+export function parseToolCall(text) {
+  const match = /^\s*TOOL:?\s*(\{[^\n]*\})/.exec(text);
+  if (!match) {
+    return null;
+  }
+  try {
+    const call = JSON.parse(match[1]);
+    return call && TOOL_NAMES.includes(call.name) ? call : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,36 @@
+// The app's own IndexedDB database. Each schema version only adds what it
+// needs in upgrade(), so data saved by older versions is kept.
+
+import {openDatabase} from './idb.js';
+
+const DB_NAME = 'geniGuideSL';
+const DB_VERSION = 3;
+
+export const CONVERSATIONS_STORE = 'conversations';
+export const KNOWLEDGE_STORE = 'knowledgePacks';
+export const ARCHIVE_STORE = 'archivedConversations';
+
+let databasePromise = null;
+
+/**
+ * Open (and create or upgrade on first use) the app database
+ */
+export function getAppDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        const store = db.createObjectStore(CONVERSATIONS_STORE, {keyPath: 'id'});
+        store.createIndex('mode', 'mode');
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+      if (oldVersion < 2) {
+        const store = db.createObjectStore(KNOWLEDGE_STORE, {keyPath: 'id'});
+        store.createIndex('mode', 'mode');
+      }
+      if (oldVersion < 3) {
+        db.createObjectStore(ARCHIVE_STORE, {keyPath: 'id'});
+      }
+    });
+  }
+  return databasePromise;
+}
@@ -0,0 +1,315 @@
+// Saved conversations: IndexedDB storage, the archive of old ones, titles and
+// full-text search. Each conversation belongs to one mode and holds its own
+// messages and running memory, and is stored as its own record so saving one
+// message does not rewrite every chat.
+
+import {promisifyRequest, transactionDone} from './idb.js';
+import {ARCHIVE_STORE, CONVERSATIONS_STORE, getAppDatabase} from './app-db.js';
+import {t} from './i18n.js';
+
+const MAX_TITLE_LENGTH = 40;
+const SNIPPET_RADIUS = 40;
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * Generate a unique id for a conversation or another saved record
+ */
+export function generateId() {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Create a new, empty conversation for a mode (not yet saved)
+ */
+export function createConversation(mode) {
+  const now = Date.now();
+  return {
+    id: generateId(),
+    mode,
+    title: t('conversation.defaultTitle'),
+    autoTitle: true,
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    memory: null,
+    // Language the model should answer in; null follows the interface language
+    answerLanguage: null
+  };
+}
+
+/**
+ * Derive a short title from the first thing the user asked
+ */
+export function generateTitle(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (!clean) {
+    return t('conversation.defaultTitle');
+  }
+  if (clean.length <= MAX_TITLE_LENGTH) {
+    return clean;
+  }
+  // Cut at a word boundary where possible
+  const cut = clean.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut) + '…';
+}
+
+/**
+ * Whether a conversation has any messages from the user
+ */
+export function hasUserMessages(conversation) {
+  return conversation.messages.some(message => message.role === 'user');
+}
+
+/**
+ * The message holding the versions of the conversation from `index` on: the
+ * message before it, or the conversation itself for the first message
+ */
+function forkHolder(conversation, index) {
+  return index > 0 ? conversation.messages[index - 1] : conversation;
+}
+
+/**
+ * The running memory summarises messages by position, so it no longer
+ * applies once a message it covers is replaced
+ */
+function forgetMemoryFrom(conversation, index) {
+  if (conversation.memory && conversation.memory.coveredCount > index) {
+    conversation.memory = null;
+  }
+}
+
+/**
+ * Which version of the conversation from `index` on is shown, as
+ * {active, count}, or null if there is only one
+ */
+export function getVersions(conversation, index) {
+  const forks = forkHolder(conversation, index).forks;
+  return forks ? {active: forks.active, count: forks.versions.length} : null;
+}
+
+/**
+ * Start a new version of the conversation from `index` on (to regenerate an
+ * answer or resend an edited question). The messages from there on are kept
+ * as the previous version, so the user can go back to them.
+ *
+ * Versions live on the message before the branch point as
+ * `forks: {active, versions}`, where `versions` holds the messages of each
+ * version and null for the one shown in `messages`. Versions can branch
+ * again further on, making a tree. Returns the previous version's number.
+ */
+export function forkConversation(conversation, index) {
+  const holder = forkHolder(conversation, index);
+  const forks = holder.forks || {active: 0, versions: [null]};
+  const previous = forks.active;
+  forks.versions[previous] = conversation.messages.slice(index);
+  forks.versions.push(null);
+  forks.active = forks.versions.length - 1;
+  holder.forks = forks;
+
+  // A new array, so work in progress on the old messages can tell they changed
+  conversation.messages = conversation.messages.slice(0, index);
+  forgetMemoryFrom(conversation, index);
+  return previous;
+}
+
+/**
+ * Show another version of the conversation from `index` on
+ */
+export function switchVersion(conversation, index, version) {
+  const forks = forkHolder(conversation, index).forks;
+  if (!forks || version === forks.active || !forks.versions[version]) {
+    return false;
+  }
+  forks.versions[forks.active] = conversation.messages.slice(index);
+  conversation.messages = conversation.messages.slice(0, index).concat(forks.versions[version]);
+  forks.versions[version] = null;
+  forks.active = version;
+  forgetMemoryFrom(conversation, index);
+  return true;
+}
+
+/**
+ * Remove a new version that ended up with no messages (its answer failed
+ * or was cancelled) and show the `previous` one again
+ */
+export function dropEmptyVersion(conversation, index, previous) {
+  const holder = forkHolder(conversation, index);
+  const forks = holder.forks;
+  if (!forks || conversation.messages.length > index) {
+    return;
+  }
+  forks.versions.splice(forks.active, 1);
+  forks.active = previous;
+  conversation.messages = conversation.messages.concat(forks.versions[previous]);
+  forks.versions[previous] = null;
+  if (forks.versions.length === 1) {
+    delete holder.forks;
+  }
+}
+
+/**
+ * Sort conversations with pinned ones first, then most recently updated
+ */
+export function sortConversations(list) {
+  return list.slice().sort((a, b) =>
+    (Number(b.pinned) - Number(a.pinned)) || (b.updatedAt - a.updatedAt));
+}
+
+/**
+ * Load every saved conversation
+ */
+export async function loadConversations() {
+  const db = await getAppDatabase();
+  return promisifyRequest(db.transaction(CONVERSATIONS_STORE).objectStore(CONVERSATIONS_STORE).getAll());
+}
+
+/**
+ * Save (insert or replace) one conversation
+ */
+export async function saveConversation(conversation) {
+  const db = await getAppDatabase();
+  const transaction = db.transaction(CONVERSATIONS_STORE, 'readwrite');
+  transaction.objectStore(CONVERSATIONS_STORE).put(conversation);
+  await transactionDone(transaction);
+}
+
+/**
+ * Delete one conversation
+ */
+export async function deleteConversation(id) {
+  const db = await getAppDatabase();
+  const transaction = db.transaction(CONVERSATIONS_STORE, 'readwrite');
+  transaction.objectStore(CONVERSATIONS_STORE).delete(id);
+  await transactionDone(transaction);
+}
+
+/**
+ * Pack a conversation for the archive: gzipped JSON where the browser can
+ * compress, plain JSON otherwise
+ */
+async function packConversation(conversation) {
+  const json = JSON.stringify(conversation);
+  if (typeof CompressionStream !== 'function') {
+    return {compressed: false, data: json, size: json.length};
+  }
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  const data = await new Response(stream).arrayBuffer();
+  return {compressed: true, data, size: data.byteLength};
+}
+
+/**
+ * Unpack a conversation stored by packConversation
+ */
+async function unpackConversation(record) {
+  if (!record.compressed) {
+    return JSON.parse(record.data);
+  }
+  const stream = new Blob([record.data]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * Move a conversation into the archive, where it takes less space and is
+ * left out of the chat list until it is restored
+ */
+export async function archiveConversation(conversation) {
+  const packed = await packConversation(conversation);
+  const db = await getAppDatabase();
+  const transaction = db.transaction([CONVERSATIONS_STORE, ARCHIVE_STORE], 'readwrite');
+  transaction.objectStore(ARCHIVE_STORE).put({
+    id: conversation.id,
+    mode: conversation.mode,
+    title: conversation.title,
+    updatedAt: conversation.updatedAt,
+    archivedAt: Date.now(),
+    ...packed
+  });
+  transaction.objectStore(CONVERSATIONS_STORE).delete(conversation.id);
+  await transactionDone(transaction);
+}
+
+/**
+ * The archived conversations, most recently changed first:
+ * [{id, mode, title, updatedAt, archivedAt, size}]
+ */
+export async function loadArchivedConversations() {
+  const db = await getAppDatabase();
+  const records = await promisifyRequest(db.transaction(ARCHIVE_STORE).objectStore(ARCHIVE_STORE).getAll());
+  return records
+    .map(({id, mode, title, updatedAt, archivedAt, size}) => ({id, mode, title, updatedAt, archivedAt, size}))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Move an archived conversation back to the saved ones and return it
+ */
+export async function restoreArchivedConversation(id) {
+  const db = await getAppDatabase();
+  const record = await promisifyRequest(db.transaction(ARCHIVE_STORE).objectStore(ARCHIVE_STORE).get(id));
+  if (!record) {
+    throw new Error(`Archived conversation ${id} not found`);
+  }
+  const conversation = await unpackConversation(record);
+
+  const transaction = db.transaction([CONVERSATIONS_STORE, ARCHIVE_STORE], 'readwrite');
+  transaction.objectStore(CONVERSATIONS_STORE).put(conversation);
+  transaction.objectStore(ARCHIVE_STORE).delete(id);
+  await transactionDone(transaction);
+  return conversation;
+}
+
+/**
+ * Delete one archived conversation
+ */
+export async function deleteArchivedConversation(id) {
+  const db = await getAppDatabase();
+  const transaction = db.transaction(ARCHIVE_STORE, 'readwrite');
+  transaction.objectStore(ARCHIVE_STORE).delete(id);
+  await transactionDone(transaction);
+}
+
+/**
+ * Build a short excerpt of `text` around the match at `index`
+ */
+function buildSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() +
+    (end < text.length ? '…' : '');
+}
+
+/**
+ * Full-text search across conversations of every mode.
+ * A conversation matches when every word of the query appears in its title
+ * or messages. Returns [{conversation, messageIndex, snippet}], newest first.
+ */
+export function searchConversations(list, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const results = [];
+  sortConversations(list).forEach(conversation => {
+    const texts = [conversation.title, ...conversation.messages.map(message => message.content || '')];
+    const lowerTexts = texts.map(text => text.toLowerCase());
+    if (!terms.every(term => lowerTexts.some(text => text.includes(term)))) {
+      return;
+    }
+
+    // Show the first message that mentions the first term, else the title
+    const found = lowerTexts.findIndex((text, index) => index > 0 && text.includes(terms[0]));
+    const messageIndex = found > 0 ? found - 1 : -1;
+    const snippet = messageIndex >= 0 ?
+      buildSnippet(texts[messageIndex + 1], lowerTexts[messageIndex + 1].indexOf(terms[0]), terms[0].length) :
+      '';
+    results.push({conversation, messageIndex, snippet});
+  });
+
+  return results.slice(0, MAX_SEARCH_RESULTS);
+}
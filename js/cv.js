@@ -0,0 +1,378 @@
+// CVs and cover letters for Career Guide: the saved documents (kept in
+// localStorage), the requests asking the model to polish one section at a
+// time, and the printable pages for each template. The documents themselves
+// are written in English, as employers in Sierra Leone expect, whatever the
+// interface language.
+
+import {generateId} from './conversations.js';
+
+const STORAGE_KEY = 'geniGuideSL_cvs';
+
+export const CV_MODES = ['career'];
+export const CV_TEMPLATES = ['classic', 'modern', 'simple'];
+export const CV_STEPS = ['personal', 'education', 'work', 'skills', 'references', 'letter', 'finish'];
+
+// Fields of the entries a CV can have several of, in form order
+export const ENTRY_FIELDS = {
+  education: ['school', 'qualification', 'years'],
+  work: ['role', 'employer', 'years', 'duties'],
+  references: ['name', 'position', 'contact']
+};
+
+const PERSONAL_FIELDS = ['name', 'headline', 'phone', 'email', 'location'];
+const LETTER_FIELDS = ['recipient', 'company', 'job', 'notes', 'body'];
+
+/**
+ * Create a new, empty CV (not yet saved)
+ */
+export function createCv() {
+  const now = Date.now();
+  return {
+    id: generateId(),
+    template: CV_TEMPLATES[0],
+    createdAt: now,
+    updatedAt: now,
+    personal: Object.fromEntries(PERSONAL_FIELDS.map(field => [field, ''])),
+    profile: '',
+    education: [],
+    work: [],
+    skills: '',
+    languages: '',
+    references: [],
+    letter: Object.fromEntries(LETTER_FIELDS.map(field => [field, '']))
+  };
+}
+
+const cleanText = value => typeof value === 'string' ? value.trim() : '';
+
+/**
+ * Copy the text fields listed in `fields` from `data`
+ */
+function pickText(data, fields) {
+  const source = data && typeof data === 'object' ? data : {};
+  return Object.fromEntries(fields.map(field => [field, cleanText(source[field])]));
+}
+
+/**
+ * Bring a stored or edited CV into shape: every field present, text trimmed
+ * and empty entries dropped. Returns null if it is not a CV at all.
+ */
+export function normalizeCv(data) {
+  if (!data || typeof data !== 'object' || typeof data.id !== 'string') {
+    return null;
+  }
+  const cv = createCv();
+  cv.id = data.id;
+  cv.template = CV_TEMPLATES.includes(data.template) ? data.template : CV_TEMPLATES[0];
+  cv.createdAt = Number.isFinite(data.createdAt) ? data.createdAt : cv.createdAt;
+  cv.updatedAt = Number.isFinite(data.updatedAt) ? data.updatedAt : cv.createdAt;
+  cv.personal = pickText(data.personal, PERSONAL_FIELDS);
+  cv.profile = cleanText(data.profile);
+  cv.skills = cleanText(data.skills);
+  cv.languages = cleanText(data.languages);
+  cv.letter = pickText(data.letter, LETTER_FIELDS);
+  Object.entries(ENTRY_FIELDS).forEach(([kind, fields]) => {
+    cv[kind] = (Array.isArray(data[kind]) ? data[kind] : [])
+      .map(entry => pickText(entry, fields))
+      .filter(entry => fields.some(field => entry[field]));
+  });
+  return cv;
+}
+
+/**
+ * Saved CVs, most recently changed first
+ */
+export function loadCvs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      return saved.map(normalizeCv).filter(Boolean).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+  } catch (error) {
+    console.error('Error loading CVs:', error);
+  }
+  return [];
+}
+
+/**
+ * Save all CVs
+ */
+export function saveCvs(list) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+}
+
+/**
+ * How a CV is named in the list of saved ones
+ */
+export function cvTitle(cv) {
+  return [cv.personal.name, cv.letter.job || cv.personal.headline].filter(Boolean).join(' · ');
+}
+
+// What the model is asked to do with each section
+const POLISH_INSTRUCTIONS = {
+  profile: 'Rewrite this personal profile for the top of a CV as three or four confident, specific sentences, written without "I".',
+  duties: 'Rewrite these job duties as short CV bullet points, one per line starting with "- ", each beginning with an action verb.',
+  skills: 'Rewrite this list of skills for a CV: one short, specific skill per line starting with "- ", similar skills merged, at most ten.',
+  letter: 'Write the body of a cover letter for this job: three short paragraphs saying why the person wants the job, what they offer from their CV, and asking for an interview. Leave out the address, greeting and sign-off.'
+};
+
+/**
+ * Ask the model to polish one section of a CV. `entry` is the work entry
+ * whose duties are being polished.
+ */
+export function polishRequest(section, value, cv, entry = null) {
+  const lines = [POLISH_INSTRUCTIONS[section]];
+  const person = [cv.personal.name, cv.personal.headline].filter(Boolean).join(', ');
+  if (person) {
+    lines.push(`The person: ${person}.`);
+  }
+  if (entry) {
+    lines.push(`The job: ${[entry.role, entry.employer, entry.years].filter(Boolean).join(', ')}.`);
+  }
+  if (section === 'letter') {
+    const job = [cv.letter.job, cv.letter.company].filter(Boolean).join(' at ');
+    lines.push(`The job applied for: ${job || 'not given'}.`);
+    if (cv.letter.notes) {
+      lines.push(`Why they want it: ${cv.letter.notes}`);
+    }
+    lines.push('Their CV:', cvSummary(cv));
+  }
+  lines.push(
+    'Use only the facts given and do not invent any. Write in clear, formal English.',
+    'Reply with only the new text, with no heading and no comments.'
+  );
+  if (value) {
+    lines.push('', section === 'letter' ? 'Their draft:' : 'Text to rewrite:', value);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The CV as plain text, for the model to write a cover letter from
+ */
+function cvSummary(cv) {
+  const lines = [];
+  if (cv.profile) {
+    lines.push(cv.profile);
+  }
+  cv.work.forEach(entry => {
+    lines.push(`Work: ${[entry.role, entry.employer, entry.years].filter(Boolean).join(', ')}`);
+    splitLines(entry.duties).forEach(duty => lines.push(`- ${duty}`));
+  });
+  cv.education.forEach(entry => {
+    lines.push(`Education: ${[entry.qualification, entry.school, entry.years].filter(Boolean).join(', ')}`);
+  });
+  if (cv.skills) {
+    lines.push(`Skills: ${splitLines(cv.skills, true).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Tidy the model's version of a section: no code fence, no "Here is..."
+ * line before it and no quotes around it
+ */
+export function cleanPolished(reply) {
+  let result = reply.trim().replace(/^```[a-z]*\n?/i, '').replace(/\n?```$/, '').trim();
+  result = result.replace(/^(here is|here's|sure)[^\n]*:\s*\n/i, '').trim();
+  if (/^".*"$/s.test(result)) {
+    result = result.slice(1, -1).trim();
+  }
+  return result;
+}
+
+/**
+ * The lines of a list field (duties, skills), without bullet marks.
+ * Skills may also be separated by commas.
+ */
+function splitLines(value, commas = false) {
+  return value
+    .split(commas ? /\n|,/ : /\n/)
+    .map(line => line.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+}
+
+// Styles shared by the printable CV and cover letter, then each template's
+const PRINT_STYLES = `
+  @page { margin: 18mm; }
+  body { color: #202124; max-width: 780px; margin: 0 auto; padding: 1rem; line-height: 1.45; font-size: 11pt; }
+  h1 { margin: 0; font-size: 1.9em; }
+  h2 { font-size: 1em; margin: 1.2em 0 0.4em; text-transform: uppercase; letter-spacing: 0.05em; }
+  p { margin: 0 0 0.6em; }
+  ul { margin: 0.2em 0 0.6em 1.2em; padding: 0; }
+  .headline { font-size: 1.1em; margin-top: 0.2em; }
+  .contact { color: #5f6368; margin-top: 0.3em; }
+  .entry { margin-bottom: 0.6em; break-inside: avoid; }
+  .entry-title { display: flex; justify-content: space-between; gap: 1em; font-weight: 600; }
+  .entry-years { font-weight: normal; color: #5f6368; white-space: nowrap; }
+  .skills { columns: 2; }
+  .letter-meta { margin: 1.5em 0; }
+  .letter-subject { font-weight: 600; }
+`;
+const TEMPLATE_STYLES = {
+  classic: `
+    body { font-family: Georgia, 'Times New Roman', serif; }
+    header { text-align: center; border-bottom: 2px solid #202124; padding-bottom: 0.6em; }
+    h2 { border-bottom: 1px solid #9aa0a6; padding-bottom: 0.15em; }
+  `,
+  modern: `
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+    header { background-color: #1a73e8; color: #fff; padding: 1em 1.2em; border-radius: 6px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    header .contact { color: #e8f0fe; }
+    h2 { color: #1a73e8; }
+  `,
+  simple: `
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 10.5pt; }
+    h1 { font-size: 1.5em; }
+    h2 { margin-top: 0.9em; }
+  `
+};
+
+/**
+ * Start a printable page in a template, with the person's name and contact
+ * details at the top
+ */
+function createPrintDocument(cv, title) {
+  const doc = document.implementation.createHTMLDocument(title);
+  doc.documentElement.lang = 'en';
+  const charset = doc.createElement('meta');
+  charset.setAttribute('charset', 'UTF-8');
+  doc.head.prepend(charset);
+  const style = doc.createElement('style');
+  style.textContent = PRINT_STYLES + TEMPLATE_STYLES[cv.template];
+  doc.head.appendChild(style);
+
+  const header = doc.createElement('header');
+  appendText(doc, header, 'h1', cv.personal.name);
+  appendText(doc, header, 'div', cv.personal.headline, 'headline');
+  appendText(doc, header, 'div', [cv.personal.phone, cv.personal.email, cv.personal.location].filter(Boolean).join(' · '), 'contact');
+  doc.body.appendChild(header);
+  return doc;
+}
+
+/**
+ * Add an element with some text, unless the text is empty
+ */
+function appendText(doc, parent, tag, value, className = '') {
+  if (!value) {
+    return null;
+  }
+  const element = doc.createElement(tag);
+  element.textContent = value;
+  if (className) {
+    element.className = className;
+  }
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * Add a bulleted list of lines
+ */
+function appendList(doc, parent, lines, className = '') {
+  if (lines.length === 0) {
+    return;
+  }
+  const list = doc.createElement('ul');
+  if (className) {
+    list.className = className;
+  }
+  lines.forEach(line => appendText(doc, list, 'li', line));
+  parent.appendChild(list);
+}
+
+/**
+ * Add a CV section with its heading; `fill` adds the content
+ */
+function appendSection(doc, heading, fill) {
+  const section = doc.createElement('section');
+  appendText(doc, section, 'h2', heading);
+  fill(section);
+  doc.body.appendChild(section);
+}
+
+/**
+ * Add a dated entry (a job or a school) with its title on the left and the
+ * years on the right
+ */
+function appendEntry(doc, parent, title, years) {
+  const entry = doc.createElement('div');
+  entry.className = 'entry';
+  const heading = doc.createElement('div');
+  heading.className = 'entry-title';
+  appendText(doc, heading, 'span', title);
+  appendText(doc, heading, 'span', years, 'entry-years');
+  entry.appendChild(heading);
+  parent.appendChild(entry);
+  return entry;
+}
+
+/**
+ * Build the CV as a standalone, printable HTML page in its template
+ */
+export function cvToPrintableHtml(cv) {
+  const doc = createPrintDocument(cv, `CV - ${cv.personal.name}`);
+
+  if (cv.profile) {
+    appendSection(doc, 'Profile', section => {
+      cv.profile.split(/\n\s*\n/).forEach(paragraph => appendText(doc, section, 'p', paragraph.trim()));
+    });
+  }
+  if (cv.work.length > 0) {
+    appendSection(doc, 'Work experience', section => {
+      cv.work.forEach(job => {
+        const entry = appendEntry(doc, section, [job.role, job.employer].filter(Boolean).join(', '), job.years);
+        appendList(doc, entry, splitLines(job.duties));
+      });
+    });
+  }
+  if (cv.education.length > 0) {
+    appendSection(doc, 'Education', section => {
+      cv.education.forEach(school => {
+        appendEntry(doc, section, [school.qualification, school.school].filter(Boolean).join(', '), school.years);
+      });
+    });
+  }
+  if (cv.skills) {
+    appendSection(doc, 'Skills', section => appendList(doc, section, splitLines(cv.skills, true), 'skills'));
+  }
+  if (cv.languages) {
+    appendSection(doc, 'Languages', section => appendText(doc, section, 'p', splitLines(cv.languages, true).join(', ')));
+  }
+  appendSection(doc, 'References', section => {
+    if (cv.references.length === 0) {
+      appendText(doc, section, 'p', 'Available on request.');
+    }
+    cv.references.forEach(reference => {
+      const entry = appendEntry(doc, section, reference.name, '');
+      appendText(doc, entry, 'div', [reference.position, reference.contact].filter(Boolean).join(' · '));
+    });
+  });
+
+  return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+}
+
+/**
+ * Build the cover letter as a standalone, printable HTML page in the CV's
+ * template
+ */
+export function coverLetterToPrintableHtml(cv, date = Date.now()) {
+  const doc = createPrintDocument(cv, `Cover letter - ${cv.personal.name}`);
+  const letter = cv.letter;
+
+  const meta = doc.createElement('div');
+  meta.className = 'letter-meta';
+  appendText(doc, meta, 'p', new Date(date).toLocaleDateString('en-GB', {day: 'numeric', month: 'long', year: 'numeric'}));
+  appendText(doc, meta, 'p', [letter.recipient, letter.company].filter(Boolean).join(', '));
+  if (letter.job) {
+    appendText(doc, meta, 'p', `Re: Application for the position of ${letter.job}`, 'letter-subject');
+  }
+  doc.body.appendChild(meta);
+
+  appendText(doc, doc.body, 'p', `Dear ${letter.recipient || 'Sir or Madam'},`);
+  letter.body.split(/\n\s*\n/).forEach(paragraph => appendText(doc, doc.body, 'p', paragraph.trim()));
+  appendText(doc, doc.body, 'p', letter.recipient ? 'Yours sincerely,' : 'Yours faithfully,');
+  appendText(doc, doc.body, 'p', cv.personal.name);
+
+  return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+}
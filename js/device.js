@@ -0,0 +1,257 @@
+// Preflight for the on-device model: what this browser and device can do,
+// the model variants on offer (data/models.json), which of them to try and
+// in what order, and errors the user can act on when none of them loads.
+
+import {t} from './i18n.js';
+import {estimateStorage} from './storage.js';
+
+export const MODELS_FORMAT = 'geniguidesl-models';
+export const MODELS_VERSION = 1;
+
+const MODELS_URL = 'data/models.json';
+
+// Used when the manifest cannot be read: the model the app has always used
+const FALLBACK_MODELS = [{
+  id: 'gemma3-1b-gpu',
+  label: 'Gemma 3 1B',
+  file: 'gemma3-1b-it-int4.task',
+  sizeMB: 530,
+  minMemoryGB: 0,
+  sha256: ''
+}];
+
+// Room left free on the device besides the model itself
+const STORAGE_MARGIN_MB = 50;
+
+// Problems reported to the user; each has device.error.<code> and
+// device.fix.<code> strings
+const ERROR_CODES = [
+  'unsupported-browser',
+  'no-webgpu',
+  'low-memory',
+  'low-storage',
+  'out-of-memory',
+  'gpu-failed',
+  'missing-model',
+  'load-failed'
+];
+
+// Load failures another variant may not run into (a smaller model, another
+// file), so the next one is tried
+const RETRYABLE_CODES = ['out-of-memory', 'gpu-failed', 'missing-model', 'load-failed'];
+
+/**
+ * An Error with a `code` naming the problem; its message and the fix shown
+ * to the user are `device.error.<code>` and `device.fix.<code>`
+ */
+export function deviceError(code, params = {}, cause = null) {
+  const error = new Error(t(`device.error.${code}`, params));
+  error.code = code;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+/**
+ * What to do about a device error, in the interface language
+ */
+export function deviceErrorFix(error) {
+  return t(`device.fix.${error.code || 'load-failed'}`);
+}
+
+/**
+ * Check one model variant. Throws an Error when it cannot be used.
+ */
+function validateModel(data) {
+  if (!data || typeof data !== 'object' || typeof data.id !== 'string' || !/^[a-z0-9-]{2,40}$/.test(data.id)) {
+    throw new Error('Model entry has no valid id');
+  }
+  if (typeof data.file !== 'string' || !data.file.endsWith('.task')) {
+    throw new Error(`Model ${data.id} needs a .task file`);
+  }
+  if (!(data.sizeMB > 0)) {
+    throw new Error(`Model ${data.id} needs its size in MB`);
+  }
+  if (data.sha256 !== undefined && (typeof data.sha256 !== 'string' || !/^([0-9a-f]{64})?$/i.test(data.sha256))) {
+    throw new Error(`Model ${data.id} has an invalid SHA-256 checksum`);
+  }
+  return {
+    id: data.id,
+    label: typeof data.label === 'string' && data.label ? data.label : data.id,
+    file: data.file,
+    sizeMB: data.sizeMB,
+    minMemoryGB: data.minMemoryGB > 0 ? data.minMemoryGB : 0,
+    sha256: data.sha256 ? data.sha256.toLowerCase() : ''
+  };
+}
+
+/**
+ * Check the model manifest and return its variants, in order of preference.
+ * Invalid entries are skipped; throws an Error if none is left.
+ */
+export function parseModelManifest(data) {
+  if (!data || data.format !== MODELS_FORMAT) {
+    throw new Error('This is not a model manifest');
+  }
+  if (data.version !== MODELS_VERSION) {
+    throw new Error(`Unsupported model manifest version ${data.version}`);
+  }
+  const models = [];
+  (Array.isArray(data.models) ? data.models : []).forEach(entry => {
+    try {
+      const model = validateModel(entry);
+      if (!models.some(other => other.id === model.id)) {
+        models.push(model);
+      }
+    } catch (error) {
+      console.error('Skipping invalid model:', error);
+    }
+  });
+  if (models.length === 0) {
+    throw new Error('Model manifest has no usable models');
+  }
+  return models;
+}
+
+/**
+ * Load the model variants. If the manifest cannot be read, the app carries
+ * on with the model it has always used.
+ */
+export async function loadModelManifest() {
+  try {
+    const response = await fetch(MODELS_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return parseModelManifest(await response.json());
+  } catch (error) {
+    console.error('Error loading model manifest:', error);
+    return FALLBACK_MODELS.map(model => ({...model}));
+  }
+}
+
+/**
+ * Whether the browser can give the page a WebGPU adapter
+ */
+async function hasWebGpu() {
+  if (typeof navigator === 'undefined' || !navigator.gpu) {
+    return false;
+  }
+  try {
+    return Boolean(await navigator.gpu.requestAdapter());
+  } catch (error) {
+    console.error('Error checking for WebGPU:', error);
+    return false;
+  }
+}
+
+/**
+ * What this browser and device offer the on-device model:
+ * {webAssembly, worker, webGpu, memoryGB, storage}. `memoryGB` (which
+ * browsers round and cap at 8) and `storage` are null when unknown.
+ */
+export async function detectCapabilities() {
+  const memory = typeof navigator !== 'undefined' ? Number(navigator.deviceMemory) : NaN;
+  return {
+    webAssembly: typeof WebAssembly === 'object' && typeof WebAssembly.instantiate === 'function',
+    worker: typeof Worker === 'function',
+    webGpu: await hasWebGpu(),
+    memoryGB: memory > 0 ? memory : null,
+    storage: await estimateStorage()
+  };
+}
+
+/**
+ * Why a model variant cannot run here, as an error code, or '' if it can.
+ * Variants already stored need no more space.
+ */
+function modelProblem(model, capabilities, stored) {
+  if (capabilities.memoryGB !== null && capabilities.memoryGB < model.minMemoryGB) {
+    return 'low-memory';
+  }
+  const storage = capabilities.storage;
+  if (storage && !stored.includes(model.file) &&
+      storage.quotaMB - storage.usedMB < model.sizeMB + STORAGE_MARGIN_MB) {
+    return 'low-storage';
+  }
+  return '';
+}
+
+/**
+ * The model variants to try on this device, best first: the one chosen in
+ * the settings (unless 'auto'), then the others in manifest order. `stored`
+ * lists the model files already downloaded. Throws a device error saying
+ * what is missing when none can run.
+ */
+export function chooseModels(models, capabilities, {preferred = 'auto', stored = []} = {}) {
+  if (!capabilities.webAssembly || !capabilities.worker) {
+    throw deviceError('unsupported-browser');
+  }
+  // The MediaPipe engine runs every variant on the GPU
+  if (!capabilities.webGpu) {
+    throw deviceError('no-webgpu');
+  }
+
+  const ordered = [
+    ...models.filter(model => model.id === preferred),
+    ...models.filter(model => model.id !== preferred)
+  ];
+  const problems = ordered.map(model => modelProblem(model, capabilities, stored));
+  const candidates = ordered.filter((model, index) => !problems[index]);
+  if (candidates.length > 0) {
+    return candidates;
+  }
+
+  // Report the problem of the variant that came closest to running: the
+  // smallest
+  const closest = ordered
+    .map((model, index) => ({model, problem: problems[index]}))
+    .sort((a, b) => a.model.sizeMB - b.model.sizeMB)[0];
+  throw deviceError(closest.problem, {
+    memory: capabilities.memoryGB,
+    needed: closest.model.minMemoryGB,
+    size: closest.model.sizeMB
+  });
+}
+
+/**
+ * Turn an error from downloading or starting a model variant into a device
+ * error. Errors that already are one are returned as they are.
+ */
+export function classifyLoadError(error, model) {
+  if (error && ERROR_CODES.includes(error.code)) {
+    return error;
+  }
+  const message = String(error && error.message ? error.message : error);
+  if (error && error.status === 404) {
+    return deviceError('missing-model', {}, error);
+  }
+  if (error && error.name === 'QuotaExceededError') {
+    return deviceError('low-storage', {size: model.sizeMB}, error);
+  }
+  if (/out of memory|memory access out of bounds|allocation fail|array buffer allocation|cannot allocate|\boom\b/i.test(message)) {
+    return deviceError('out-of-memory', {}, error);
+  }
+  if (/webgpu|gpu|adapter|device (was )?lost/i.test(message)) {
+    return deviceError('gpu-failed', {}, error);
+  }
+  return deviceError('load-failed', {error: message}, error);
+}
+
+/**
+ * Whether the next model variant should be tried after this error
+ */
+export function shouldTryNextModel(error) {
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * How a model variant is named in the settings and notices
+ */
+export function modelLabel(model) {
+  return t('device.modelLabel', {
+    label: model.label,
+    size: model.sizeMB
+  });
+}
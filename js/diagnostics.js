@@ -0,0 +1,247 @@
+// Diagnostics kept on this device, to find out why the app is slow or
+// failing on a given phone: how long the model took to load, how quickly
+// answers started and streamed, and the errors logged. Nothing is sent
+// anywhere; the diagnostics panel shows them and the user can save them as a
+// report to pass on.
+
+const DIAGNOSTICS_KEY = 'geniGuideSL_diagnostics';
+
+export const REPORT_FORMAT = 'geniguidesl-diagnostics';
+export const REPORT_VERSION = 1;
+
+// Only the most recent entries are kept
+const MAX_LOADS = 10;
+const MAX_ANSWERS = 20;
+const MAX_ERRORS = 50;
+
+// Longer error messages are cut short
+const MAX_ERROR_LENGTH = 500;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+let diagnostics = readDiagnostics();
+let capturing = false;
+
+/**
+ * The saved diagnostics, or empty ones if there are none or they cannot be read
+ */
+function readDiagnostics() {
+  const empty = {loads: [], answers: [], errors: []};
+  try {
+    const saved = JSON.parse(localStorage.getItem(DIAGNOSTICS_KEY));
+    if (!saved || typeof saved !== 'object') {
+      return empty;
+    }
+    return {
+      loads: Array.isArray(saved.loads) ? saved.loads.slice(-MAX_LOADS) : [],
+      answers: Array.isArray(saved.answers) ? saved.answers.slice(-MAX_ANSWERS) : [],
+      errors: Array.isArray(saved.errors) ? saved.errors.slice(-MAX_ERRORS) : []
+    };
+  } catch (error) {
+    return empty;
+  }
+}
+
+/**
+ * Save the diagnostics. A failure is not logged, as that would add an error
+ * to save; running out of space is reported where chats are saved.
+ */
+function saveDiagnostics() {
+  try {
+    localStorage.setItem(DIAGNOSTICS_KEY, JSON.stringify(diagnostics));
+  } catch (error) {
+    // Diagnostics are never worth failing over
+  }
+}
+
+/**
+ * Add an entry to one of the lists, dropping the oldest beyond `max`
+ */
+function addEntry(list, entry, max) {
+  diagnostics[list].push({at: Date.now(), ...entry});
+  diagnostics[list] = diagnostics[list].slice(-max);
+  saveDiagnostics();
+}
+
+/**
+ * Milliseconds rounded for display and the report, or null if unknown
+ */
+function roundMs(ms) {
+  return Number.isFinite(ms) ? Math.round(ms) : null;
+}
+
+/**
+ * Record a model load: `backend` ('device' or 'server'), `model` (the
+ * variant id, on the device), the time taken in ms (`totalMs`, and on the
+ * device `createMs` for LlmInference.createFromOptions) and `error`, the
+ * message if it failed
+ */
+export function recordModelLoad({backend, model = '', totalMs, createMs, error = ''}) {
+  addEntry('loads', {
+    backend,
+    model,
+    totalMs: roundMs(totalMs),
+    createMs: roundMs(createMs),
+    ok: !error,
+    error: String(error).slice(0, MAX_ERROR_LENGTH)
+  }, MAX_LOADS);
+}
+
+/**
+ * Record how an answer went: `promptTokens` and `outputTokens`, the ms until
+ * the first token (`firstTokenMs`) and until the last (`totalMs`), both from
+ * when the prompt was sent to the model. Tokens per second are worked out
+ * from the time between the first token and the last.
+ */
+export function recordAnswer({backend, model = '', mode, promptTokens, outputTokens, firstTokenMs, totalMs, stopped = false}) {
+  const streamingSeconds = (totalMs - firstTokenMs) / 1000;
+  addEntry('answers', {
+    backend,
+    model,
+    mode,
+    promptTokens,
+    outputTokens,
+    firstTokenMs: roundMs(firstTokenMs),
+    totalMs: roundMs(totalMs),
+    tokensPerSecond: outputTokens > 1 && streamingSeconds > 0 ?
+      Math.round((outputTokens - 1) / streamingSeconds * 10) / 10 : null,
+    stopped
+  }, MAX_ANSWERS);
+}
+
+/**
+ * One value logged with an error as text
+ */
+function describe(value) {
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Add an error to the log. `source` says where it came from: 'console' for
+ * errors the app logged, 'uncaught' for those nothing handled.
+ */
+export function recordError(source, ...values) {
+  addEntry('errors', {
+    source,
+    message: values.map(describe).join(' ').slice(0, MAX_ERROR_LENGTH)
+  }, MAX_ERRORS);
+}
+
+/**
+ * Start keeping errors in the log: everything passed to console.error (which
+ * still logs as before) and errors nothing caught. Only the first call does
+ * anything.
+ */
+export function captureErrors() {
+  if (capturing) {
+    return;
+  }
+  capturing = true;
+
+  const logError = console.error.bind(console);
+  console.error = (...values) => {
+    logError(...values);
+    recordError('console', ...values);
+  };
+  window.addEventListener('error', event => {
+    recordError('uncaught', event.error || event.message);
+  });
+  window.addEventListener('unhandledrejection', event => {
+    recordError('uncaught', event.reason);
+  });
+}
+
+/**
+ * The diagnostics kept so far: {loads, answers, errors}, oldest first
+ */
+export function getDiagnostics() {
+  return {
+    loads: diagnostics.loads.slice(),
+    answers: diagnostics.answers.slice(),
+    errors: diagnostics.errors.slice()
+  };
+}
+
+/**
+ * Forget all diagnostics
+ */
+export function clearDiagnostics() {
+  diagnostics = {loads: [], answers: [], errors: []};
+  saveDiagnostics();
+}
+
+/**
+ * The middle value of a list of numbers, ignoring unknown ones, or null
+ */
+function median(values) {
+  const known = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (known.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(known.length / 2);
+  return known.length % 2 ? known[middle] : (known[middle - 1] + known[middle]) / 2;
+}
+
+/**
+ * The typical answer among those recorded (the median of each measure, so a
+ * single slow answer does not skew it): {count, firstTokenMs,
+ * tokensPerSecond, promptTokens}
+ */
+export function summarizeAnswers(answers) {
+  return {
+    count: answers.length,
+    firstTokenMs: roundMs(median(answers.map(answer => answer.firstTokenMs))),
+    tokensPerSecond: median(answers.map(answer => answer.tokensPerSecond)),
+    promptTokens: roundMs(median(answers.map(answer => answer.promptTokens)))
+  };
+}
+
+/**
+ * Memory on the device and used by the page, in the units browsers give:
+ * {deviceGB, usedMB, limitMB}. Each is null where the browser does not say
+ * (only Chromium browsers report the page's memory).
+ */
+export function memoryUsage() {
+  const deviceGB = typeof navigator !== 'undefined' ? Number(navigator.deviceMemory) : NaN;
+  const heap = typeof performance !== 'undefined' && performance.memory;
+  return {
+    deviceGB: deviceGB > 0 ? deviceGB : null,
+    usedMB: heap ? Math.round(heap.usedJSHeapSize / BYTES_PER_MB) : null,
+    limitMB: heap ? Math.round(heap.jsHeapSizeLimit / BYTES_PER_MB) : null
+  };
+}
+
+/**
+ * The diagnostics report a user can save and send: the kept diagnostics
+ * with the device details given (`device`, e.g. capabilities, memory and
+ * storage) and the app's settings that affect speed (`app`). Chats are not
+ * included.
+ */
+export function buildReport({app = {}, device = {}} = {}) {
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    userAgent: typeof navigator !== 'undefined' && navigator.userAgent ? navigator.userAgent : '',
+    app,
+    device,
+    ...getDiagnostics()
+  };
+}
+
+/**
+ * File name for a saved diagnostics report
+ */
+export function reportFileName() {
+  return `geniguidesl-diagnostics-${new Date().toISOString().slice(0, 10)}.json`;
+}
@@ -0,0 +1,210 @@
+// Emergency triage for health questions. A small set of rules, shipped as
+// data/emergency-rules.json so it can be updated without a new app release,
+// recognises emergency phrases in English and Krio. A match shows a vetted
+// first-aid card straight away, before the model starts on its answer.
+
+import {t} from './i18n.js';
+
+export const RULES_FORMAT = 'geniguidesl-emergency-rules';
+export const RULES_VERSION = 1;
+
+const RULES_URL = 'data/emergency-rules.json';
+
+/**
+ * Lowercase text with accents and punctuation removed, and the Krio letters
+ * ɔ, ɛ and ŋ written as o, e and ng, so "Snek dɔn bit am!" and "snek don bit
+ * am" look the same. Padded with spaces so phrases can be matched as whole
+ * words.
+ */
+export function normalizeText(text) {
+  const plain = text
+    .toLowerCase()
+    .replace(/ɔ/g, 'o')
+    .replace(/ɛ/g, 'e')
+    .replace(/ŋ/g, 'ng')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return ` ${plain} `;
+}
+
+/**
+ * Strings for each language in a {en: ..., kri: ...} field
+ */
+function localized(field, check) {
+  const result = {};
+  if (field && typeof field === 'object') {
+    Object.entries(field).forEach(([language, value]) => {
+      if (check(value)) {
+        result[language] = value;
+      }
+    });
+  }
+  return result;
+}
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isTextList = value => Array.isArray(value) && value.every(isText);
+
+/**
+ * Check one card, compiling its patterns. Throws an Error when the card
+ * cannot be shown.
+ */
+function validateCard(data) {
+  if (!data || typeof data !== 'object' || !isText(data.id)) {
+    throw new Error('Emergency card without an id');
+  }
+  const title = localized(data.title, isText);
+  const steps = localized(data.steps, isTextList);
+  if (!title.en || !steps.en || steps.en.length === 0) {
+    throw new Error(`Emergency card ${data.id} needs an English title and steps`);
+  }
+  const patterns = Object.values(localized(data.patterns, isTextList))
+    .flat()
+    .map(normalizeText)
+    .filter(pattern => pattern.trim() !== '');
+  if (patterns.length === 0) {
+    throw new Error(`Emergency card ${data.id} has no patterns`);
+  }
+  return {
+    id: data.id,
+    icon: isText(data.icon) ? data.icon : '🚑',
+    patterns: [...new Set(patterns)],
+    title,
+    steps,
+    doNot: localized(data.doNot, isTextList)
+  };
+}
+
+/**
+ * Check a rules file and return it in the shape findEmergency uses. Invalid
+ * cards are skipped; the file is rejected if none are usable.
+ */
+export function parseEmergencyRules(data) {
+  if (!data || data.format !== RULES_FORMAT || !Array.isArray(data.cards)) {
+    throw new Error('Not an emergency rules file');
+  }
+  if (!Number.isInteger(data.version) || data.version > RULES_VERSION) {
+    throw new Error('Emergency rules file is for a newer version of the app');
+  }
+
+  const cards = [];
+  data.cards.forEach(entry => {
+    try {
+      cards.push(validateCard(entry));
+    } catch (error) {
+      console.error('Skipping invalid emergency card:', error);
+    }
+  });
+  if (cards.length === 0) {
+    throw new Error('Emergency rules file has no usable cards');
+  }
+
+  const numbers = (Array.isArray(data.numbers) ? data.numbers : [])
+    .filter(entry => entry && /^[0-9+]{2,15}$/.test(entry.number))
+    .map(entry => ({number: entry.number, label: localized(entry.label, isText)}));
+
+  return {
+    rulesVersion: isText(data.rulesVersion) ? data.rulesVersion : '',
+    source: isText(data.source) ? data.source : '',
+    modes: isTextList(data.modes) ? data.modes : ['health'],
+    numbers,
+    cards
+  };
+}
+
+/**
+ * Load the emergency rules. Resolves to null if they cannot be read, in which
+ * case questions go straight to the model as before.
+ */
+export async function loadEmergencyRules() {
+  try {
+    const response = await fetch(RULES_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return parseEmergencyRules(await response.json());
+  } catch (error) {
+    console.error('Error loading emergency rules:', error);
+    return null;
+  }
+}
+
+/**
+ * The first card (in file order, so the most urgent) whose phrases appear in
+ * the message, or null. Only modes listed in the rules are checked.
+ */
+export function findEmergency(rules, modeId, text) {
+  if (!rules || !rules.modes.includes(modeId)) {
+    return null;
+  }
+  const normalized = normalizeText(text);
+  return rules.cards.find(card => card.patterns.some(pattern => normalized.includes(pattern))) || null;
+}
+
+/**
+ * A card's text in the given language, falling back to English for anything
+ * not translated
+ */
+export function localizeCard(rules, card, language) {
+  const pick = field => field[language] || field.en;
+  return {
+    id: card.id,
+    icon: card.icon,
+    rulesVersion: rules.rulesVersion,
+    source: rules.source,
+    title: pick(card.title),
+    steps: pick(card.steps),
+    doNot: pick(card.doNot) || [],
+    numbers: rules.numbers.map(entry => ({number: entry.number, label: pick(entry.label) || ''}))
+  };
+}
+
+/**
+ * The card as a Markdown chat message, so it is saved, searched and exported
+ * like any other answer
+ */
+export function cardToMarkdown(card) {
+  const lines = [`### ${card.icon} ${card.title}`, ''];
+  card.steps.forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+  if (card.doNot.length > 0) {
+    lines.push('', `**${t('emergency.doNot')}**`, '');
+    card.doNot.forEach(item => lines.push(`- ${item}`));
+  }
+  if (card.numbers.length > 0) {
+    lines.push('', card.numbers.map(({number, label}) => `📞 **${number}** ${label}`).join(' · '));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The chat message for a card. `emergency` marks it so it is shown as a card
+ * and so the model knows it has already been given.
+ */
+export function createEmergencyMessage(card) {
+  return {
+    role: 'assistant',
+    content: cardToMarkdown(card),
+    emergency: {card: card.id, rulesVersion: card.rulesVersion, numbers: card.numbers}
+  };
+}
+
+/**
+ * Instructions added to the system prompt when a card has been shown, so the
+ * model adds to it rather than repeating or contradicting it
+ */
+export function emergencyPromptNote(card) {
+  const numbers = card.numbers.map(({number, label}) => `${number} (${label})`).join(', ');
+  return [
+    'The user may be facing a medical emergency. This first-aid card has already been shown to them:',
+    '',
+    card.title,
+    ...card.steps.map(step => `- ${step}`),
+    ...card.doNot.map(item => `- ${item}`),
+    '',
+    'Do not repeat these steps and do not contradict them. Briefly add anything else that helps in their situation and answer their question.',
+    numbers ? `Remind them to call ${numbers} or get to the nearest health facility now.` : 'Remind them to get to the nearest health facility now.'
+  ].join('\n');
+}
@@ -0,0 +1,488 @@
+// Getting conversations out of the browser and back in: versioned JSON that
+// round-trips through import, Markdown, a printable HTML page and the Web
+// Share API.
+
+import {renderMarkdown} from './markdown.js';
+import {createConversation, generateTitle} from './conversations.js';
+import {getLanguage, t} from './i18n.js';
+
+export const EXPORT_FORMAT = 'geniguidesl-conversations';
+export const EXPORT_VERSION = 1;
+
+const APP_NAME = 'GeniGuideSL';
+
+/**
+ * Turn a title into something safe to use in a file name
+ */
+export function slugify(text, fallback = 'chat') {
+  const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return slug || fallback;
+}
+
+/**
+ * File name for an export of one conversation (or all of them when none is given)
+ */
+export function exportFileName(conversation, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  const name = conversation ? slugify(conversation.title) : 'all-chats';
+  return `geniguidesl-${name}-${date}.${extension}`;
+}
+
+/**
+ * Serialize conversations to the versioned JSON export format
+ */
+export function exportConversationsJson(list) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: list.map(conversation => ({
+      id: conversation.id,
+      mode: conversation.mode,
+      title: conversation.title,
+      autoTitle: conversation.autoTitle,
+      pinned: conversation.pinned,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messages: conversation.messages,
+      memory: conversation.memory,
+      answerLanguage: conversation.answerLanguage || null,
+      forks: conversation.forks
+    }))
+  }, null, 2);
+}
+
+/**
+ * Check one imported message and keep only the fields the app uses
+ */
+function normalizeMessage(message) {
+  if (!message || (message.role !== 'user' && message.role !== 'assistant') ||
+      typeof message.content !== 'string') {
+    return null;
+  }
+  const normalized = {role: message.role, content: message.content};
+  if (message.stopped) {
+    normalized.stopped = true;
+  }
+  if (Array.isArray(message.sources)) {
+    normalized.sources = message.sources
+      .filter(source => source && Number.isInteger(source.number) && typeof source.title === 'string')
+      .map(source => ({
+        number: source.number,
+        title: source.title,
+        packTitle: typeof source.packTitle === 'string' ? source.packTitle : '',
+        source: typeof source.source === 'string' ? source.source : ''
+      }));
+  }
+  if (message.role === 'assistant' && message.emergency && typeof message.emergency.card === 'string') {
+    normalized.emergency = {
+      card: message.emergency.card,
+      rulesVersion: typeof message.emergency.rulesVersion === 'string' ? message.emergency.rulesVersion : '',
+      numbers: (Array.isArray(message.emergency.numbers) ? message.emergency.numbers : [])
+        .filter(entry => entry && /^[0-9+]{2,15}$/.test(entry.number))
+        .map(entry => ({number: entry.number, label: typeof entry.label === 'string' ? entry.label : ''}))
+    };
+  }
+  if (message.tool && typeof message.tool.name === 'string') {
+    normalized.tool = {
+      name: message.tool.name,
+      arguments: message.tool.arguments && typeof message.tool.arguments === 'object' ? message.tool.arguments : {}
+    };
+    if (typeof message.tool.result === 'string') {
+      normalized.tool.result = message.tool.result;
+    }
+  }
+  if (message.feedback === 'up' || message.feedback === 'down') {
+    normalized.feedback = message.feedback;
+  }
+  // Questions that tried to change the model's instructions, and the safety
+  // notes of answers (see safety.js)
+  if (message.role === 'user' && message.screened) {
+    normalized.screened = true;
+  }
+  if (message.role === 'assistant' && message.safety && typeof message.safety === 'object') {
+    normalized.safety = {
+      modified: Boolean(message.safety.modified),
+      notes: (Array.isArray(message.safety.notes) ? message.safety.notes : [])
+        .filter(note => typeof note === 'string' && note)
+    };
+  }
+  // The mode a question was answered in, or suggested for, besides the chat's own
+  ['routedMode', 'suggestedMode'].forEach(field => {
+    if (message.role === 'user' && typeof message[field] === 'string' && message[field]) {
+      normalized[field] = message[field];
+    }
+  });
+  const forks = normalizeForks(message.forks);
+  if (forks) {
+    normalized.forks = forks;
+  }
+  return normalized;
+}
+
+/**
+ * Check the versions stored at a branch point (see forkConversation). If any
+ * is not usable they are all dropped, keeping only the version shown.
+ */
+function normalizeForks(forks) {
+  if (!forks || !Array.isArray(forks.versions) || forks.versions.length < 2 ||
+      forks.versions[forks.active] !== null) {
+    return null;
+  }
+  const versions = forks.versions.map((version, index) => {
+    if (index === forks.active) {
+      return null;
+    }
+    const messages = Array.isArray(version) ? version.map(normalizeMessage) : [];
+    return messages.length > 0 && messages.every(Boolean) ? messages : undefined;
+  });
+  return versions.includes(undefined) ? null : {active: forks.active, versions};
+}
+
+/**
+ * Check one imported (or stored) conversation and fill in anything missing.
+ * Returns null when it is not usable. With `salvage`, damaged messages are
+ * dropped instead, along with the memory, which counts messages by position.
+ */
+export function normalizeConversation(data, {salvage = false} = {}) {
+  if (!data || typeof data.mode !== 'string' || !Array.isArray(data.messages)) {
+    return null;
+  }
+  let messages = data.messages.map(normalizeMessage);
+  const damaged = messages.some(message => !message);
+  if (damaged && !salvage) {
+    return null;
+  }
+  messages = messages.filter(Boolean);
+
+  const conversation = createConversation(data.mode);
+  if (typeof data.id === 'string' && data.id) {
+    conversation.id = data.id;
+  }
+  const firstQuestion = messages.find(message => message.role === 'user');
+  conversation.title = typeof data.title === 'string' && data.title.trim() ?
+    data.title.trim() : generateTitle(firstQuestion ? firstQuestion.content : '');
+  conversation.autoTitle = Boolean(data.autoTitle);
+  conversation.pinned = Boolean(data.pinned);
+  if (Number.isFinite(data.createdAt)) {
+    conversation.createdAt = data.createdAt;
+  }
+  if (Number.isFinite(data.updatedAt)) {
+    conversation.updatedAt = data.updatedAt;
+  }
+  conversation.messages = messages;
+  if (!damaged && data.memory && typeof data.memory.summary === 'string' && Number.isInteger(data.memory.coveredCount)) {
+    conversation.memory = {summary: data.memory.summary, coveredCount: data.memory.coveredCount};
+  }
+  if (typeof data.answerLanguage === 'string') {
+    conversation.answerLanguage = data.answerLanguage;
+  }
+  const forks = normalizeForks(data.forks);
+  if (forks) {
+    conversation.forks = forks;
+  }
+  return conversation;
+}
+
+/**
+ * Parse a JSON export. Throws an Error with a readable message when the file
+ * is not an export or comes from a newer version of the app.
+ * Returns {conversations, invalidCount}.
+ */
+export function parseConversationsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(t('export.errorInvalidJson'));
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.conversations)) {
+    throw new Error(t('export.errorNotExport'));
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error(t('export.errorNewerVersion'));
+  }
+
+  const conversations = data.conversations.map(entry => normalizeConversation(entry)).filter(Boolean);
+  return {
+    conversations,
+    invalidCount: data.conversations.length - conversations.length
+  };
+}
+
+/**
+ * Fingerprint of a conversation's content, used to spot duplicates that were
+ * exported from another device or imported twice
+ */
+function fingerprint(conversation) {
+  return JSON.stringify([conversation.mode, conversation.messages.map(message => [message.role, message.content])]);
+}
+
+/**
+ * Whether the messages of `shorter` are the start of `longer`
+ */
+function isContinuation(shorter, longer) {
+  return shorter.messages.length <= longer.messages.length &&
+    shorter.messages.every((message, index) =>
+      message.role === longer.messages[index].role && message.content === longer.messages[index].content);
+}
+
+/**
+ * Work out how imported conversations merge into the existing ones:
+ * - identical content (same id or not) is skipped as a duplicate
+ * - the same conversation continued elsewhere replaces the shorter local copy
+ * - a conversation that diverged from the local copy is added alongside it
+ * Returns {added, updated, skipped}; nothing is saved here.
+ */
+export function mergeConversations(existing, incoming) {
+  const byId = new Map(existing.map(conversation => [conversation.id, conversation]));
+  const known = new Set(existing.map(fingerprint));
+  const result = {added: [], updated: [], skipped: 0};
+
+  incoming.forEach(conversation => {
+    const print = fingerprint(conversation);
+    if (known.has(print)) {
+      result.skipped += 1;
+      return;
+    }
+    known.add(print);
+
+    const local = byId.get(conversation.id);
+    if (!local) {
+      byId.set(conversation.id, conversation);
+      result.added.push(conversation);
+    } else if (isContinuation(local, conversation)) {
+      result.updated.push(conversation);
+    } else if (isContinuation(conversation, local)) {
+      // The local copy is already further along
+      result.skipped += 1;
+    } else {
+      const copy = {...conversation, id: createConversation(conversation.mode).id};
+      byId.set(copy.id, copy);
+      result.added.push(copy);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Messages worth exporting: the app's greeting before the first question is left out
+ */
+function exportedMessages(conversation) {
+  const start = conversation.messages.findIndex(message => message.role === 'user');
+  return start === -1 ? [] : conversation.messages.slice(start);
+}
+
+/**
+ * Format a timestamp for people reading an export
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(getLanguage());
+}
+
+/**
+ * Label for the mode a conversation belongs to, in the interface language
+ */
+function modeLabel(conversation, modes) {
+  const mode = modes[conversation.mode];
+  return mode ? `${mode.icon} ${t(`modes.${conversation.mode}.title`, {}, mode.title)}` : conversation.mode;
+}
+
+/**
+ * Render one conversation as Markdown
+ */
+export function conversationToMarkdown(conversation, modes) {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `_${modeLabel(conversation, modes)} · ${formatDate(conversation.updatedAt)}_`,
+    ''
+  ];
+  exportedMessages(conversation).forEach(message => {
+    lines.push(`**${message.role === 'user' ? t('export.you') : APP_NAME}:**`, '', message.content.trim(), '');
+    if (message.sources && message.sources.length > 0) {
+      lines.push(`${t('export.sources')}:`, '');
+      message.sources.forEach(source => lines.push(`- [${source.number}] ${source.title} — ${source.packTitle}`));
+      lines.push('');
+    }
+    if (message.safety) {
+      if (message.safety.modified) {
+        lines.push(`_${t('safety.modified')}_`, '');
+      }
+      message.safety.notes.forEach(note => lines.push(`> ${note}`, ''));
+    }
+    if (message.stopped) {
+      lines.push(`_${t('export.stopped')}_`, '');
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Render several conversations as one Markdown document
+ */
+export function conversationsToMarkdown(list, modes) {
+  return list.map(conversation => conversationToMarkdown(conversation, modes)).join('\n---\n\n');
+}
+
+// Styles for the printable page; kept small so it also reads well on paper
+const PRINT_STYLES = `
+  body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #202124; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { color: #1a73e8; margin-bottom: 0.25rem; }
+  .meta { color: #5f6368; font-size: 0.9rem; margin-bottom: 1.5rem; }
+  .message { margin-bottom: 1rem; padding: 0.5rem 0.75rem; border-left: 3px solid #dadce0; break-inside: avoid; }
+  .message.user { border-left-color: #1a73e8; }
+  .speaker { font-weight: 600; font-size: 0.85rem; color: #5f6368; }
+  .conversation + .conversation { break-before: page; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #dadce0; padding: 4px 8px; }
+  pre { white-space: pre-wrap; }
+  footer { margin-top: 2rem; font-size: 0.8rem; color: #5f6368; }
+`;
+
+/**
+ * Build a standalone, print-friendly HTML page for conversations. Replies are
+ * rendered with the same safe Markdown renderer as the chat.
+ */
+export function conversationsToPrintableHtml(list, modes) {
+  const title = list.length === 1 ? list[0].title : t('export.allChatsTitle');
+  const doc = document.implementation.createHTMLDocument(title);
+  doc.documentElement.lang = getLanguage();
+
+  const charset = doc.createElement('meta');
+  charset.setAttribute('charset', 'UTF-8');
+  doc.head.prepend(charset);
+  const style = doc.createElement('style');
+  style.textContent = PRINT_STYLES;
+  doc.head.appendChild(style);
+
+  list.forEach(conversation => {
+    const section = doc.createElement('section');
+    section.className = 'conversation';
+
+    const heading = doc.createElement('h1');
+    heading.textContent = conversation.title;
+    section.appendChild(heading);
+
+    const meta = doc.createElement('p');
+    meta.className = 'meta';
+    meta.textContent = `${modeLabel(conversation, modes)} · ${formatDate(conversation.updatedAt)}`;
+    section.appendChild(meta);
+
+    exportedMessages(conversation).forEach(message => {
+      const messageDiv = doc.createElement('div');
+      messageDiv.className = `message ${message.role}`;
+
+      const speaker = doc.createElement('div');
+      speaker.className = 'speaker';
+      speaker.textContent = message.role === 'user' ? t('export.you') : APP_NAME;
+      messageDiv.appendChild(speaker);
+
+      if (message.role === 'user') {
+        const text = doc.createElement('p');
+        text.textContent = message.content;
+        messageDiv.appendChild(text);
+      } else {
+        messageDiv.appendChild(doc.importNode(renderMarkdown(message.content), true));
+      }
+      if (message.sources && message.sources.length > 0) {
+        const sources = doc.createElement('div');
+        sources.className = 'speaker';
+        sources.textContent = `${t('export.sources')}: ` + message.sources
+          .map(source => `[${source.number}] ${source.title} — ${source.packTitle}`).join('; ');
+        messageDiv.appendChild(sources);
+      }
+      if (message.safety) {
+        const notes = doc.createElement('div');
+        notes.className = 'speaker';
+        notes.textContent = [message.safety.modified ? t('safety.modified') : '', ...message.safety.notes]
+          .filter(Boolean).join(' ');
+        messageDiv.appendChild(notes);
+      }
+      if (message.stopped) {
+        const stopped = doc.createElement('div');
+        stopped.className = 'speaker';
+        stopped.textContent = t('export.stopped');
+        messageDiv.appendChild(stopped);
+      }
+      section.appendChild(messageDiv);
+    });
+
+    doc.body.appendChild(section);
+  });
+
+  const footer = doc.createElement('footer');
+  footer.textContent = t('export.footer', {date: formatDate(Date.now())});
+  doc.body.appendChild(footer);
+
+  return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+}
+
+/**
+ * Save text as a file through the browser's download mechanism
+ */
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], {type}));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open conversations in a new tab as a printable page and bring up the print dialog
+ */
+export function printConversations(list, modes) {
+  return printHtml(conversationsToPrintableHtml(list, modes));
+}
+
+/**
+ * Open a standalone HTML page in a new tab and bring up the print dialog,
+ * from which it can also be saved as a PDF. Returns false if the browser
+ * blocked the new tab.
+ */
+export function printHtml(html) {
+  const url = URL.createObjectURL(new Blob([html], {type: 'text/html'}));
+  const printWindow = window.open(url, '_blank');
+  if (!printWindow) {
+    URL.revokeObjectURL(url);
+    return false;
+  }
+  printWindow.addEventListener('load', () => {
+    printWindow.print();
+    URL.revokeObjectURL(url);
+  }, {once: true});
+  return true;
+}
+
+/**
+ * Whether the Web Share API is available
+ */
+export function canShare() {
+  return typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+}
+
+/**
+ * Share a conversation as text through the device's share sheet (WhatsApp,
+ * Bluetooth, SMS, ...). Resolves to false if the user cancelled.
+ */
+export async function shareConversation(conversation, modes) {
+  try {
+    await navigator.share({
+      title: conversation.title,
+      text: conversationToMarkdown(conversation, modes)
+    });
+    return true;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return false;
+    }
+    throw error;
+  }
+}
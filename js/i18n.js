@@ -0,0 +1,133 @@
+// Interface translations and answer-language control.
+//
+// Each interface language has a message catalog in js/locales/<code>.js that
+// maps keys to strings with {placeholders}. English is always loaded and is
+// the fallback for any key a catalog does not have yet, so a partial
+// translation still gives a working interface.
+
+import en from './locales/en.js';
+
+// Languages people can ask the model to answer in. Those with a catalog can
+// also be picked for the interface; add a catalog loader to offer one.
+export const LANGUAGES = [
+  {code: 'en', name: 'English', promptName: 'English'},
+  {code: 'kri', name: 'Krio', promptName: 'Krio (Sierra Leone Creole)'},
+  {code: 'men', name: 'Mɛnde', promptName: 'Mende'},
+  {code: 'tem', name: 'Temne', promptName: 'Temne'}
+];
+
+const CATALOG_LOADERS = {
+  en: async () => en,
+  kri: async () => (await import('./locales/kri.js')).default
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let currentCatalog = en;
+
+/**
+ * Languages that can be used for the interface
+ */
+export function getInterfaceLanguages() {
+  return LANGUAGES.filter(language => CATALOG_LOADERS[language.code]);
+}
+
+/**
+ * Look up a language by code
+ */
+export function getLanguageInfo(code) {
+  return LANGUAGES.find(language => language.code === code) || null;
+}
+
+/**
+ * The current interface language code
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Switch the interface language, falling back to English if the catalog is
+ * missing or fails to load. Resolves to the language actually in use.
+ */
+export async function setLanguage(code) {
+  const loader = CATALOG_LOADERS[code];
+  if (!loader) {
+    code = DEFAULT_LANGUAGE;
+  }
+  try {
+    currentCatalog = await CATALOG_LOADERS[code]();
+    currentLanguage = code;
+  } catch (error) {
+    console.error(`Error loading ${code} translations:`, error);
+    currentCatalog = en;
+    currentLanguage = DEFAULT_LANGUAGE;
+  }
+  document.documentElement.lang = currentLanguage;
+  return currentLanguage;
+}
+
+/**
+ * Fill {placeholders} in a message
+ */
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translate a key. Missing translations fall back to English, then to
+ * `fallback` (for text that comes from data, such as custom modes), then to the key.
+ */
+export function t(key, params = {}, fallback = key) {
+  const message = currentCatalog[key] ?? en[key] ?? fallback;
+  return interpolate(message, params);
+}
+
+/**
+ * Translate a key with a count, using `<key>.one` for 1 and `<key>.other` otherwise
+ */
+export function plural(key, count, params = {}) {
+  return t(`${key}.${count === 1 ? 'one' : 'other'}`, {count, ...params});
+}
+
+/**
+ * Whether a key has a translation in the current language or English
+ */
+export function hasTranslation(key) {
+  return key in currentCatalog || key in en;
+}
+
+/**
+ * Translate elements marked up with data-i18n (text), data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+  });
+}
+
+/**
+ * Instruction added to the system prompt so the model answers in a language.
+ * English needs none; languages the model knows little of fall back to English.
+ */
+export function languageInstruction(code) {
+  const language = getLanguageInfo(code);
+  if (!language || language.code === 'en') {
+    return '';
+  }
+  if (language.code === 'kri') {
+    return `Always answer in ${language.promptName}, using simple everyday words.`;
+  }
+  return `Always answer in ${language.promptName}. If you cannot write ${language.promptName} well, answer in simple English instead.`;
+}
@@ -0,0 +1,31 @@
+// Minimal promise wrappers around IndexedDB
+
+/**
+ * Resolve with the result of an IDBRequest
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/**
+ * Open a database, running upgrade(db, oldVersion, transaction) when the version changes
+ */
+export function openDatabase(name, version, upgrade) {
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = event => upgrade(request.result, event.oldVersion, request.transaction);
+  return promisifyRequest(request);
+}
@@ -0,0 +1,94 @@
+// Web Worker running the MediaPipe engine, so reading the model and
+// generating tokens never block the page. It is driven by createDeviceBackend
+// in inference.js, which documents the message protocol.
+
+import {FilesetResolver, LlmInference} from '../vendor/tasks-genai/genai_bundle.mjs';
+import {openStoredModel} from './model-store.js';
+
+let engine = null;
+let appliedOptions = null;
+let modelFileName = null;
+
+/**
+ * Open the stored model, reporting read progress against the request `id`
+ */
+function openModel(id) {
+  return openStoredModel(modelFileName, progress => {
+    self.postMessage({type: 'progress', id, ...progress});
+  });
+}
+
+/**
+ * Create the engine from the stored model (MediaPipe runs it on the GPU,
+ * through WebGPU). Resolves to {createMs}, how long createFromOptions took (reading the model from
+ * storage included, as the engine streams it in).
+ */
+async function load(id, {wasmBasePath, modelFileName: name, options}) {
+  modelFileName = name;
+  const genaiFileset = await FilesetResolver.forGenAiTasks(wasmBasePath);
+  const createStart = performance.now();
+  engine = await LlmInference.createFromOptions(genaiFileset, {
+    baseOptions: {modelAssetBuffer: await openModel(id)},
+    ...options  // Context size and sampling options from the settings
+  });
+  appliedOptions = options;
+  return {createMs: performance.now() - createStart};
+}
+
+/**
+ * Set the engine's options for the next answer. Only options that changed
+ * are sent; a new context size needs the model read from storage again.
+ */
+async function applyOptions(id, options) {
+  const changed = Object.keys(options).filter(key => options[key] !== appliedOptions[key]);
+  if (changed.length === 0) {
+    return;
+  }
+  const update = Object.fromEntries(changed.map(key => [key, options[key]]));
+  if (changed.includes('maxTokens')) {
+    update.baseOptions = {modelAssetBuffer: await openModel(id)};
+  }
+  await engine.setOptions(update);
+  appliedOptions = options;
+}
+
+/**
+ * Generate an answer, posting each piece of text as it arrives
+ */
+async function generate(id, {prompt, options}) {
+  await applyOptions(id, options);
+  let text = '';
+  await engine.generateResponse(prompt, partialResponse => {
+    text += partialResponse;
+    self.postMessage({type: 'token', id, text: partialResponse});
+  });
+  return text;
+}
+
+/**
+ * Prompt size in the model's tokens
+ */
+async function countTokens(id, {text}) {
+  return engine.sizeInTokens(text);
+}
+
+const handlers = {load, generate, countTokens};
+
+self.addEventListener('message', async event => {
+  const {type, id} = event.data;
+
+  // The engine stops at its next decoding step and the generation settles
+  if (type === 'cancel') {
+    if (engine) {
+      engine.cancelProcessing();
+    }
+    return;
+  }
+
+  try {
+    const result = await handlers[type](id, event.data);
+    self.postMessage({type: 'result', id, result});
+  } catch (error) {
+    self.postMessage({type: 'error', id, message: error && error.message ? error.message : String(error)});
+  }
+});
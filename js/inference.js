@@ -0,0 +1,271 @@
+// Inference backends: where the model that answers questions runs. Each
+// backend has the same small interface, so the rest of the app does not care
+// whether answers come from this device or from a server on the network:
+//
+//   load(options)                      get ready to answer; throws if it cannot.
+//                                      The device backend resolves to how long
+//                                      loading took (see inference-worker.js)
+//   generate(request, options, onText) stream an answer, resolving to its text
+//   cancel()                           stop the answer in progress
+//   countTokens(text)                  resolve to the prompt size in tokens
+//   close()                            let go of the engine, e.g. after load() failed
+//
+// `request` comes from buildPrompt: {prompt, messages, promptTokens}, the
+// prompt in Gemma's chat template for the on-device model and the same turns
+// as chat messages for servers, which apply their own model's template.
+// `options` are the generation options from resolveGenerationOptions.
+
+import {estimateTokens} from './prompt.js';
+import {t} from './i18n.js';
+
+// How long a server may take to start answering before it counts as unreachable
+const CONNECT_TIMEOUT_MS = 15000;
+
+// Replies from a server are always allowed at least this many tokens
+const MIN_REPLY_TOKENS = 256;
+
+/**
+ * The model running on this device with MediaPipe, inside a Web Worker
+ * (inference-worker.js) so the page stays responsive. Each call is a message
+ * with an id; the worker answers with messages carrying the same id:
+ *
+ *   {type: 'load', wasmBasePath, modelFileName, options}
+ *   {type: 'generate', prompt, options}
+ *   {type: 'countTokens', text}
+ *     -> {type: 'progress', receivedBytes, totalBytes}  while reading the model
+ *     -> {type: 'token', text}                          for each piece of an answer
+ *     -> {type: 'result', result} or {type: 'error', message}
+ *   {type: 'cancel'}                                    stop the answer in progress
+ *
+ * `onProgress` receives the model read progress.
+ */
+export function createDeviceBackend({wasmBasePath, modelFileName, onProgress = () => {}}) {
+  const worker = new Worker(new URL('./inference-worker.js', import.meta.url), {type: 'module'});
+  const calls = new Map();
+  let nextId = 1;
+
+  worker.addEventListener('message', event => {
+    const message = event.data;
+    const call = calls.get(message.id);
+    if (!call) {
+      return;
+    }
+    if (message.type === 'progress') {
+      onProgress(message);
+    } else if (message.type === 'token') {
+      call.onText(message.text);
+    } else {
+      calls.delete(message.id);
+      if (message.type === 'result') {
+        call.resolve(message.result);
+      } else {
+        call.reject(new Error(message.message));
+      }
+    }
+  });
+
+  // A worker that cannot start (or crashes) fails every call in progress
+  worker.addEventListener('error', event => {
+    const error = new Error(event.message || 'The inference worker stopped');
+    calls.forEach(call => call.reject(error));
+    calls.clear();
+  });
+
+  /**
+   * Send a request to the worker, resolving to its result
+   */
+  function post(type, data, onText = null) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      calls.set(id, {resolve, reject, onText});
+      worker.postMessage({type, id, ...data});
+    });
+  }
+
+  return {
+    id: 'device',
+
+    load(options) {
+      // The worker resolves paths against its own script, so send a full URL
+      return post('load', {wasmBasePath: new URL(wasmBasePath, location.href).href, modelFileName, options});
+    },
+
+    generate(request, options, onText) {
+      return post('generate', {prompt: request.prompt, options}, onText);
+    },
+
+    cancel() {
+      worker.postMessage({type: 'cancel'});
+    },
+
+    async countTokens(text) {
+      try {
+        const size = await post('countTokens', {text});
+        if (typeof size === 'number') {
+          return size;
+        }
+      } catch (error) {
+        console.error('Error counting tokens:', error);
+      }
+      return estimateTokens(text);
+    },
+
+    close() {
+      worker.terminate();
+      const error = new Error('The inference worker was closed');
+      calls.forEach(call => call.reject(error));
+      calls.clear();
+    }
+  };
+}
+
+/**
+ * Check a server address from the settings and return it without a trailing
+ * slash or /v1, which the app adds itself. Throws an Error with a readable
+ * message if it is not an http(s) address.
+ */
+export function normalizeServerUrl(text) {
+  let url;
+  try {
+    url = new URL(text.trim());
+  } catch (error) {
+    throw new Error(t('settings.errorServerUrl'));
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(t('settings.errorServerUrl'));
+  }
+  return url.href.replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * An Error for a server that could not be reached. The app can fall back to
+ * the on-device model when it sees `unreachable`.
+ */
+function unreachableError(url, cause) {
+  const error = new Error(`Inference server ${url} is unreachable: ${cause.message}`);
+  error.unreachable = true;
+  return error;
+}
+
+/**
+ * Call `onEvent` with the data of each server-sent event in a response body
+ */
+async function readEvents(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  while (true) {
+    const {value, done} = await reader.read();
+    if (done) {
+      return;
+    }
+    buffer += value;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        onEvent(line.slice(5).trim());
+      }
+    }
+  }
+}
+
+/**
+ * A model served over HTTP with an OpenAI-compatible chat completions API,
+ * such as a llama.cpp server or Ollama on another computer on the network
+ */
+export function createServerBackend({url, model}) {
+  const baseUrl = normalizeServerUrl(url);
+  let controller = null;
+  let cancelled = false;
+
+  /**
+   * Fetch from the server, giving up if it has not answered within
+   * CONNECT_TIMEOUT_MS. Network failures become unreachable errors.
+   */
+  async function serverFetch(path, init = {}) {
+    controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONNECT_TIMEOUT_MS);
+    try {
+      return await fetch(`${baseUrl}/v1/${path}`, {...init, signal: controller.signal});
+    } catch (error) {
+      if (cancelled) {
+        throw error;
+      }
+      throw unreachableError(baseUrl, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    id: 'server',
+    url: baseUrl,
+
+    async load() {
+      const response = await serverFetch('models');
+      if (!response.ok) {
+        throw unreachableError(baseUrl, new Error(`HTTP ${response.status}`));
+      }
+    },
+
+    async generate(request, options, onText) {
+      cancelled = false;
+      const response = await serverFetch('chat/completions', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({
+          model: model || undefined,
+          messages: request.messages,
+          stream: true,
+          temperature: options.temperature,
+          top_k: options.topK,
+          seed: options.randomSeed,
+          // maxTokens covers the prompt and the reply, as on the device
+          max_tokens: Math.max(MIN_REPLY_TOKENS, options.maxTokens - request.promptTokens)
+        })
+      });
+      if (!response.ok) {
+        const error = new Error(`Inference server returned HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      let text = '';
+      try {
+        await readEvents(response, data => {
+          if (data === '[DONE]') {
+            return;
+          }
+          const choice = (JSON.parse(data).choices || [])[0];
+          const delta = choice && choice.delta && choice.delta.content;
+          if (delta) {
+            text += delta;
+            onText(delta);
+          }
+        });
+      } catch (error) {
+        // Stopping aborts the request; keep what arrived before that
+        if (!cancelled) {
+          throw error;
+        }
+      }
+      return text;
+    },
+
+    cancel() {
+      cancelled = true;
+      if (controller) {
+        controller.abort();
+      }
+    },
+
+    async countTokens(text) {
+      // The server's tokenizer is not available here
+      return estimateTokens(text);
+    },
+
+    close() {
+      // Nothing is held between requests
+    }
+  };
+}
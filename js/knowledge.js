@@ -0,0 +1,276 @@
+// Offline knowledge packs: installable collections of reference documents
+// for a mode (curriculum notes, crop guides, first-aid protocols, ...).
+// Installed packs live in IndexedDB and are searched locally with BM25, so
+// the most relevant passages can be put in the prompt and cited in answers.
+
+import {promisifyRequest, transactionDone} from './idb.js';
+import {KNOWLEDGE_STORE, getAppDatabase} from './app-db.js';
+import {t} from './i18n.js';
+
+export const PACK_FORMAT = 'geniguidesl-knowledge-pack';
+export const PACK_VERSION = 1;
+
+// Packs that ship with the app, listed so they can be installed offline
+const CATALOG_URL = 'data/knowledge/index.json';
+
+// Documents are split into passages of roughly this many words
+const PASSAGE_WORDS = 120;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Passages scoring below this, or far below the best match, are too weak a
+// match to be worth the prompt space
+const MIN_SCORE = 1.0;
+const RELATIVE_CUTOFF = 0.5;
+const DEFAULT_LIMIT = 3;
+
+// Common words that say nothing about what a passage is about
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'for', 'from', 'get', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'should', 'so', 'some',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Krio
+  'di', 'en', 'fɔ', 'mi', 'na', 'wetin', 'yu', 'dɛn', 'dis', 'de', 'go', 'wan'
+]);
+
+// BM25 indexes built for each mode, dropped whenever packs change
+const indexCache = new Map();
+
+/**
+ * Split text into lowercase search terms, dropping stopwords and plural endings
+ */
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Split a document into passages of about PASSAGE_WORDS words, keeping
+ * paragraphs together where possible
+ */
+function splitPassages(pack, document) {
+  const paragraphs = document.text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const passages = [];
+  let current = [];
+  let currentWords = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      passages.push({
+        id: `${pack.id}/${document.id}#${passages.length + 1}`,
+        packId: pack.id,
+        packTitle: pack.title,
+        title: document.title,
+        source: document.source || pack.source || '',
+        text: current.join('\n\n')
+      });
+      current = [];
+      currentWords = 0;
+    }
+  };
+
+  paragraphs.forEach(paragraph => {
+    const words = paragraph.split(/\s+/).length;
+    if (currentWords > 0 && currentWords + words > PASSAGE_WORDS) {
+      flush();
+    }
+    current.push(paragraph);
+    currentWords += words;
+  });
+  flush();
+  return passages;
+}
+
+/**
+ * Build a BM25 index over passages
+ */
+export function buildIndex(passages) {
+  const termFrequencies = [];
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  passages.forEach(passage => {
+    // Titles are indexed along with the text so a matching heading counts
+    const terms = tokenize(`${passage.title} ${passage.text}`);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    termFrequencies.push({frequencies, length: terms.length});
+    totalLength += terms.length;
+  });
+
+  return {
+    passages,
+    termFrequencies,
+    documentFrequency,
+    averageLength: passages.length > 0 ? totalLength / passages.length : 0
+  };
+}
+
+/**
+ * Rank passages against a query. Returns [{passage, score}], best first.
+ */
+export function searchIndex(index, query, limit = DEFAULT_LIMIT) {
+  const terms = [...new Set(tokenize(query))];
+  const count = index.passages.length;
+  if (terms.length === 0 || count === 0) {
+    return [];
+  }
+
+  const results = [];
+  index.termFrequencies.forEach(({frequencies, length}, i) => {
+    let score = 0;
+    terms.forEach(term => {
+      const frequency = frequencies.get(term);
+      if (!frequency) {
+        return;
+      }
+      const documents = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (count - documents + 0.5) / (documents + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / index.averageLength));
+    });
+    if (score >= MIN_SCORE) {
+      results.push({passage: index.passages[i], score});
+    }
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  const cutoff = results.length > 0 ? results[0].score * RELATIVE_CUTOFF : 0;
+  return results.filter(result => result.score >= cutoff).slice(0, limit);
+}
+
+/**
+ * Check a pack file and return it in the stored shape. Throws an Error with a
+ * readable message when the file is not a usable pack.
+ */
+export function validatePack(data) {
+  if (!data || data.format !== PACK_FORMAT) {
+    throw new Error(t('knowledge.errorNotPack'));
+  }
+  if (!Number.isInteger(data.version) || data.version > PACK_VERSION) {
+    throw new Error(t('knowledge.errorNewerVersion'));
+  }
+  if (typeof data.id !== 'string' || !data.id || typeof data.mode !== 'string' ||
+      typeof data.title !== 'string' || !data.title) {
+    throw new Error(t('knowledge.errorMissingFields'));
+  }
+  if (!Array.isArray(data.documents) || data.documents.length === 0) {
+    throw new Error(t('knowledge.errorNoDocuments'));
+  }
+
+  const documents = data.documents.map((document, index) => {
+    if (!document || typeof document.title !== 'string' || typeof document.text !== 'string') {
+      throw new Error(t('knowledge.errorDocument', {number: index + 1}));
+    }
+    return {
+      id: typeof document.id === 'string' && document.id ? document.id : String(index + 1),
+      title: document.title,
+      source: typeof document.source === 'string' ? document.source : '',
+      text: document.text
+    };
+  });
+
+  return {
+    id: data.id,
+    mode: data.mode,
+    title: data.title,
+    description: typeof data.description === 'string' ? data.description : '',
+    packVersion: typeof data.packVersion === 'string' ? data.packVersion : '',
+    source: typeof data.source === 'string' ? data.source : '',
+    documents
+  };
+}
+
+/**
+ * List installed packs (without their documents' text)
+ */
+export async function listInstalledPacks() {
+  const db = await getAppDatabase();
+  const packs = await promisifyRequest(db.transaction(KNOWLEDGE_STORE).objectStore(KNOWLEDGE_STORE).getAll());
+  return packs.map(({documents, ...pack}) => ({...pack, documentCount: documents.length}));
+}
+
+/**
+ * Validate and install (or update) a pack
+ */
+export async function installPack(data) {
+  const pack = {...validatePack(data), installedAt: Date.now()};
+  const db = await getAppDatabase();
+  const transaction = db.transaction(KNOWLEDGE_STORE, 'readwrite');
+  transaction.objectStore(KNOWLEDGE_STORE).put(pack);
+  await transactionDone(transaction);
+  indexCache.clear();
+  return pack;
+}
+
+/**
+ * Remove an installed pack
+ */
+export async function removePack(id) {
+  const db = await getAppDatabase();
+  const transaction = db.transaction(KNOWLEDGE_STORE, 'readwrite');
+  transaction.objectStore(KNOWLEDGE_STORE).delete(id);
+  await transactionDone(transaction);
+  indexCache.clear();
+}
+
+/**
+ * Fetch the list of packs that ship with the app.
+ * Resolves to [{id, mode, title, description, url}].
+ */
+export async function fetchCatalog() {
+  const response = await fetch(CATALOG_URL);
+  if (!response.ok) {
+    throw new Error(t('knowledge.errorCatalog', {status: response.status}));
+  }
+  const catalog = await response.json();
+  return Array.isArray(catalog.packs) ? catalog.packs : [];
+}
+
+/**
+ * Download and install a pack listed in the catalog
+ */
+export async function installPackFromUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(t('knowledge.errorDownload', {status: response.status}));
+  }
+  return installPack(await response.json());
+}
+
+/**
+ * Get (building if needed) the search index over a mode's installed packs
+ */
+async function getModeIndex(mode) {
+  if (!indexCache.has(mode)) {
+    const build = (async () => {
+      const db = await getAppDatabase();
+      const packs = await promisifyRequest(
+        db.transaction(KNOWLEDGE_STORE).objectStore(KNOWLEDGE_STORE).index('mode').getAll(mode));
+      const passages = [];
+      packs.forEach(pack => pack.documents.forEach(document => passages.push(...splitPassages(pack, document))));
+      return buildIndex(passages);
+    })();
+    indexCache.set(mode, build);
+    // A failed build should be retried next time rather than cached
+    build.catch(() => indexCache.delete(mode));
+  }
+  return indexCache.get(mode);
+}
+
+/**
+ * Find the passages from a mode's installed packs that best match a question.
+ * Returns [{id, packId, packTitle, title, source, text, score}].
+ */
+export async function findReferences(mode, query, limit = DEFAULT_LIMIT) {
+  const index = await getModeIndex(mode);
+  return searchIndex(index, query, limit).map(({passage, score}) => ({...passage, score}));
+}
@@ -0,0 +1,529 @@
+// English interface strings. This catalog is the fallback for every other
+// language, so every fixed string in the app must be here. Mode titles and
+// descriptions come from data/modes.json or the user's custom modes; other
+// catalogs translate built-in ones as modes.<id>.title, modes.<id>.description
+// and modes.<id>.topic.
+
+export default {
+  'app.documentTitle': 'GeniGuideSL - Your Offline AI Assistant',
+
+  // Landing page
+  'landing.subtitle': 'Your offline AI assistant for school, farming, health, law, and career tips in Sierra Leone',
+  'landing.loading': 'Loading AI model... Please wait.',
+  'company.builtBy': 'Built with ❤️ by',
+  'company.about': 'An AI company in Sierra Leone focusing on building AI applications for local needs',
+  'company.contact': 'Contact:',
+
+  // Model loading
+  'loading.startingUp': 'Starting up...',
+  'loading.initializing': 'Initializing AI environment...',
+  'loading.preparing': 'Preparing AI model...',
+  'loading.loadingModel': 'Loading Gemma AI model... This may take a moment.',
+  'loading.loadingModelPercent': 'Loading Gemma AI model... {percent}%',
+  'loading.connecting': 'Connecting to the AI server at {url}...',
+  'loading.almostReady': 'Almost ready...',
+  'loading.ready': 'Ready!',
+  'loading.checkingDevice': 'Checking what this device can run...',
+  'loading.failed': 'The AI could not be started. {error}',
+  'loading.retry': 'Try again',
+  'loading.settings': '⚙️ Settings',
+  'loading.useServer': 'Use an AI server',
+  'loading.downloading': 'Downloading AI model... {progress}',
+  'loading.progressOf': '{received} of {total}',
+  'loading.retrying': 'Connection lost at {progress}. Retrying (attempt {attempt})...',
+  'loading.verifying': 'Checking downloaded model... {percent}%',
+  'loading.paused': 'Download paused. Tap Resume to continue.',
+  'loading.stopped': 'Download stopped: {error} Tap Resume to try again.',
+  'loading.resuming': 'Resuming download...',
+  'loading.pause': 'Pause',
+  'loading.resume': 'Resume',
+
+  // Model download errors
+  'model.errorNotFound': 'Model file {url} was not found on the server',
+  'model.errorHttp': 'Model download failed with HTTP {status}',
+  'model.errorIncomplete': 'Model download ended before the whole file was received',
+  'model.errorIntegrity': 'The downloaded model failed its integrity check and was removed. Please download it again.',
+
+  // Device checks before the model loads
+  'device.error.unsupported-browser': 'This browser cannot run the AI.',
+  'device.error.no-webgpu': 'This browser does not give the AI access to the graphics chip (WebGPU).',
+  'device.error.low-memory': 'This device has {memory} GB of memory; the smallest AI model needs {needed} GB.',
+  'device.error.low-storage': 'There is not enough free storage on this device for the AI model, which needs about {size} MB.',
+  'device.error.out-of-memory': 'The device ran out of memory while starting the AI.',
+  'device.error.gpu-failed': 'The graphics chip could not run the AI.',
+  'device.error.missing-model': 'The AI model file is missing from the server.',
+  'device.error.load-failed': 'Something went wrong while starting the AI ({error}).',
+  'device.fix.unsupported-browser': 'Open GeniGuideSL in an up-to-date Chrome or Edge, or use an AI server on your network (⚙️ Settings).',
+  'device.fix.no-webgpu': 'The AI can only run on this device through WebGPU. Update Chrome or Edge, or turn on hardware acceleration in the browser settings, then try again, or use an AI server on your network instead.',
+  'device.fix.low-memory': 'Use an AI server on your network (⚙️ Settings), or a device with more memory.',
+  'device.fix.low-storage': 'Free some space by deleting files or apps you do not need, then try again.',
+  'device.fix.out-of-memory': 'Close other apps and browser tabs, then try again. A smaller model can be chosen under ⚙️ Settings.',
+  'device.fix.gpu-failed': 'Close other apps and try again. Choosing a smaller model under ⚙️ Settings may also help.',
+  'device.fix.missing-model': 'Ask whoever set up GeniGuideSL to put the model file next to the app, then try again.',
+  'device.fix.load-failed': 'Try again. If it keeps happening, reload the page or use an AI server on your network (⚙️ Settings).',
+  'device.modelLabel': '{label} ({size} MB)',
+
+  // Offline status
+  'offline.checking': 'Checking offline availability...',
+  'offline.unsupported': 'Offline use is not supported in this browser',
+  'offline.ready': '✓ Available offline',
+  'offline.saving': 'Saving for offline use...',
+  'offline.unknown': 'Offline availability unknown',
+  'offline.serverOnly': 'Answers need the AI server. Choose "On this device" in Settings to use the app offline',
+
+  // Header
+  'header.offline': 'Offline',
+  'header.subtitle': 'Your AI assistant for school, farming, health, law, and career tips',
+  'header.language': 'Language',
+
+  // Modes
+  'modeNotice.manifestFailed': 'The list of modes could not be loaded, so only {title} is available. Reload the page to try again.',
+  'modeNotice.skipped.one': '{count} mode in the list of modes has a problem and was left out.',
+  'modeNotice.skipped.other': '{count} modes in the list of modes have a problem and were left out.',
+  'modeNotice.missing': 'That mode is no longer available, so {title} was opened instead.',
+
+  // Settings
+  'settings.title': '⚙️ Settings',
+  'settings.close': 'Close',
+  'settings.allModes': 'All modes',
+  'settings.thisMode': 'Only in {title}',
+  'settings.temperature': 'Temperature (0-2)',
+  'settings.topK': 'Top-K (1-100)',
+  'settings.modeDefault': 'Mode default',
+  'settings.sameAsAll': 'Same as all modes',
+  'settings.maxTokens': 'Context size (tokens)',
+  'settings.randomSeed': 'Random seed',
+  'settings.deterministic': 'Deterministic answers: the same question in the same chat always gets the same answer, for checking responses',
+  'settings.modeRouting': 'When a question fits another mode better',
+  'settings.modeRoutingSuggest': 'Offer to answer it in that mode',
+  'settings.modeRoutingAuto': 'Answer it in that mode',
+  'settings.modeRoutingOff': 'Always answer in the current mode',
+  'settings.voice': 'Reading aloud',
+  'settings.readAloud': 'Read answers aloud as they arrive',
+  'settings.voiceFor': 'Voice for {language}',
+  'settings.voiceAuto': 'Automatic',
+  'settings.voiceHelp': 'Voices marked as needing the internet do not work offline. Krio, Mende and Temne are read with an English voice unless the device has one for them.',
+  'settings.effective': 'Answers in {title} use temperature {temperature} and top-K {topK}.',
+  'settings.save': 'Save',
+  'settings.reset': 'Reset to defaults',
+  'settings.confirmReset': 'Put all generation settings, for every mode, back to their defaults?',
+  'settings.errorSeed': 'The random seed must be a whole number of 0 or more.',
+  'settings.engine': 'AI engine',
+  'settings.backend': 'Run the AI',
+  'settings.backendDevice': 'On this device',
+  'settings.backendServer': 'On a server on the network',
+  'settings.serverUrl': 'Server address',
+  'settings.serverModel': 'Model name (if the server asks for one)',
+  'settings.deviceModel': 'Model on this device',
+  'settings.deviceModelAuto': 'Automatic (the best this device can run)',
+  'settings.engineHelp': 'One computer running a llama.cpp server or Ollama can answer for every device on the school network. If the server cannot be reached, the model on this device is used instead. Changing the engine restarts the app.',
+  'settings.errorServerUrl': 'Enter the server address starting with http:// or https://, for example http://192.168.1.10:8080.',
+  'backend.usingServer': '🖥️ Answers come from the AI server at {url}.',
+  'backend.serverUnreachable': 'The AI server at {url} could not be reached, so answers come from the model on this device.',
+  'backend.unverifiedModel': '⚠️ The AI model was not checked after downloading (no checksum was published for it), so a damaged or altered download would not be noticed.',
+  'backend.otherModel': 'This device could not run the usual AI model, so {model} is used instead.',
+  'backend.serverLost': 'The AI server stopped answering, so answers now come from the model on this device.',
+  'backend.serverLostNoModel': 'The AI server stopped answering and the model is not on this device yet. Check the server, or choose "On this device" in Settings to download the model.',
+
+  // Custom mode editor
+  'modeEditor.open': '🛠️ Custom modes',
+  'modeEditor.title': '🛠️ Custom modes',
+  'modeEditor.close': 'Close',
+  'modeEditor.intro': 'Make your own mode with its own instructions, for a class, a project or your organisation. Custom modes are kept on this device and can be shared as a file.',
+  'modeEditor.empty': 'You have not made any custom modes yet.',
+  'modeEditor.newMode': '+ New mode',
+  'modeEditor.import': 'Import from file...',
+  'modeEditor.edit': 'Edit',
+  'modeEditor.export': 'Save file',
+  'modeEditor.share': 'Share',
+  'modeEditor.delete': 'Delete',
+  'modeEditor.icon': 'Icon',
+  'modeEditor.modeTitle': 'Title',
+  'modeEditor.description': 'Description',
+  'modeEditor.prompt': 'Instructions for the assistant',
+  'modeEditor.promptHint': 'Say who the assistant is helping and how it should answer...',
+  'modeEditor.starters': 'Starter questions (one per line)',
+  'modeEditor.keywords': 'Words that show a question belongs here (one per line, optional)',
+  'modeEditor.temperature': 'Temperature (0-2, optional)',
+  'modeEditor.topK': 'Top-K (1-100, optional)',
+  'modeEditor.save': 'Save mode',
+  'modeEditor.cancel': 'Cancel',
+  'modeEditor.confirmDelete': 'Delete the mode "{title}"?',
+  'modeEditor.confirmDeleteChats.one': 'Delete the mode "{title}" and its {count} chat? This cannot be undone.',
+  'modeEditor.confirmDeleteChats.other': 'Delete the mode "{title}" and its {count} chats? This cannot be undone.',
+  'modeEditor.imported.one': 'Imported {count} new mode',
+  'modeEditor.imported.other': 'Imported {count} new modes',
+  'modeEditor.importedBuiltIn': ', skipped {count} with the same id as a built-in mode',
+  'modeEditor.importFailed': 'Sorry, the modes could not be imported: {error}',
+  'modeEditor.shareFailed': 'Sorry, the mode could not be shared: {error}',
+  'modeEditor.errorNotMode': 'This is not a mode definition.',
+  'modeEditor.errorId': 'A mode id must be 2 to 32 lowercase letters, numbers or dashes, starting with a letter.',
+  'modeEditor.errorTitle': 'Give the mode a title of up to {max} characters.',
+  'modeEditor.errorDescription': 'Keep the description to {max} characters or fewer.',
+  'modeEditor.errorPrompt': 'Write instructions for the assistant, up to {max} characters.',
+  'modeEditor.errorStarters': 'Use up to {count} starter questions of up to {max} characters each.',
+  'modeEditor.errorKeywords': 'Use up to {count} words or phrases of up to {max} characters each.',
+  'modeEditor.errorTemperature': 'Temperature must be a number from 0 to 2.',
+  'modeEditor.errorTopK': 'Top-K must be a whole number from 1 to 100.',
+  'modeEditor.errorNotModeFile': 'This file is not a GeniGuideSL mode file.',
+  'modeEditor.errorNewerVersion': 'This mode file needs a newer version of GeniGuideSL.',
+  'modeEditor.errorNoModes': 'This mode file has no modes in it.',
+
+  // Mode toolbar
+  'toolbar.knowledge': '📚 Knowledge',
+  'toolbar.farmTools': '🌾 Farm tools',
+  'toolbar.quiz': '📝 Quiz',
+  'toolbar.cv': '📄 CV builder',
+  'toolbar.settings': '⚙️ Settings',
+  'toolbar.export': 'Export',
+  'toolbar.clearChat': 'Clear Chat',
+  'toolbar.chats': '☰ Chats',
+  'answerIn.label': 'Answer in',
+  'answerIn.appLanguage': 'App language ({language})',
+
+  // Chat
+  'chat.placeholder': 'Type your question here...',
+  'chat.send': 'Send',
+  'chat.stop': 'Stop',
+  'chat.stopping': 'Stopping...',
+  'chat.stopped': '⏹ Stopped',
+  'chat.queued': 'Queued - will be sent after the current answer',
+  'chat.welcome': 'Welcome to {title}! I\'m here to help you with {topic}. What would you like to know?',
+  'chat.cleared': 'Chat cleared. I\'m here to help you with {topic}. What would you like to know?',
+  'chat.sources': '📚 Sources',
+  'chat.starters': 'Try asking:',
+  'chat.modelNotLoaded': 'Sorry, the AI model is not loaded yet. Please try again in a moment.',
+  'chat.generationError': 'Sorry, there was an error generating a response. Please try again with a shorter message.',
+  'chat.serverUnreachable': 'Sorry, the AI server cannot be reached. Please check the server and try again.',
+
+  // Message actions
+  'messageActions.copy': 'Copy',
+  'messageActions.readAloud': 'Read aloud',
+  'messageActions.copied': 'Copied',
+  'messageActions.copyFailed': 'Could not copy',
+  'messageActions.edit': 'Edit and resend',
+  'messageActions.regenerate': 'Regenerate answer',
+  'messageActions.helpful': 'Helpful',
+  'messageActions.notHelpful': 'Not helpful',
+  'messageActions.previousVersion': 'Previous version',
+  'messageActions.nextVersion': 'Next version',
+  'messageActions.version': '{active}/{count}',
+  'messageActions.saveAndSend': 'Save & send',
+  'messageActions.cancel': 'Cancel',
+
+  // Conversation sidebar
+  'conversation.defaultTitle': 'New chat',
+  'sidebar.newChat': '+ New Chat',
+  'sidebar.search': 'Search all chats...',
+  'sidebar.noResults': 'No chats match your search',
+  'sidebar.import': 'Import chats...',
+  'sidebar.pin': 'Pin',
+  'sidebar.unpin': 'Unpin',
+  'sidebar.rename': 'Rename',
+  'sidebar.delete': 'Delete',
+  'sidebar.confirmDelete': 'Delete "{title}"? This cannot be undone.',
+  'sidebar.storage': '🗄️ Saved data',
+  'sidebar.diagnostics': '📊 Diagnostics',
+
+  // Export and import
+  'export.thisChat': 'This chat',
+  'export.allChats': 'All chats',
+  'export.json': 'Save as JSON',
+  'export.markdown': 'Save as Markdown',
+  'export.print': 'Print',
+  'export.share': 'Share...',
+  'export.nothingCurrent': 'There is nothing to export in this chat yet.',
+  'export.nothingAll': 'There are no saved chats to export yet.',
+  'export.popupBlocked': 'Please allow pop-ups for this page to open the printable view.',
+  'export.failed': 'Sorry, the export failed: {error}',
+  'export.you': 'You',
+  'export.stopped': '(stopped)',
+  'export.sources': 'Sources',
+  'export.allChatsTitle': 'GeniGuideSL chats',
+  'export.footer': 'Exported from GeniGuideSL on {date}. AI answers can be wrong; check important advice with a professional.',
+  'export.errorInvalidJson': 'This file is not valid JSON.',
+  'export.errorNotExport': 'This file is not a GeniGuideSL chat export.',
+  'export.errorNewerVersion': 'This export was made by a newer version of GeniGuideSL. Please update the app and try again.',
+  'import.added.one': 'Imported {count} new chat',
+  'import.added.other': 'Imported {count} new chats',
+  'import.updated': ', updated {count}',
+  'import.skipped': ', skipped {count} already here',
+  'import.unusable': ', ignored {count} that could not be read',
+  'import.failed': 'Sorry, the import failed: {error}',
+
+  // Emergency first-aid cards
+  'emergency.call': '📞 Call {number}',
+  'emergency.doNot': 'Do not:',
+  'emergency.note': 'First aid only, not a diagnosis. Get medical help as soon as you can. More advice follows below.',
+
+  // Knowledge packs
+  'knowledge.title': '📚 Knowledge packs',
+  'knowledge.close': 'Close',
+  'knowledge.intro': 'Installed packs give answers local facts and show where they came from. They work offline once installed.',
+  'knowledge.installFromFile': 'Install from file...',
+  'knowledge.empty': 'No knowledge packs available. Install one from a file.',
+  'knowledge.installed.one': 'Installed · {count} document',
+  'knowledge.installed.other': 'Installed · {count} documents',
+  'knowledge.notInstalled': 'Not installed',
+  'knowledge.install': 'Install',
+  'knowledge.update': 'Update',
+  'knowledge.installing': 'Installing...',
+  'knowledge.remove': 'Remove',
+  'knowledge.installFailed': 'Sorry, the knowledge pack could not be installed: {error}',
+  'knowledge.unknownMode': '"{title}" is for a mode this app does not have, so it will not be used yet.',
+  'knowledge.errorNotPack': 'This file is not a GeniGuideSL knowledge pack.',
+  'knowledge.errorNewerVersion': 'This knowledge pack needs a newer version of GeniGuideSL.',
+  'knowledge.errorMissingFields': 'This knowledge pack is missing its id, mode or title.',
+  'knowledge.errorNoDocuments': 'This knowledge pack has no documents.',
+  'knowledge.errorDocument': 'Document {number} in this knowledge pack has no title or text.',
+  'knowledge.errorCatalog': 'Could not load the knowledge pack list (HTTP {status})',
+  'knowledge.errorDownload': 'Could not download the knowledge pack (HTTP {status})',
+
+  // Farm tools
+  'farmTools.title': '🌾 Farm tools',
+  'farmTools.close': 'Close',
+  'farmTools.intro': 'Planting calendars, seed and fertiliser amounts, plot sizes and local units for Sierra Leone. Add a result to the chat to ask the AI about it.',
+  'farmTools.tool': 'Tool',
+  'farmTools.crop_calendar': 'Crop calendar',
+  'farmTools.input_rates': 'Seed and fertiliser',
+  'farmTools.plot_area': 'Plot area',
+  'farmTools.convert_units': 'Convert units',
+  'farmTools.crop': 'Crop',
+  'farmTools.district': 'District',
+  'farmTools.area': 'Farm size',
+  'farmTools.unit': 'Unit',
+  'farmTools.length': 'Length',
+  'farmTools.width': 'Width',
+  'farmTools.value': 'Amount',
+  'farmTools.from': 'From',
+  'farmTools.to': 'To',
+  'farmTools.calculate': 'Calculate',
+  'farmTools.addToChat': 'Add to chat',
+  'agronomy.calendarTitle': '{crop} calendar for {district} District',
+  'agronomy.activity': 'Work',
+  'agronomy.when': 'When',
+  'agronomy.now': 'now',
+  'agronomy.notSuited': '{crop} does not grow well in the {zone}. It grows best in: {zones}.',
+  'agronomy.ratesTitle': '{crop}: seed and fertiliser for {area} {unit}',
+  'agronomy.hectares': 'That is {hectares} ha.',
+  'agronomy.seed': 'Seed',
+  'agronomy.spacing': 'planted {spacing} apart',
+  'agronomy.cuttings': 'cuttings',
+  'agronomy.seedlings': 'seedlings',
+  'agronomy.bags': 'about {bags} bags of {size} kg',
+  'agronomy.areaTitle': 'A plot of {length} × {width} {unit} is',
+  'agronomy.measureNote': 'Using typical weights for {crop}; cups and bushels vary from market to market.',
+  'agronomy.area': 'Farm size',
+  'agronomy.length': 'Length',
+  'agronomy.width': 'Width',
+  'agronomy.value': 'Amount',
+  'agronomy.errorCrop': 'Unknown crop. Choose one of: {crops}.',
+  'agronomy.errorDistrict': 'Unknown district. Choose one of: {districts}.',
+  'agronomy.errorUnit': '"{unit}" cannot be used here. Choose one of: {units}.',
+  'agronomy.errorNumber': '{name} must be a number greater than 0.',
+  'agronomy.errorMeasure': 'Converting {unit}s needs a crop: {crops}.',
+  'agronomy.errorTool': 'There is no farming tool called "{name}".',
+
+  // Quiz
+  'quiz.title': '📝 Exam practice',
+  'quiz.close': 'Close',
+  'quiz.intro': 'Practise for NPSE, BECE or WASSCE with questions written for the topic you choose. Questions you get wrong come back for review until you know them.',
+  'quiz.exam': 'Exam',
+  'quiz.subject': 'Subject',
+  'quiz.topic': 'Topic',
+  'quiz.topicHint': 'For example: fractions, the water cycle',
+  'quiz.type': 'Kind of questions',
+  'quiz.choice': 'Multiple choice',
+  'quiz.short': 'Short answer',
+  'quiz.count': 'Number of questions',
+  'quiz.make': 'Make quiz',
+  'quiz.review': 'Review mistakes ({count})',
+  'quiz.progress': 'Your progress',
+  'quiz.noProgress': 'Your scores will appear here after your first quiz.',
+  'quiz.quizzes.one': '{count} quiz',
+  'quiz.quizzes.other': '{count} quizzes',
+  'quiz.subjectScores': '{quizzes} · average {average}% · last {last}%',
+  'quiz.cancel': 'Cancel',
+  'quiz.writing': 'Writing your quiz… (attempt {attempt} of {attempts})',
+  'quiz.topicRequired': 'Type a topic for the quiz.',
+  'quiz.busy': 'Wait for the current answer to finish, then make the quiz.',
+  'quiz.failed': 'The quiz could not be written. Please try again.',
+  'quiz.unusable': 'The AI did not write a usable quiz. Try again, or make the topic more specific.',
+  'quiz.reviewHeading': 'Review: {count} questions you missed before',
+  'quiz.yourAnswer': 'Your answer',
+  'quiz.check': 'Check answers',
+  'quiz.newQuiz': 'Back',
+  'quiz.correct': '✓ Correct.',
+  'quiz.wrong': '✗ The answer is: {answer}.',
+  'quiz.score': 'You scored {score} out of {total}.',
+  'quiz.subjects.mathematics': 'Mathematics',
+  'quiz.subjects.english': 'English Language',
+  'quiz.subjects.science': 'Integrated Science',
+  'quiz.subjects.socialStudies': 'Social Studies',
+  'quiz.subjects.biology': 'Biology',
+  'quiz.subjects.chemistry': 'Chemistry',
+  'quiz.subjects.physics': 'Physics',
+  'quiz.subjects.economics': 'Economics',
+  'quiz.subjects.government': 'Government',
+  'quiz.subjects.geography': 'Geography',
+  'quiz.subjects.literature': 'Literature in English',
+  'quiz.subjects.agriculture': 'Agricultural Science',
+
+  // CV builder
+  'cv.title': '📄 CV builder',
+  'cv.close': 'Close',
+  'cv.intro': 'Fill in a CV step by step and let the AI polish each section. Print it, or save it as a PDF from the print window, together with a cover letter. Your CVs stay on this device and can be changed later.',
+  'cv.new': '+ New CV',
+  'cv.empty': 'No CVs yet.',
+  'cv.untitled': 'Untitled CV',
+  'cv.updated': 'Last changed {date}',
+  'cv.edit': 'Edit',
+  'cv.delete': 'Delete',
+  'cv.confirmDelete': 'Delete the CV "{title}"?',
+  'cv.stepTitle': 'Step {number} of {total}: {name}',
+  'cv.steps.personal': 'About you',
+  'cv.steps.education': 'Education',
+  'cv.steps.work': 'Work experience',
+  'cv.steps.skills': 'Skills',
+  'cv.steps.references': 'References',
+  'cv.steps.letter': 'Cover letter',
+  'cv.steps.finish': 'Print',
+  'cv.fields.fullName': 'Full name',
+  'cv.fields.headline': 'Job title or field',
+  'cv.fields.phone': 'Phone',
+  'cv.fields.email': 'Email',
+  'cv.fields.location': 'Town or city',
+  'cv.fields.profile': 'About you',
+  'cv.fields.school': 'School, college or course provider',
+  'cv.fields.qualification': 'Qualification or subjects',
+  'cv.fields.years': 'Years',
+  'cv.fields.role': 'Job title',
+  'cv.fields.employer': 'Employer',
+  'cv.fields.duties': 'What you did',
+  'cv.fields.skills': 'Skills',
+  'cv.fields.languages': 'Languages you speak',
+  'cv.fields.name': 'Name',
+  'cv.fields.position': 'Position',
+  'cv.fields.contact': 'Phone or email',
+  'cv.fields.job': 'Job applied for',
+  'cv.fields.company': 'Organisation',
+  'cv.fields.recipient': 'Addressed to',
+  'cv.fields.notes': 'Why you want this job',
+  'cv.fields.letterBody': 'Letter',
+  'cv.fields.template': 'Design',
+  'cv.hints.headline': 'For example: Accounts clerk, Electrician',
+  'cv.hints.profile': 'A few sentences about who you are and the work you want',
+  'cv.hints.duties': 'One task or achievement per line',
+  'cv.hints.skills': 'One per line or separated by commas',
+  'cv.hints.languages': 'For example: English, Krio, Mende',
+  'cv.hints.recipient': 'For example: Mrs Kamara, HR Manager',
+  'cv.educationIntro': 'Add your schools, colleges and courses, the most recent first.',
+  'cv.workIntro': 'Add your jobs, volunteering and apprenticeships, the most recent first. Write what you did in your own words; the AI can polish it.',
+  'cv.referencesIntro': 'Add two people who can speak about your work or studies. Ask them first. With none, the CV says references are available on request.',
+  'cv.letterIntro': 'For a cover letter, say which job you are applying for. The AI can write a first draft from your CV.',
+  'cv.finishIntro': 'Choose a design, then print. To keep a PDF, choose "Save as PDF" as the printer.',
+  'cv.addEducation': '+ Add school or course',
+  'cv.addWork': '+ Add job',
+  'cv.addReference': '+ Add reference',
+  'cv.remove': 'Remove',
+  'cv.polish': '✨ Improve with AI',
+  'cv.writeLetter': '✨ Write or improve with AI',
+  'cv.stopPolishing': '■ Stop',
+  'cv.undo': '↩ Undo',
+  'cv.templates.classic': 'Classic',
+  'cv.templates.modern': 'Modern',
+  'cv.templates.simple': 'Simple (saves ink)',
+  'cv.printCv': '🖨️ Print CV',
+  'cv.printLetter': '🖨️ Print cover letter',
+  'cv.back': '‹ Back',
+  'cv.next': 'Next ›',
+  'cv.done': 'Save and close',
+  'cv.nameRequired': 'Type your full name first.',
+  'cv.nothingToPolish': 'Write something here first; the AI improves your own words.',
+  'cv.busy': 'Wait for the current answer to finish, then try again.',
+  'cv.polishFailed': 'The AI could not improve this section. Please try again.',
+  'cv.letterEmpty': 'Write the letter first, or let the AI write a draft.',
+  'cv.saveFailed': 'Your CVs could not be saved. Please try again.',
+  'cv.storageFull': 'Storage is full and your CVs could not be saved. Delete or export some chats to make room.',
+
+  // Saved data and the archive
+  'storage.title': '🗄️ Saved data',
+  'storage.close': 'Close',
+  'storage.intro': 'Chats, settings and the AI model are kept on this device. When storage runs low, chats you have not used for a month are archived: packed to take less space and left out of the chat list until you restore them.',
+  'storage.usage': 'The app uses {used} MB of the {quota} MB this browser allows it.',
+  'storage.usageUnknown': 'This browser does not say how much space the app uses.',
+  'storage.persisted': 'The browser will keep this data.',
+  'storage.notPersisted': 'The browser may clear this data if the device runs short of space, so export chats you want to keep.',
+  'storage.archived': 'Archived chats',
+  'storage.noArchived': 'No chats are archived.',
+  'storage.archivedDetails': '{mode} · last used {date} · {size} KB',
+  'storage.restore': 'Restore',
+  'storage.delete': 'Delete',
+  'storage.restoreFailed': 'This chat could not be restored: {error}',
+  'storage.archiveOld': 'Archive old chats now',
+  'storage.nothingToArchive': 'No chats to archive: only chats that are not pinned and have not been used for {days} days are archived.',
+  'storage.archivedNotice.one': 'Storage is running low, so {count} old chat was archived. Find it under 🗄️ Saved data.',
+  'storage.archivedNotice.other': 'Storage is running low, so {count} old chats were archived. Find them under 🗄️ Saved data.',
+  'storage.prunedNotice.one': 'Storage was full, so the oldest archived chat was deleted to save this one.',
+  'storage.prunedNotice.other': 'Storage was full, so the {count} oldest archived chats were deleted to save this one.',
+  'storage.full': 'Storage is full and this chat could not be saved. Delete or export some chats to make room.',
+
+  // Voice input and reading aloud
+  'voice.speak': 'Speak your question',
+  'voice.reading': '🔊 Reading aloud',
+  'voice.pause': 'Pause',
+  'voice.resume': 'Resume',
+  'voice.stop': 'Stop reading',
+  'voice.needsInternet': '{name} ({lang}, needs the internet)',
+  'voice.error.not-allowed': 'The app may not use the microphone. Allow it in the browser settings to speak your questions.',
+  'voice.error.offline': 'This browser can only understand speech with an internet connection. Type your question instead, or try again when you are online.',
+  'voice.error.language-not-supported': 'This browser cannot understand speech in this language.',
+  'voice.error.audio-capture': 'No microphone was found.',
+  'voice.error.failed': 'Voice input did not work: {error}',
+
+  // Mode routing
+  'routing.answeredIn': 'Answered in {mode}',
+  'routing.looksLike': 'This looks like a question for {mode}',
+  'routing.answerIn': 'Answer in {mode}',
+
+  // Safety
+  'safety.modified': '🛡️ Changed for safety',
+  'safety.modifiedHelp': 'Part of this answer (such as a medicine dose or a prediction of a court case) was taken out because it needs a professional.',
+  'safety.screened': '🛡️ Requests to change how the assistant works are ignored.',
+
+  // Diagnostics
+  'diagnostics.title': '📊 Diagnostics',
+  'diagnostics.close': 'Close',
+  'diagnostics.intro': 'How fast the AI runs on this device and the errors it ran into, to help find out why the app is slow or not working. This stays on this device unless you save a report and send it to someone.',
+  'diagnostics.model': 'Model',
+  'diagnostics.notLoaded': 'Not loaded',
+  'diagnostics.server': 'AI server at {url}',
+  'diagnostics.loadTime': 'Load time',
+  'diagnostics.loadTimeDetails': '{total} (starting the model: {create})',
+  'diagnostics.loadFailed': 'Failed: {error}',
+  'diagnostics.answers': 'Measured over',
+  'diagnostics.answerCount.one': 'the last answer',
+  'diagnostics.answerCount.other': 'the last {count} answers (typical values)',
+  'diagnostics.noAnswers': 'No answers yet',
+  'diagnostics.firstToken': 'Time to first word',
+  'diagnostics.speed': 'Speed',
+  'diagnostics.tokensPerSecond': '{rate} tokens per second',
+  'diagnostics.promptTokens': 'Prompt size (tokens)',
+  'diagnostics.memory': 'Memory',
+  'diagnostics.deviceMemory': 'about {memory} GB on the device',
+  'diagnostics.pageMemory': 'the app uses {used} MB of {limit} MB',
+  'diagnostics.storage': 'Storage',
+  'diagnostics.storageUsage': '{used} MB used of {quota} MB',
+  'diagnostics.seconds': '{seconds} s',
+  'diagnostics.unknown': 'Not known',
+  'diagnostics.errors': 'Errors',
+  'diagnostics.noErrors': 'No errors logged.',
+  'diagnostics.save': 'Save report',
+  'diagnostics.saveFailed': 'The report could not be saved: {error}',
+  'diagnostics.clear': 'Clear',
+  'diagnostics.confirmClear': 'Clear all measurements and logged errors?',
+
+  // Footer
+  'footer.builtBy': 'GeniGuideSL - Built by',
+  'footer.poweredBy': '- Powered by Gemma AI - Works completely offline'
+};
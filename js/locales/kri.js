@@ -0,0 +1,354 @@
+// Krio interface strings. Keys missing here fall back to English.
+
+export default {
+  'app.documentTitle': 'GeniGuideSL - Yu AI Ɛpa We Nɔ Nid Intanɛt',
+
+  // Landing page
+  'landing.subtitle': 'Yu AI ɛpa we nɔ nid intanɛt, fɔ skul, fam, wɛlbɔdi, lɔ ɛn wok na Salone',
+  'landing.loading': 'A de lod di AI... Duya wet smɔl.',
+  'company.builtBy': 'Wi mek am wit ❤️ -',
+  'company.about': 'AI kɔmpin na Salone we de mek AI ap dɛn fɔ wi yon nid dɛn',
+  'company.contact': 'Kɔntakt:',
+
+  // Model loading
+  'loading.startingUp': 'I de stat...',
+  'loading.initializing': 'A de rɛdi di AI...',
+  'loading.preparing': 'A de rɛdi di AI mɔdel...',
+  'loading.loadingModel': 'A de lod di Gemma AI... Dis kin tek smɔl tɛm.',
+  'loading.loadingModelPercent': 'A de lod di Gemma AI... {percent}%',
+  'loading.almostReady': 'I nia rɛdi...',
+  'loading.connecting': 'A de kɔnɛkt to di AI sɛva na {url}...',
+  'loading.ready': 'I dɔn rɛdi!',
+  'loading.checkingDevice': 'A de chɛk wetin dis fon/kɔmpyuta go ebul rɔn...',
+  'loading.failed': 'Di AI nɔ ebul stat. {error}',
+  'loading.retry': 'Tray bak',
+  'loading.settings': '⚙️ Sɛtin',
+  'loading.useServer': 'Yuz AI sɔva',
+  'loading.downloading': 'A de dawnlod di AI... {progress}',
+  'loading.progressOf': '{received} pan {total}',
+  'loading.retrying': 'Di kɔnɛkshɔn kɔt na {progress}. A de tray bak (tɛm {attempt})...',
+  'loading.verifying': 'A de chɛk di AI we dawnlod... {percent}%',
+  'loading.paused': 'Di dawnlod dɔn pɔz. Tap Kɔntinyu fɔ go bifo.',
+  'loading.stopped': 'Di dawnlod tap: {error} Tap Kɔntinyu fɔ tray bak.',
+  'loading.resuming': 'A de kɔntinyu di dawnlod...',
+  'loading.pause': 'Pɔz',
+  'loading.resume': 'Kɔntinyu',
+
+  // Offline status
+  'offline.checking': 'A de chɛk if i go wok we intanɛt nɔ de...',
+  'offline.unsupported': 'Dis brawza nɔ go ebul wok we intanɛt nɔ de',
+  'offline.ready': '✓ I go wok we intanɛt nɔ de',
+  'offline.saving': 'A de sev am fɔ wok we intanɛt nɔ de...',
+  'offline.unknown': 'A nɔ no if i go wok we intanɛt nɔ de',
+  'offline.serverOnly': 'Di ansa dɛn nid di AI sɛva. Pik "Na dis fon/kɔmpyuta" na Sɛtin fɔ yuz di ap we intanɛt nɔ de',
+
+  // Header
+  'header.offline': 'Nɔ nid intanɛt',
+  'header.subtitle': 'Yu AI ɛpa fɔ skul, fam, wɛlbɔdi, lɔ ɛn wok',
+  'header.language': 'Langwej',
+
+  // Modes
+  'modes.study.title': 'Stɔdi',
+  'modes.study.description': 'Aks kwɛstyɔn bɔt yu skul lɛsin dɛn, lan di at tin dɛn, ɛn gɛt ɛp wit yu homwok.',
+  'modes.study.topic': 'yu skul lɛsin dɛn, di at tin dɛn, ɛn yu homwok',
+  'modes.farming.title': 'Fam',
+  'modes.farming.description': 'Gɛt advays bɔt aw fɔ fam, sik we de kech krop, ɛn aw fɔ plan fɔ di wɛda.',
+  'modes.farming.topic': 'aw fɔ fam, sik we de kech krop, ɛn aw fɔ plan fɔ di wɛda',
+  'modes.health.title': 'Wɛlbɔdi',
+  'modes.health.description': 'Lan bɔt fɔs ed, sik sayn dɛn we pipul kin gɛt, ɛn aw fɔ kip klin. Dis nɔ de fɔ se wetin de do yu.',
+  'modes.health.topic': 'fɔs ed, sik sayn dɛn, ɛn aw fɔ kip klin',
+  'modes.law.title': 'Lɔ',
+  'modes.law.description': 'Ɔndastand yu rayt dɛn na wok, land ɛn famili lɔ na Salone.',
+  'modes.law.topic': 'yu rayt dɛn na wok, land ɛn famili lɔ na Salone',
+  'modes.career.title': 'Wok Gayd',
+  'modes.career.description': 'Gɛt tip fɔ yu CV, aw fɔ rɛdi fɔ wok, aydia fɔ biznɛs, ɛn aw fɔ aplay.',
+  'modes.career.topic': 'yu CV, aw fɔ rɛdi fɔ wok, aydia fɔ biznɛs, ɛn aw fɔ aplay',
+
+  'modeNotice.manifestFailed': 'A nɔ ebul lod di list fɔ di mod dɛn, so na {title} nɔmɔ de. Rifresh di pej fɔ tray bak.',
+  'modeNotice.skipped.one': '{count} mod na di list gɛt prɔblɛm, so a lɛf am.',
+  'modeNotice.skipped.other': '{count} mod dɛn na di list gɛt prɔblɛm, so a lɛf dɛn.',
+  'modeNotice.missing': 'Dat mod nɔ de igen, so a opin {title} insay.',
+
+  // Settings
+  'settings.title': '⚙️ Sɛtin dɛn',
+  'settings.close': 'Klos',
+  'settings.allModes': 'Ɔl di mod dɛn',
+  'settings.thisMode': 'Na {title} nɔmɔ',
+  'settings.modeDefault': 'Wetin di mod de yuz',
+  'settings.sameAsAll': 'Di sem wit ɔl di mod dɛn',
+  'settings.maxTokens': 'Aw mɔch tin i go mɛmba (tokin)',
+  'settings.deterministic': 'Di sem ansa ɔltɛm: if yu aks di sem kwɛstyɔn na di sem chat, yu go gɛt di sem ansa, fɔ chɛk di ansa dɛn',
+  'settings.modeRouting': 'We kwɛstyɔn fit ɔda mod pas',
+  'settings.modeRoutingSuggest': 'Aks mi fɔ ansa am na da mod de',
+  'settings.modeRoutingAuto': 'Ansa am na da mod de',
+  'settings.modeRoutingOff': 'Ɔltɛm ansa na di mod we a de',
+  'settings.voice': 'Rid lawd',
+  'settings.readAloud': 'Rid di ansa dɛn lawd as dɛn de kam',
+  'settings.voiceFor': 'Vɔys fɔ {language}',
+  'settings.voiceAuto': 'Mek di ap pik',
+  'settings.effective': 'Di ansa dɛn na {title} de yuz tɛmpricha {temperature} ɛn top-K {topK}.',
+  'settings.save': 'Sev',
+  'settings.reset': 'Put ɔl bak lɛk aw i bin de',
+  'settings.confirmReset': 'Put ɔl di sɛtin dɛn, fɔ ɛni mod, bak lɛk aw dɛn bin de?',
+  'settings.engine': 'Di AI injin',
+  'settings.backend': 'Usay di AI de wok',
+  'settings.backendDevice': 'Na dis fon/kɔmpyuta',
+  'settings.backendServer': 'Na sɛva na di nɛtwok',
+  'settings.serverUrl': 'Di sɛva in adrɛs',
+  'settings.serverModel': 'Di mɔdɛl in nem (if di sɛva aks fɔ am)',
+  'settings.engineHelp': 'Wan kɔmpyuta we de rɔn llama.cpp sɛva ɔ Ollama kin ansa fɔ ɔl di fon ɛn kɔmpyuta dɛn na di skul nɛtwok. If di sɛva nɔ de ansa, di mɔdɛl na dis fon/kɔmpyuta go ansa. If yu chenj di injin, di ap go stat bak.',
+  'backend.usingServer': '🖥️ Di ansa dɛn de kɔmɔt na di AI sɛva na {url}.',
+  'backend.serverUnreachable': 'A nɔ ebul rich di AI sɛva na {url}, so di ansa dɛn de kɔmɔt na di mɔdɛl na dis fon/kɔmpyuta.',
+  'backend.serverLost': 'Di AI sɛva dɔn tap fɔ ansa, so naw di ansa dɛn de kɔmɔt na di mɔdɛl na dis fon/kɔmpyuta.',
+  'backend.serverLostNoModel': 'Di AI sɛva dɔn tap fɔ ansa ɛn di mɔdɛl nɔ de na dis fon/kɔmpyuta yet. Chɛk di sɛva, ɔ pik "Na dis fon/kɔmpyuta" na Sɛtin fɔ dawnlod di mɔdɛl.',
+  'backend.unverifiedModel': '⚠️ Dɛn nɔ chɛk di AI mɔdɛl afta i dawnlod (no chɛksɔm nɔ de fɔ am), so if i pwɛl ɔ pɔsin chenj am, di ap nɔ go no.',
+
+  // Custom mode editor
+  'modeEditor.open': '🛠️ Yu yon mod dɛn',
+  'modeEditor.title': '🛠️ Yu yon mod dɛn',
+  'modeEditor.close': 'Klos',
+  'modeEditor.intro': 'Mek yu yon mod wit in yon instrɔkshɔn, fɔ klas, prɔjɛkt ɔ yu ɔganayzeshɔn. Yu yon mod dɛn de na dis fon ɛn yu kin sheb dɛn as fayl.',
+  'modeEditor.empty': 'Yu nɔ mek ɛni mod yet.',
+  'modeEditor.newMode': '+ Nyu mod',
+  'modeEditor.import': 'Bring frɔm fayl...',
+  'modeEditor.edit': 'Chenj',
+  'modeEditor.export': 'Sev fayl',
+  'modeEditor.share': 'Sheb',
+  'modeEditor.delete': 'Dilit',
+  'modeEditor.icon': 'Aykɔn',
+  'modeEditor.modeTitle': 'Nem',
+  'modeEditor.description': 'Wetin i de bɔt',
+  'modeEditor.prompt': 'Instrɔkshɔn fɔ di AI',
+  'modeEditor.promptHint': 'Se udat di AI de ɛp ɛn aw i fɔ ansa...',
+  'modeEditor.starters': 'Kwɛstyɔn fɔ bigin (wan pan ɛni lay)',
+  'modeEditor.keywords': 'Wɔd dɛn we de sho se kwɛstyɔn na fɔ ya (wan pan ɛni lay, if yu want)',
+  'modeEditor.save': 'Sev di mod',
+  'modeEditor.cancel': 'Lɛf am',
+  'modeEditor.confirmDelete': 'Dilit di mod "{title}"?',
+  'modeEditor.confirmDeleteChats.one': 'Dilit di mod "{title}" ɛn in {count} chat? Yu nɔ go ebul gɛt am bak.',
+  'modeEditor.confirmDeleteChats.other': 'Dilit di mod "{title}" ɛn in {count} chat dɛn? Yu nɔ go ebul gɛt dɛn bak.',
+  'modeEditor.imported.one': 'A bring {count} nyu mod kam',
+  'modeEditor.imported.other': 'A bring {count} nyu mod dɛn kam',
+  'modeEditor.importFailed': 'Sɔri, a nɔ ebul bring di mod dɛn kam: {error}',
+  'modeEditor.shareFailed': 'Sɔri, a nɔ ebul sheb di mod: {error}',
+
+  // Mode toolbar
+  'toolbar.knowledge': '📚 Sabi',
+  'toolbar.farmTools': '🌾 Fam tul dɛn',
+  'toolbar.quiz': '📝 Kwiz',
+  'toolbar.cv': '📄 Mek CV',
+  'toolbar.settings': '⚙️ Sɛtin dɛn',
+  'toolbar.export': 'Sev ɔ Sheb',
+  'toolbar.clearChat': 'Klin di Chat',
+  'toolbar.chats': '☰ Chat dɛn',
+  'answerIn.label': 'Ansa na',
+  'answerIn.appLanguage': 'Di ap in langwej ({language})',
+
+  // Chat
+  'chat.placeholder': 'Rayt yu kwɛstyɔn ya...',
+  'chat.send': 'Sɛn',
+  'chat.stop': 'Tap',
+  'chat.stopping': 'I de tap...',
+  'chat.stopped': '⏹ I dɔn tap',
+  'chat.queued': 'I de wet - a go sɛn am afta dis ansa',
+  'chat.welcome': 'Wɛlkɔm to {title}! A de ya fɔ ɛp yu wit {topic}. Wetin yu want fɔ no?',
+  'chat.cleared': 'A dɔn klin di chat. A de ya fɔ ɛp yu wit {topic}. Wetin yu want fɔ no?',
+  'chat.sources': '📚 Usay i kɔmɔt',
+  'chat.starters': 'Tray fɔ aks:',
+  'chat.modelNotLoaded': 'Sɔri, di AI nɔ lod yet. Duya tray bak smɔl tɛm.',
+  'chat.generationError': 'Sɔri, prɔblɛm bin de fɔ ansa. Duya tray bak wit shɔt mɛsej.',
+  'chat.serverUnreachable': 'Sɔri, a nɔ ebul rich di AI sɛva. Duya chɛk di sɛva ɛn tray bak.',
+
+  // Message actions
+  'messageActions.copy': 'Kɔpi',
+  'messageActions.readAloud': 'Rid am lawd',
+  'messageActions.copied': 'A dɔn kɔpi am',
+  'messageActions.copyFailed': 'A nɔ ebul kɔpi am',
+  'messageActions.edit': 'Chenj am ɛn sɛn am bak',
+  'messageActions.regenerate': 'Gi mi ɔda ansa',
+  'messageActions.helpful': 'I ɛp mi',
+  'messageActions.notHelpful': 'I nɔ ɛp mi',
+  'messageActions.previousVersion': 'Di wan we bin de bifo',
+  'messageActions.nextVersion': 'Di nɛks wan',
+  'messageActions.saveAndSend': 'Sev ɛn sɛn',
+  'messageActions.cancel': 'Lɛf am',
+
+  // Conversation sidebar
+  'conversation.defaultTitle': 'Nyu chat',
+  'sidebar.newChat': '+ Nyu Chat',
+  'sidebar.search': 'Luk insay ɔl di chat dɛn...',
+  'sidebar.noResults': 'No chat nɔ de we fit wetin yu de luk fɔ',
+  'sidebar.import': 'Bring chat dɛn kam...',
+  'sidebar.pin': 'Pin am',
+  'sidebar.unpin': 'Pul di pin',
+  'sidebar.rename': 'Chenj di nem',
+  'sidebar.delete': 'Dilit',
+  'sidebar.confirmDelete': 'Dilit "{title}"? Yu nɔ go ebul gɛt am bak.',
+  'sidebar.storage': '🗄️ Tin dɛn we yu sev',
+  'sidebar.diagnostics': '📊 Aw di ap de wok',
+
+  // Export and import
+  'export.thisChat': 'Dis chat',
+  'export.allChats': 'Ɔl di chat dɛn',
+  'export.json': 'Sev am as JSON',
+  'export.markdown': 'Sev am as Markdown',
+  'export.print': 'Print',
+  'export.share': 'Sheb...',
+  'export.nothingCurrent': 'Natin nɔ de na dis chat fɔ sev yet.',
+  'export.nothingAll': 'No chat nɔ de fɔ sev yet.',
+  'export.popupBlocked': 'Duya alaw pɔp-ɔp fɔ dis pej so yu go si di pej fɔ print.',
+  'export.failed': 'Sɔri, a nɔ ebul sev am: {error}',
+  'export.you': 'Yu',
+  'export.stopped': '(i dɔn tap)',
+  'export.sources': 'Usay i kɔmɔt',
+  'export.allChatsTitle': 'GeniGuideSL chat dɛn',
+  'export.footer': 'Dis kɔmɔt na GeniGuideSL di {date}. AI ansa kin rɔng; chɛk impɔtant advays wit pɔsin we sabi.',
+  'export.errorInvalidJson': 'Dis fayl nɔ to kɔrɛkt JSON.',
+  'export.errorNotExport': 'Dis fayl nɔ to GeniGuideSL chat.',
+  'export.errorNewerVersion': 'Na nyu GeniGuideSL mek dis fayl. Duya apdet di ap ɛn tray bak.',
+  'import.added.one': 'A bring {count} nyu chat kam',
+  'import.added.other': 'A bring {count} nyu chat dɛn kam',
+  'import.updated': ', a apdet {count}',
+  'import.skipped': ', a lɛf {count} we bin dɔn de',
+  'import.unusable': ', a nɔ ebul rid {count}',
+  'import.failed': 'Sɔri, a nɔ ebul bring dɛn kam: {error}',
+
+  // Emergency first-aid cards
+  'emergency.call': '📞 Kɔl {number}',
+  'emergency.doNot': 'Nɔ du dis:',
+  'emergency.note': 'Dis na fɔs ɛd nɔmɔ, i nɔ na dayagnosis. Go si dɔktɔ kwik kwik. Mɔ advays de kam ɔnda.',
+
+  // Knowledge packs
+  'knowledge.title': '📚 Sabi pak dɛn',
+  'knowledge.close': 'Klos',
+  'knowledge.intro': 'Sabi pak dɛn de gi di ansa dɛn tru tin dɛn bɔt Salone ɛn de sho usay dɛn kɔmɔt. Dɛn de wok we intanɛt nɔ de wans yu instɔl dɛn.',
+  'knowledge.installFromFile': 'Instɔl frɔm fayl...',
+  'knowledge.empty': 'No sabi pak nɔ de. Instɔl wan frɔm fayl.',
+  'knowledge.installed.one': 'I dɔn instɔl · {count} dɔkyumɛnt',
+  'knowledge.installed.other': 'I dɔn instɔl · {count} dɔkyumɛnt dɛn',
+  'knowledge.notInstalled': 'I nɔ instɔl yet',
+  'knowledge.install': 'Instɔl',
+  'knowledge.update': 'Apdet',
+  'knowledge.installing': 'I de instɔl...',
+  'knowledge.remove': 'Pul am',
+  'knowledge.installFailed': 'Sɔri, a nɔ ebul instɔl di sabi pak: {error}',
+
+  // Farm tools
+  'farmTools.title': '🌾 Fam tul dɛn',
+  'farmTools.close': 'Klos',
+  'farmTools.intro': 'Di tɛm fɔ plant, aw mɔch sid ɛn fɛtilayza, di sayz fɔ yu fam ɛn lokal mɛzhɔ fɔ Salone. Put di ansa na di chat fɔ aks di AI bɔt am.',
+  'farmTools.tool': 'Tul',
+  'farmTools.crop_calendar': 'Fam kalɛnda',
+  'farmTools.input_rates': 'Sid ɛn fɛtilayza',
+  'farmTools.plot_area': 'Fam sayz',
+  'farmTools.convert_units': 'Chenj mɛzhɔ',
+  'farmTools.crop': 'Wetin yu de plant',
+  'farmTools.district': 'Distrikt',
+  'farmTools.area': 'Fam sayz',
+  'farmTools.unit': 'Mɛzhɔ',
+  'farmTools.length': 'Lɔng',
+  'farmTools.width': 'Wayd',
+  'farmTools.value': 'Aw mɔch',
+  'farmTools.from': 'Frɔm',
+  'farmTools.to': 'To',
+  'farmTools.calculate': 'Kɔnt am',
+  'farmTools.addToChat': 'Put am na di chat',
+  'agronomy.activity': 'Wok',
+  'agronomy.when': 'Wetin tɛm',
+  'agronomy.now': 'naw',
+  'agronomy.seed': 'Sid',
+
+  // Quiz
+  'quiz.title': '📝 Prakts fɔ ɛgzam',
+  'quiz.close': 'Klos',
+  'quiz.intro': 'Prakts fɔ NPSE, BECE ɔ WASSCE wit kwɛstyɔn dɛn bɔt di tɔpik we yu pik. Di kwɛstyɔn dɛn we yu nɔ gɛt rayt go kam bak te yu no dɛn.',
+  'quiz.exam': 'Ɛgzam',
+  'quiz.subject': 'Sɔbjɛkt',
+  'quiz.topic': 'Tɔpik',
+  'quiz.choice': 'Pik wan ansa',
+  'quiz.short': 'Shɔt ansa',
+  'quiz.count': 'Aw mɔch kwɛstyɔn',
+  'quiz.make': 'Mek kwiz',
+  'quiz.review': 'Luk bak di mistek dɛn ({count})',
+  'quiz.progress': 'Aw yu de du',
+  'quiz.cancel': 'Kansul',
+  'quiz.writing': 'I de rayt yu kwiz… (tray {attempt} pan {attempts})',
+  'quiz.topicRequired': 'Rayt wan tɔpik fɔ di kwiz.',
+  'quiz.check': 'Chɛk di ansa dɛn',
+  'quiz.newQuiz': 'Go bak',
+  'quiz.correct': '✓ Na rayt.',
+  'quiz.wrong': '✗ Di ansa na: {answer}.',
+  'quiz.score': 'Yu gɛt {score} pan {total}.',
+
+  // CV builder
+  'cv.title': '📄 Mek CV',
+  'cv.close': 'Klos',
+  'cv.new': '+ Nyu CV',
+  'cv.empty': 'No CV nɔ de yet.',
+  'cv.edit': 'Chenj',
+  'cv.delete': 'Dilit',
+  'cv.stepTitle': 'Step {number} pan {total}: {name}',
+  'cv.steps.personal': 'Bɔt yu',
+  'cv.steps.education': 'Skul',
+  'cv.steps.work': 'Wok we yu dɔn du',
+  'cv.steps.skills': 'Wetin yu sabi du',
+  'cv.steps.letter': 'Kɔva lɛta',
+  'cv.steps.finish': 'Print',
+  'cv.fields.fullName': 'Yu ful nem',
+  'cv.fields.phone': 'Fon',
+  'cv.fields.location': 'Tɔŋ',
+  'cv.fields.profile': 'Bɔt yu',
+  'cv.fields.languages': 'Langwej dɛn we yu de tɔk',
+  'cv.fields.name': 'Nem',
+  'cv.addWork': '+ Ad wok',
+  'cv.remove': 'Pul am',
+  'cv.polish': '✨ Mek di AI mek am bɛtɛ',
+  'cv.undo': '↩ Put am bak',
+  'cv.back': '‹ Go bak',
+  'cv.next': 'Nɛks ›',
+  'cv.done': 'Sev ɛn klos',
+  'cv.nameRequired': 'Rayt yu ful nem fɔs.',
+  'cv.saveFailed': 'Wi nɔ ebul sev yu CV dɛn. Duya tray bak.',
+  'cv.storageFull': 'Spes dɔn dɔn ɛn wi nɔ ebul sev yu CV dɛn. Dilit ɔ sev sɔm chat dɛn na fayl fɔ mek rum.',
+
+  // Saved data and the archive
+  'storage.title': '🗄️ Tin dɛn we yu sev',
+  'storage.close': 'Klos',
+  'storage.archived': 'Chat dɛn we dɔn kip',
+  'storage.noArchived': 'No chat nɔ de we dɔn kip.',
+  'storage.restore': 'Put am bak',
+  'storage.delete': 'Dilit',
+  'storage.archiveOld': 'Kip ol chat dɛn naw',
+  'storage.full': 'Spes dɔn dɔn ɛn wi nɔ ebul sev dis chat. Dilit ɔ sev sɔm chat dɛn na fayl fɔ mek rum.',
+
+  // Voice input and reading aloud
+  'voice.speak': 'Tɔk yu kwɛstyɔn',
+  'voice.reading': '🔊 A de rid am lawd',
+  'voice.pause': 'Wet smɔl',
+  'voice.resume': 'Kɔntinyu',
+  'voice.stop': 'Lɛf fɔ rid',
+  'voice.error.not-allowed': 'Di ap nɔ gɛt pamishɔn fɔ yuz di maykrofon. Gi am pamishɔn na di brawza setin dɛn.',
+  'voice.error.audio-capture': 'A nɔ si ɛni maykrofon.',
+
+  // Mode routing
+  'routing.answeredIn': 'A ansa am na {mode}',
+  'routing.looksLike': 'Dis kwɛstyɔn tan lɛk fɔ {mode}',
+  'routing.answerIn': 'Ansa na {mode}',
+
+  // Safety
+  'safety.modified': '🛡️ A chenj am fɔ sef',
+  'safety.screened': '🛡️ Di asistant nɔ de fala rikwest fɔ chenj aw i de wok.',
+
+  // Diagnostics
+  'diagnostics.title': '📊 Aw di ap de wok',
+  'diagnostics.close': 'Klos',
+  'diagnostics.intro': 'Aw di AI de wok fast na dis fon ɛn di prɔblɛm dɛn we i mit, fɔ ɛp fɛn wetin mek di ap slo ɔ nɔ de wok. Dis de na dis fon nɔmɔ, pas yu sev ripɔt ɛn sɛn am to pɔsin.',
+  'diagnostics.errors': 'Prɔblɛm dɛn',
+  'diagnostics.noErrors': 'No prɔblɛm nɔ de.',
+  'diagnostics.save': 'Sev ripɔt',
+  'diagnostics.clear': 'Klia',
+
+  // Footer
+  'footer.builtBy': 'GeniGuideSL - Na',
+  'footer.poweredBy': 'mek am - Gemma AI de wok am - I de wok we intanɛt nɔ de'
+};
@@ -0,0 +1,813 @@
+// Safe Markdown renderer for assistant messages.
+//
+// Text is parsed into a small block/inline tree and turned into DOM nodes with
+// createElement/textContent, so HTML in model output or in restored history is
+// always shown as text and never executed. Supports the CommonMark block
+// structure (headings, paragraphs, block quotes, nested lists, fenced and
+// indented code, thematic breaks) plus GFM tables, strikethrough and bare URLs.
+
+// Link schemes that are safe to follow; anything else is rendered as plain text
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Number of trailing blocks re-rendered on each streamed chunk
+const LIVE_BLOCKS = 2;
+
+const ASCII_PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+const FENCE_RE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const ATX_HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE_RE = /^ {0,3}> ?/;
+const LIST_MARKER_RE = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const SETEXT_UNDERLINE_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// ---------------------------------------------------------------------------
+// Block parsing
+
+/**
+ * Whether a line is empty or whitespace only
+ */
+function isBlank(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+/**
+ * Number of leading columns of indentation (tabs count as 4)
+ */
+function indentOf(line) {
+  let columns = 0;
+  for (const ch of line) {
+    if (ch === ' ') {
+      columns += 1;
+    } else if (ch === '\t') {
+      columns += 4 - (columns % 4);
+    } else {
+      break;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Remove up to `columns` columns of leading indentation
+ */
+function stripIndent(line, columns) {
+  let removed = 0;
+  let i = 0;
+  while (i < line.length && removed < columns) {
+    if (line[i] === ' ') {
+      removed += 1;
+    } else if (line[i] === '\t') {
+      removed += 4 - (removed % 4);
+    } else {
+      break;
+    }
+    i++;
+  }
+  return line.slice(i);
+}
+
+/**
+ * Parse a list marker at the start of a line, or return null
+ */
+function matchListMarker(line) {
+  const match = line.match(LIST_MARKER_RE);
+  if (!match) {
+    return null;
+  }
+
+  const marker = match[2];
+  const ordered = /\d/.test(marker[0]);
+  const spacing = match[3].length;
+  const indent = match[1].length;
+  // Content that starts 5+ spaces after the marker is an indented code block
+  const contentOffset = indent + marker.length + (spacing > 4 || spacing === 0 ? 1 : spacing);
+
+  return {
+    indent,
+    ordered,
+    start: ordered ? parseInt(marker, 10) : null,
+    delimiter: marker[marker.length - 1],
+    contentOffset,
+    content: spacing > 4 ? line.slice(indent + marker.length + 1) : line.slice(match[0].length),
+    empty: match[0].length === line.length
+  };
+}
+
+/**
+ * Split a table row into trimmed cell strings, honouring escaped pipes
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) {
+    row = row.slice(1);
+  }
+  if (row.endsWith('|') && !row.endsWith('\\|')) {
+    row = row.slice(0, -1);
+  }
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Whether lines[i] starts a GFM table (header row followed by a delimiter row)
+ */
+function startsTable(lines, i) {
+  if (i + 1 >= lines.length || !lines[i].includes('|') || !TABLE_DELIMITER_RE.test(lines[i + 1])) {
+    return false;
+  }
+  return splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+}
+
+/**
+ * Whether a line can interrupt a paragraph by starting a new block
+ */
+function interruptsParagraph(lines, i) {
+  const line = lines[i];
+  if (FENCE_RE.test(line) || ATX_HEADING_RE.test(line) || THEMATIC_BREAK_RE.test(line) ||
+      BLOCKQUOTE_RE.test(line) || startsTable(lines, i)) {
+    return true;
+  }
+  // Only non-empty bullet items and ordered items starting at 1 may interrupt
+  const marker = matchListMarker(line);
+  return Boolean(marker && !marker.empty && (!marker.ordered || marker.start === 1));
+}
+
+/**
+ * Parse a fenced code block starting at lines[i]
+ */
+function parseFencedCode(lines, i) {
+  const match = lines[i].match(FENCE_RE);
+  const indent = match[1].length;
+  const fence = match[2];
+  const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+  const body = [];
+
+  let j = i + 1;
+  while (j < lines.length && !closing.test(lines[j])) {
+    body.push(stripIndent(lines[j], indent));
+    j++;
+  }
+  const closed = j < lines.length;
+
+  return {
+    node: {type: 'code', lang: match[3] || '', text: body.join('\n')},
+    next: closed ? j + 1 : j
+  };
+}
+
+/**
+ * Parse a block quote starting at lines[i]
+ */
+function parseBlockquote(lines, i) {
+  const inner = [];
+  let j = i;
+  while (j < lines.length) {
+    const line = lines[j];
+    if (BLOCKQUOTE_RE.test(line)) {
+      inner.push(line.replace(BLOCKQUOTE_RE, ''));
+    } else if (!isBlank(line) && inner.length > 0 && !isBlank(inner[inner.length - 1]) &&
+               !interruptsParagraph(lines, j)) {
+      // Lazy continuation of a quoted paragraph
+      inner.push(line);
+    } else {
+      break;
+    }
+    j++;
+  }
+
+  return {node: {type: 'blockquote', children: parseBlocks(inner)}, next: j};
+}
+
+/**
+ * Parse a list starting at lines[i]
+ */
+function parseList(lines, i, first) {
+  const items = [];
+  let loose = false;
+  let j = i;
+
+  while (j < lines.length) {
+    const marker = matchListMarker(lines[j]);
+    if (!marker || marker.ordered !== first.ordered || marker.delimiter !== first.delimiter) {
+      break;
+    }
+
+    const itemLines = [marker.content];
+    j++;
+
+    while (j < lines.length) {
+      const line = lines[j];
+      const lastLine = itemLines[itemLines.length - 1];
+      if (isBlank(line)) {
+        itemLines.push('');
+      } else if (indentOf(line) >= marker.contentOffset) {
+        itemLines.push(stripIndent(line, marker.contentOffset));
+      } else if (indentOf(line) > marker.indent && matchListMarker(line)) {
+        // Be lenient with nested lists indented less than the item content
+        itemLines.push(stripIndent(line, indentOf(line)));
+      } else if (matchListMarker(line)) {
+        // The next item of this list, or the start of another list
+        break;
+      } else if (!isBlank(lastLine) && !interruptsParagraph(lines, j)) {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trimStart());
+      } else {
+        break;
+      }
+      j++;
+    }
+
+    // Blank lines at the end of an item belong between items
+    let trailingBlanks = 0;
+    while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+      itemLines.pop();
+      trailingBlanks++;
+    }
+    if (trailingBlanks > 0 && j < lines.length) {
+      const nextMarker = matchListMarker(lines[j]);
+      if (nextMarker && nextMarker.ordered === first.ordered && nextMarker.delimiter === first.delimiter) {
+        loose = true;
+      } else {
+        // The blank lines end the list; give them back to the caller
+        j -= trailingBlanks;
+      }
+    }
+
+    const children = parseBlocks(itemLines);
+    // Blank lines between blocks inside one item also make the list loose
+    if (children.length > 1 && itemLines.some((line, index) => index > 0 && isBlank(line))) {
+      loose = true;
+    }
+    items.push(children);
+  }
+
+  return {
+    node: {type: 'list', ordered: first.ordered, start: first.start, loose, items},
+    next: j
+  };
+}
+
+/**
+ * Parse an indented code block starting at lines[i]
+ */
+function parseIndentedCode(lines, i) {
+  const body = [];
+  let j = i;
+  while (j < lines.length && (isBlank(lines[j]) || indentOf(lines[j]) >= 4)) {
+    body.push(stripIndent(lines[j], 4));
+    j++;
+  }
+  // Trailing blank lines are not part of the block
+  while (body.length > 0 && isBlank(body[body.length - 1])) {
+    body.pop();
+    j--;
+  }
+  return {node: {type: 'code', lang: '', text: body.join('\n')}, next: j};
+}
+
+/**
+ * Parse a GFM table starting at lines[i]
+ */
+function parseTable(lines, i) {
+  const header = splitTableRow(lines[i]);
+  const align = splitTableRow(lines[i + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+  });
+
+  const rows = [];
+  let j = i + 2;
+  while (j < lines.length && !isBlank(lines[j]) && lines[j].includes('|') &&
+         !interruptsParagraph(lines, j)) {
+    const cells = splitTableRow(lines[j]);
+    // Rows are padded or truncated to the header width
+    rows.push(header.map((_, index) => cells[index] || ''));
+    j++;
+  }
+
+  return {node: {type: 'table', align, header, rows}, next: j};
+}
+
+/**
+ * Parse a paragraph (or setext heading) starting at lines[i]
+ */
+function parseParagraph(lines, i) {
+  const body = [lines[i].trim()];
+  let j = i + 1;
+  while (j < lines.length && !isBlank(lines[j])) {
+    const underline = lines[j].match(SETEXT_UNDERLINE_RE);
+    if (underline) {
+      return {
+        node: {type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: body.join('\n')},
+        next: j + 1
+      };
+    }
+    if (interruptsParagraph(lines, j)) {
+      break;
+    }
+    body.push(lines[j].trim());
+    j++;
+  }
+  return {node: {type: 'paragraph', text: body.join('\n')}, next: j};
+}
+
+/**
+ * Parse lines into block nodes. Each node records the line it started on so
+ * the streaming renderer knows which blocks are complete.
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    let result;
+    let match;
+    const marker = matchListMarker(line);
+    if (FENCE_RE.test(line)) {
+      result = parseFencedCode(lines, i);
+    } else if ((match = line.match(ATX_HEADING_RE))) {
+      result = {node: {type: 'heading', level: match[1].length, text: match[2] || ''}, next: i + 1};
+    } else if (THEMATIC_BREAK_RE.test(line)) {
+      result = {node: {type: 'hr'}, next: i + 1};
+    } else if (BLOCKQUOTE_RE.test(line)) {
+      result = parseBlockquote(lines, i);
+    } else if (marker) {
+      result = parseList(lines, i, marker);
+    } else if (indentOf(line) >= 4) {
+      result = parseIndentedCode(lines, i);
+    } else if (startsTable(lines, i)) {
+      result = parseTable(lines, i);
+    } else {
+      result = parseParagraph(lines, i);
+    }
+
+    result.node.line = i;
+    blocks.push(result.node);
+    i = result.next;
+  }
+
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Inline parsing
+
+/**
+ * Return the href if it uses a safe scheme (or is relative), otherwise null
+ */
+function safeHref(url) {
+  const trimmed = url.trim();
+  const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return trimmed;
+}
+
+/**
+ * Find the end of a code span opened by `length` backticks at `start`
+ */
+function findCodeSpanEnd(text, start, length) {
+  let j = start;
+  while ((j = text.indexOf('`', j)) !== -1) {
+    let run = 0;
+    while (text[j + run] === '`') {
+      run++;
+    }
+    if (run === length) {
+      return j;
+    }
+    j += run;
+  }
+  return -1;
+}
+
+/**
+ * Find the bracket that closes a link label opened at `start`
+ */
+function findLabelEnd(text, start) {
+  let depth = 0;
+  for (let j = start; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++;
+    } else if (text[j] === '`') {
+      let run = 0;
+      while (text[j + run] === '`') {
+        run++;
+      }
+      const end = findCodeSpanEnd(text, j + run, run);
+      j = end === -1 ? j + run - 1 : end + run - 1;
+    } else if (text[j] === '[') {
+      depth++;
+    } else if (text[j] === ']') {
+      depth--;
+      if (depth === 0) {
+        return j;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a `[label](destination "title")` link at `start`
+ */
+function matchLink(text, start) {
+  const labelEnd = findLabelEnd(text, start);
+  if (labelEnd === -1 || text[labelEnd + 1] !== '(') {
+    return null;
+  }
+  const rest = text.slice(labelEnd + 1);
+  const destination = rest.match(/^\(\s*(?:<([^<>\n]*)>|([^\s()]*(?:\([^\s()]*\)[^\s()]*)*))(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/);
+  if (!destination) {
+    return null;
+  }
+  return {
+    label: text.slice(start + 1, labelEnd),
+    url: destination[1] !== undefined ? destination[1] : destination[2],
+    end: labelEnd + 1 + destination[0].length
+  };
+}
+
+/**
+ * Find a closing emphasis delimiter for an opener of `delimiter` at `start`
+ */
+function findEmphasisClose(text, start, delimiter) {
+  const single = delimiter.length === 1;
+  for (let j = start; j < text.length; j++) {
+    const ch = text[j];
+    if (ch === '\\') {
+      j++;
+      continue;
+    }
+    if (ch === '`') {
+      let run = 0;
+      while (text[j + run] === '`') {
+        run++;
+      }
+      const end = findCodeSpanEnd(text, j + run, run);
+      j = end === -1 ? j + run - 1 : end + run - 1;
+      continue;
+    }
+    if (!text.startsWith(delimiter, j)) {
+      continue;
+    }
+    // A single * must not match half of a ** pair inside the span
+    if (single && text[j + 1] === delimiter) {
+      j++;
+      continue;
+    }
+    const before = text[j - 1];
+    const after = text[j + delimiter.length];
+    if (j === start || /\s/.test(before)) {
+      continue;
+    }
+    // Underscores do not close inside a word
+    if (delimiter[0] === '_' && after && /[\p{L}\p{N}]/u.test(after)) {
+      continue;
+    }
+    return j;
+  }
+  return -1;
+}
+
+/**
+ * Parse inline Markdown into a list of inline nodes
+ */
+function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const pushText = () => {
+    if (buffer) {
+      nodes.push({type: 'text', value: buffer});
+      buffer = '';
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    // Backslash escapes and hard line breaks
+    if (ch === '\\') {
+      const next = text[i + 1];
+      if (next === '\n') {
+        pushText();
+        nodes.push({type: 'br'});
+        i += 2;
+        continue;
+      }
+      if (next && ASCII_PUNCTUATION.test(next)) {
+        buffer += next;
+        i += 2;
+        continue;
+      }
+    }
+
+    // Line breaks are kept as-is, since the model writes one thought per line
+    if (ch === '\n') {
+      buffer = buffer.replace(/[ \t]+$/, '');
+      pushText();
+      nodes.push({type: 'br'});
+      i++;
+      continue;
+    }
+
+    // Code spans
+    if (ch === '`') {
+      let run = 0;
+      while (text[i + run] === '`') {
+        run++;
+      }
+      const end = findCodeSpanEnd(text, i + run, run);
+      if (end !== -1) {
+        let code = text.slice(i + run, end).replace(/\n/g, ' ');
+        if (/^ .* $/.test(code) && code.trim()) {
+          code = code.slice(1, -1);
+        }
+        pushText();
+        nodes.push({type: 'code', value: code});
+        i = end + run;
+      } else {
+        buffer += '`'.repeat(run);
+        i += run;
+      }
+      continue;
+    }
+
+    // Autolinks: <https://example.com>
+    if (ch === '<') {
+      const match = text.slice(i).match(/^<((?:https?|mailto):[^\s<>]+)>/i);
+      if (match) {
+        pushText();
+        nodes.push({type: 'link', href: match[1], children: [{type: 'text', value: match[1]}]});
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Links, and images (shown as their alt text since the app is offline)
+    if (ch === '[' || (ch === '!' && text[i + 1] === '[')) {
+      const isImage = ch === '!';
+      const link = matchLink(text, isImage ? i + 1 : i);
+      if (link) {
+        pushText();
+        const href = safeHref(link.url);
+        if (isImage || !href) {
+          nodes.push(...parseInline(link.label));
+        } else {
+          nodes.push({type: 'link', href, children: parseInline(link.label)});
+        }
+        i = link.end;
+        continue;
+      }
+    }
+
+    // Strong, emphasis and strikethrough
+    if (ch === '*' || ch === '_' || ch === '~') {
+      let run = 0;
+      while (text[i + run] === ch) {
+        run++;
+      }
+      const previous = text[i - 1];
+      const following = text[i + run];
+      const canOpen = following && !/\s/.test(following) &&
+        !(ch === '_' && previous && /[\p{L}\p{N}]/u.test(previous));
+
+      const candidates = ch === '~' ? (run === 2 ? [['~~', 'del']] : []) :
+        run >= 3 ? [[ch.repeat(3), 'strong-em'], [ch.repeat(2), 'strong'], [ch, 'em']] :
+        run === 2 ? [[ch.repeat(2), 'strong'], [ch, 'em']] :
+        [[ch, 'em']];
+
+      let matched = false;
+      if (canOpen) {
+        for (const [delimiter, type] of candidates) {
+          const close = findEmphasisClose(text, i + delimiter.length, delimiter);
+          if (close !== -1) {
+            const children = parseInline(text.slice(i + delimiter.length, close));
+            pushText();
+            if (type === 'strong-em') {
+              nodes.push({type: 'strong', children: [{type: 'em', children}]});
+            } else {
+              nodes.push({type, children});
+            }
+            i = close + delimiter.length;
+            matched = true;
+            break;
+          }
+        }
+      }
+      if (!matched) {
+        buffer += ch.repeat(run);
+        i += run;
+      }
+      continue;
+    }
+
+    // Bare URLs
+    if (ch === 'h' && (i === 0 || /[\s(]/.test(text[i - 1]))) {
+      const match = text.slice(i).match(/^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/);
+      if (match) {
+        pushText();
+        nodes.push({type: 'link', href: match[0], children: [{type: 'text', value: match[0]}]});
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  pushText();
+  return nodes;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+
+/**
+ * Append inline nodes to a DOM element
+ */
+function renderInline(nodes, parent) {
+  nodes.forEach(node => {
+    switch (node.type) {
+      case 'text':
+        parent.appendChild(document.createTextNode(node.value));
+        break;
+      case 'br':
+        parent.appendChild(document.createElement('br'));
+        break;
+      case 'code': {
+        const code = document.createElement('code');
+        code.textContent = node.value;
+        parent.appendChild(code);
+        break;
+      }
+      case 'link': {
+        const link = document.createElement('a');
+        link.href = node.href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        renderInline(node.children, link);
+        parent.appendChild(link);
+        break;
+      }
+      default: {
+        const element = document.createElement(node.type);
+        renderInline(node.children, element);
+        parent.appendChild(element);
+      }
+    }
+  });
+}
+
+/**
+ * Create the DOM element for one block node
+ */
+function renderBlock(block, tight = false) {
+  switch (block.type) {
+    case 'heading': {
+      const heading = document.createElement(`h${block.level}`);
+      renderInline(parseInline(block.text), heading);
+      return heading;
+    }
+    case 'paragraph': {
+      // Paragraphs in tight list items are rendered without a <p> wrapper
+      const element = document.createElement(tight ? 'span' : 'p');
+      renderInline(parseInline(block.text), element);
+      return element;
+    }
+    case 'code': {
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      if (block.lang) {
+        code.className = `language-${block.lang.replace(/[^\w-]/g, '')}`;
+      }
+      code.textContent = block.text;
+      pre.appendChild(code);
+      return pre;
+    }
+    case 'hr':
+      return document.createElement('hr');
+    case 'blockquote': {
+      const quote = document.createElement('blockquote');
+      block.children.forEach(child => quote.appendChild(renderBlock(child)));
+      return quote;
+    }
+    case 'list': {
+      const list = document.createElement(block.ordered ? 'ol' : 'ul');
+      if (block.ordered && block.start !== 1) {
+        list.start = block.start;
+      }
+      block.items.forEach(children => {
+        const item = document.createElement('li');
+        children.forEach(child => item.appendChild(renderBlock(child, !block.loose)));
+        list.appendChild(item);
+      });
+      return list;
+    }
+    case 'table': {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'table-wrapper';
+      const table = document.createElement('table');
+      const head = table.createTHead().insertRow();
+      block.header.forEach((cell, index) => {
+        const th = document.createElement('th');
+        if (block.align[index]) {
+          th.style.textAlign = block.align[index];
+        }
+        renderInline(parseInline(cell), th);
+        head.appendChild(th);
+      });
+      const body = table.createTBody();
+      block.rows.forEach(row => {
+        const tr = body.insertRow();
+        row.forEach((cell, index) => {
+          const td = tr.insertCell();
+          if (block.align[index]) {
+            td.style.textAlign = block.align[index];
+          }
+          renderInline(parseInline(cell), td);
+        });
+      });
+      wrapper.appendChild(table);
+      return wrapper;
+    }
+  }
+  return document.createTextNode('');
+}
+
+/**
+ * Render Markdown text into a DocumentFragment
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  parseBlocks(text.split(/\r?\n/)).forEach(block => fragment.appendChild(renderBlock(block)));
+  return fragment;
+}
+
+/**
+ * Create a renderer that appends streamed Markdown to a container.
+ *
+ * Blocks that can no longer change are rendered once and left alone; only the
+ * last, still-growing block is re-parsed when new text arrives, so the cost of
+ * each token does not grow with the length of the answer.
+ */
+export function createMarkdownStream(container) {
+  // Content is kept before an empty marker node, so anything the caller adds
+  // to the container afterwards (such as a "stopped" label) stays at the end
+  const end = document.createComment('');
+  container.appendChild(end);
+
+  let text = '';
+  let frozenOffset = 0;
+  let liveNodes = [];
+
+  function render(final) {
+    const tail = text.slice(frozenOffset);
+    const lines = tail.split('\n');
+    const blocks = parseBlocks(lines);
+
+    // The last two blocks stay live: a blank line followed by "2" may still
+    // turn out to continue the list before it
+    const completeCount = final ? blocks.length : Math.max(blocks.length - LIVE_BLOCKS, 0);
+    const insertionPoint = liveNodes.length > 0 ? liveNodes[0] : end;
+
+    if (completeCount > 0) {
+      const fragment = document.createDocumentFragment();
+      blocks.slice(0, completeCount).forEach(block => fragment.appendChild(renderBlock(block)));
+      container.insertBefore(fragment, insertionPoint);
+      if (completeCount < blocks.length) {
+        const firstLiveLine = blocks[completeCount].line;
+        frozenOffset += lines.slice(0, firstLiveLine).reduce((sum, line) => sum + line.length + 1, 0);
+      } else {
+        frozenOffset = text.length;
+      }
+    }
+
+    // Replace the live blocks
+    liveNodes.forEach(node => node.remove());
+    liveNodes = blocks.slice(completeCount).map(renderBlock);
+    liveNodes.forEach(node => container.insertBefore(node, end));
+  }
+
+  return {
+    append(chunk) {
+      text += chunk;
+      render(false);
+    },
+    finish() {
+      render(true);
+    }
+  };
+}
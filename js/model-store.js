@@ -0,0 +1,368 @@
+// Resumable model download and persistent model storage in IndexedDB.
+// The model is stored as a sequence of blob chunks so an interrupted download
+// keeps everything received so far and continues with an HTTP Range request.
+
+import {openDatabase, promisifyRequest, transactionDone} from './idb.js';
+import {createSha256} from './sha256.js';
+import {t} from './i18n.js';
+
+const DB_NAME = 'geniGuideSL_models';
+const DB_VERSION = 1;
+const FILES_STORE = 'files';
+const CHUNKS_STORE = 'chunks';
+
+// Bytes buffered in memory before they are written to IndexedDB
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Automatic retries after a dropped connection, with exponential backoff
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+
+let databasePromise = null;
+
+/**
+ * Open (and create on first use) the model database
+ */
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase(DB_NAME, DB_VERSION, db => {
+      db.createObjectStore(FILES_STORE, {keyPath: 'name'});
+      db.createObjectStore(CHUNKS_STORE);
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Key range covering every chunk of one file
+ */
+function chunkRange(name) {
+  return IDBKeyRange.bound([name, 0], [name, Infinity]);
+}
+
+/**
+ * Read the stored metadata for a model file, or undefined
+ */
+async function getFileRecord(name) {
+  const db = await getDatabase();
+  return promisifyRequest(db.transaction(FILES_STORE).objectStore(FILES_STORE).get(name));
+}
+
+/**
+ * Save metadata for a model file
+ */
+async function putFileRecord(record) {
+  const db = await getDatabase();
+  const transaction = db.transaction(FILES_STORE, 'readwrite');
+  transaction.objectStore(FILES_STORE).put(record);
+  await transactionDone(transaction);
+}
+
+/**
+ * Append a chunk and update the file's byte count in one transaction,
+ * so the metadata never claims bytes that were not written
+ */
+async function appendChunk(record, blob) {
+  const db = await getDatabase();
+  const transaction = db.transaction([FILES_STORE, CHUNKS_STORE], 'readwrite');
+  transaction.objectStore(CHUNKS_STORE).put(blob, [record.name, record.chunkCount]);
+  record.chunkCount += 1;
+  record.receivedBytes += blob.size;
+  transaction.objectStore(FILES_STORE).put(record);
+  await transactionDone(transaction);
+}
+
+/**
+ * Remove all downloaded bytes for a file but keep its metadata
+ */
+async function clearChunks(record) {
+  const db = await getDatabase();
+  const transaction = db.transaction([FILES_STORE, CHUNKS_STORE], 'readwrite');
+  transaction.objectStore(CHUNKS_STORE).delete(chunkRange(record.name));
+  record.chunkCount = 0;
+  record.receivedBytes = 0;
+  transaction.objectStore(FILES_STORE).put(record);
+  await transactionDone(transaction);
+}
+
+/**
+ * Fetch the published checksum that sits next to the model (`<file>.sha256`),
+ * for models whose manifest entry has none. Resolves to null when there is
+ * none either, in which case the download cannot be verified.
+ */
+async function fetchChecksum(url) {
+  try {
+    const response = await fetch(`${url}.sha256`, {cache: 'no-store'});
+    if (!response.ok) {
+      return null;
+    }
+    const match = (await response.text()).match(/\b[0-9a-f]{64}\b/i);
+    return match ? match[0].toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Download whatever is still missing from a model file, resuming from the
+ * stored byte offset when the server supports Range requests
+ */
+async function downloadRemaining(record, signal, onProgress) {
+  const headers = {};
+  if (record.receivedBytes > 0) {
+    headers.Range = `bytes=${record.receivedBytes}-`;
+    // If-Range makes the server send the whole file if it changed since we started
+    if (record.etag || record.lastModified) {
+      headers['If-Range'] = record.etag || record.lastModified;
+    }
+  }
+
+  const response = await fetch(record.url, {headers, signal, cache: 'no-store'});
+  if (!response.ok) {
+    const error = new Error(response.status === 404 ?
+      t('model.errorNotFound', {url: record.url}) :
+      t('model.errorHttp', {status: response.status}));
+    error.status = response.status;
+    throw error;
+  }
+
+  if (response.status === 206) {
+    const totalMatch = (response.headers.get('Content-Range') || '').match(/\/(\d+)$/);
+    if (totalMatch) {
+      record.size = Number(totalMatch[1]);
+    }
+  } else {
+    // Full response: the server ignored the range or the file changed, so start over
+    if (record.receivedBytes > 0) {
+      await clearChunks(record);
+    }
+    const length = Number(response.headers.get('Content-Length'));
+    record.size = length > 0 ? length : null;
+    record.etag = response.headers.get('ETag');
+    record.lastModified = response.headers.get('Last-Modified');
+    await putFileRecord(record);
+  }
+
+  const reader = response.body.getReader();
+  let pending = [];
+  let pendingBytes = 0;
+
+  const flush = async () => {
+    if (pendingBytes > 0) {
+      const blob = new Blob(pending);
+      pending = [];
+      pendingBytes = 0;
+      await appendChunk(record, blob);
+    }
+  };
+
+  while (true) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    pending.push(value);
+    pendingBytes += value.length;
+    if (pendingBytes >= CHUNK_SIZE) {
+      await flush();
+    }
+    onProgress({
+      phase: 'downloading',
+      receivedBytes: record.receivedBytes + pendingBytes,
+      totalBytes: record.size
+    });
+  }
+  await flush();
+
+  if (record.size && record.receivedBytes < record.size) {
+    throw new Error(t('model.errorIncomplete'));
+  }
+}
+
+/**
+ * Hash the stored chunks and compare against the expected checksum
+ */
+async function verifyChecksum(record, onProgress) {
+  const hasher = createSha256();
+  const reader = openModelStream(record).getReader();
+  let hashedBytes = 0;
+
+  while (true) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    hasher.update(value);
+    hashedBytes += value.length;
+    onProgress({phase: 'verifying', receivedBytes: hashedBytes, totalBytes: record.receivedBytes});
+  }
+
+  return hasher.digestHex() === record.sha256;
+}
+
+/**
+ * Stream a stored model chunk by chunk, without holding it all in memory
+ */
+function openModelStream(record) {
+  let index = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      if (index >= record.chunkCount) {
+        controller.close();
+        return;
+      }
+      const db = await getDatabase();
+      const blob = await promisifyRequest(
+        db.transaction(CHUNKS_STORE).objectStore(CHUNKS_STORE).get([record.name, index]));
+      if (!blob) {
+        controller.error(new Error(`Stored model is missing chunk ${index}`));
+        return;
+      }
+      index += 1;
+      controller.enqueue(new Uint8Array(await blob.arrayBuffer()));
+    }
+  });
+}
+
+/**
+ * Wait for a delay unless the signal aborts first
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+      }, {once: true});
+    }
+  });
+}
+
+/**
+ * Make sure a model file is fully downloaded and verified in local storage.
+ * `sha256` is the checksum expected from the model manifest; without it the
+ * one published next to the model is used, if any. Resolves to the stored
+ * record, whose `sha256` is empty when the file could not be verified.
+ *
+ * onProgress receives {phase, receivedBytes, totalBytes, attempt}, where phase is
+ * 'downloading', 'retrying' or 'verifying'. Aborting the signal pauses the
+ * download; calling again later resumes it from the last stored chunk.
+ */
+export async function downloadModel(url, {sha256 = '', signal, onProgress = () => {}} = {}) {
+  const name = url;
+  let record = await getFileRecord(name);
+  if (record && record.complete) {
+    if (!sha256 || record.sha256 === sha256) {
+      return record;
+    }
+    // Stored before its checksum was known (or against another one): check
+    // it now, and download it again if it does not match
+    record.sha256 = sha256;
+    if (await verifyChecksum(record, onProgress)) {
+      await putFileRecord(record);
+      return record;
+    }
+    console.error(`Stored model ${url} does not match its checksum; downloading it again`);
+    await deleteModel(url);
+    record = null;
+  }
+
+  if (!record) {
+    record = {
+      name,
+      url,
+      size: null,
+      etag: null,
+      lastModified: null,
+      sha256: null,
+      receivedBytes: 0,
+      chunkCount: 0,
+      complete: false
+    };
+  }
+
+  if (sha256) {
+    record.sha256 = sha256;
+  } else if (!record.sha256) {
+    record.sha256 = await fetchChecksum(url);
+  }
+  await putFileRecord(record);
+
+  for (let attempt = 0; ; attempt++) {
+    if (record.size && record.receivedBytes >= record.size) {
+      break;
+    }
+    try {
+      await downloadRemaining(record, signal, onProgress);
+      break;
+    } catch (error) {
+      // Pausing, a missing file and running out of retries all stop here
+      if (error.name === 'AbortError' || error.status === 404 || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      console.error('Model download interrupted, retrying:', error);
+      onProgress({
+        phase: 'retrying',
+        receivedBytes: record.receivedBytes,
+        totalBytes: record.size,
+        attempt: attempt + 1
+      });
+      await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+    }
+  }
+
+  if (record.sha256 && !(await verifyChecksum(record, onProgress))) {
+    await deleteModel(url);
+    throw new Error(t('model.errorIntegrity'));
+  }
+
+  record.complete = true;
+  await putFileRecord(record);
+  return record;
+}
+
+/**
+ * Check whether a model is fully downloaded and ready to load offline
+ */
+export async function isModelStored(url) {
+  try {
+    const record = await getFileRecord(url);
+    return Boolean(record && record.complete);
+  } catch (error) {
+    console.error('Error reading model storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Open a reader over a stored model, suitable for `modelAssetBuffer`.
+ * onProgress receives {phase: 'loading', receivedBytes, totalBytes} as the
+ * engine reads it.
+ */
+export async function openStoredModel(url, onProgress = () => {}) {
+  const record = await getFileRecord(url);
+  if (!record || !record.complete) {
+    throw new Error(`Model ${url} has not been downloaded`);
+  }
+  let loadedBytes = 0;
+  const progress = new TransformStream({
+    transform(chunk, controller) {
+      loadedBytes += chunk.length;
+      onProgress({phase: 'loading', receivedBytes: loadedBytes, totalBytes: record.receivedBytes});
+      controller.enqueue(chunk);
+    }
+  });
+  return openModelStream(record).pipeThrough(progress).getReader();
+}
+
+/**
+ * Delete a stored model and its partial download, if any
+ */
+export async function deleteModel(url) {
+  const db = await getDatabase();
+  const transaction = db.transaction([FILES_STORE, CHUNKS_STORE], 'readwrite');
+  transaction.objectStore(CHUNKS_STORE).delete(chunkRange(url));
+  transaction.objectStore(FILES_STORE).delete(url);
+  await transactionDone(transaction);
+}
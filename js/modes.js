@@ -0,0 +1,254 @@
+// Mode registry: the built-in modes listed in data/modes.json plus custom
+// modes made in the app (kept in localStorage). Every mode goes through
+// validateMode, so a bad manifest entry or shared file cannot break the app.
+
+import {slugify} from './export.js';
+import {t} from './i18n.js';
+import {validateGenerationParams} from './settings.js';
+
+export const MODES_FORMAT = 'geniguidesl-modes';
+export const MODES_VERSION = 1;
+
+const MANIFEST_URL = 'data/modes.json';
+const CUSTOM_MODES_KEY = 'geniGuideSL_customModes';
+
+const ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+const MAX_TITLE_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_PROMPT_LENGTH = 2000;
+const MAX_STARTERS = 6;
+const MAX_STARTER_LENGTH = 150;
+const MAX_KEYWORDS = 60;
+const MAX_KEYWORD_LENGTH = 40;
+const DEFAULT_ICON = '💬';
+
+// Used when the manifest cannot be read, so there is always a mode to show
+const FALLBACK_MODE = {
+  id: 'study',
+  icon: '🧑🏽‍🏫',
+  title: 'Study Mode',
+  description: 'Ask questions about school subjects, get explanations on difficult topics, and receive help with homework.',
+  systemPrompt: 'You are an educational assistant helping students in Sierra Leone. Provide clear, simple explanations for academic topics. Focus on being helpful for primary and secondary school subjects. Keep explanations concise and easy to understand, using simple language.',
+  starters: [],
+  keywords: [],
+  params: {}
+};
+
+/**
+ * Trimmed string value of a field, or '' if it is not a string
+ */
+function textField(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Check a mode definition and return it in the shape the app uses. Throws an
+ * Error with a readable message when it is not usable.
+ */
+export function validateMode(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(t('modeEditor.errorNotMode'));
+  }
+  const id = textField(data.id);
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(t('modeEditor.errorId'));
+  }
+  const title = textField(data.title);
+  if (!title || title.length > MAX_TITLE_LENGTH) {
+    throw new Error(t('modeEditor.errorTitle', {max: MAX_TITLE_LENGTH}));
+  }
+  const description = textField(data.description);
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Error(t('modeEditor.errorDescription', {max: MAX_DESCRIPTION_LENGTH}));
+  }
+  const systemPrompt = textField(data.systemPrompt);
+  if (!systemPrompt || systemPrompt.length > MAX_PROMPT_LENGTH) {
+    throw new Error(t('modeEditor.errorPrompt', {max: MAX_PROMPT_LENGTH}));
+  }
+
+  const starters = (Array.isArray(data.starters) ? data.starters : []).map(textField).filter(Boolean);
+  if (starters.length > MAX_STARTERS || starters.some(starter => starter.length > MAX_STARTER_LENGTH)) {
+    throw new Error(t('modeEditor.errorStarters', {count: MAX_STARTERS, max: MAX_STARTER_LENGTH}));
+  }
+
+  // Words and phrases (English or Krio) that show a question belongs here;
+  // see routing.js
+  const keywords = (Array.isArray(data.keywords) ? data.keywords : []).map(textField).filter(Boolean);
+  if (keywords.length > MAX_KEYWORDS || keywords.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+    throw new Error(t('modeEditor.errorKeywords', {count: MAX_KEYWORDS, max: MAX_KEYWORD_LENGTH}));
+  }
+
+  return {
+    id,
+    // Keep the icon to a single emoji or short symbol
+    icon: [...textField(data.icon)].slice(0, 4).join('') || DEFAULT_ICON,
+    title,
+    description,
+    systemPrompt,
+    starters,
+    keywords: [...new Set(keywords)],
+    params: validateGenerationParams(data.params)
+  };
+}
+
+/**
+ * Parse a mode file (or the manifest). Invalid entries are skipped and
+ * counted; if none are usable, the first problem is thrown.
+ */
+export function parseModesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(t('export.errorInvalidJson'));
+  }
+  if (!data || data.format !== MODES_FORMAT || !Array.isArray(data.modes)) {
+    throw new Error(t('modeEditor.errorNotModeFile'));
+  }
+  if (!Number.isInteger(data.version) || data.version > MODES_VERSION) {
+    throw new Error(t('modeEditor.errorNewerVersion'));
+  }
+
+  const modes = [];
+  let firstError = null;
+  data.modes.forEach(entry => {
+    try {
+      const mode = validateMode(entry);
+      // A later entry with the same id replaces an earlier one
+      const existing = modes.findIndex(other => other.id === mode.id);
+      if (existing >= 0) {
+        modes.splice(existing, 1);
+      }
+      modes.push(mode);
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  });
+  if (modes.length === 0) {
+    throw firstError || new Error(t('modeEditor.errorNoModes'));
+  }
+  return {modes, invalidCount: data.modes.length - modes.length};
+}
+
+/**
+ * Serialize modes to the versioned mode file format
+ */
+export function exportModesJson(list) {
+  return JSON.stringify({
+    format: MODES_FORMAT,
+    version: MODES_VERSION,
+    exportedAt: new Date().toISOString(),
+    modes: list.map(({custom, ...mode}) => mode)
+  }, null, 2);
+}
+
+/**
+ * File name for a shared mode
+ */
+export function modeFileName(mode) {
+  return `geniguidesl-mode-${slugify(mode.title, 'custom')}.json`;
+}
+
+/**
+ * Load the built-in modes from the manifest. If it cannot be read, the app
+ * carries on with a single fallback mode and reports `failed`.
+ * Resolves to {modes, skipped, failed}.
+ */
+export async function loadBuiltInModes() {
+  try {
+    const response = await fetch(MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const {modes, invalidCount} = parseModesJson(await response.text());
+    if (invalidCount > 0) {
+      console.error(`Skipped ${invalidCount} invalid mode(s) in ${MANIFEST_URL}`);
+    }
+    return {modes, skipped: invalidCount, failed: false};
+  } catch (error) {
+    console.error('Error loading mode manifest:', error);
+    return {modes: [{...FALLBACK_MODE}], skipped: 0, failed: true};
+  }
+}
+
+/**
+ * Load the custom modes saved on this device, dropping any that are no longer valid
+ */
+export function loadCustomModes() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(CUSTOM_MODES_KEY));
+  } catch (error) {
+    console.error('Error loading custom modes:', error);
+    return [];
+  }
+  if (!Array.isArray(saved)) {
+    return [];
+  }
+
+  const modes = [];
+  saved.forEach(entry => {
+    try {
+      modes.push(validateMode(entry));
+    } catch (error) {
+      console.error('Skipping invalid custom mode:', error);
+    }
+  });
+  return modes;
+}
+
+/**
+ * Save the custom modes
+ */
+export function saveCustomModes(list) {
+  localStorage.setItem(CUSTOM_MODES_KEY, JSON.stringify(list.map(({custom, ...mode}) => mode)));
+}
+
+/**
+ * Make an id for a new custom mode that will not clash with other modes
+ */
+export function createModeId(title) {
+  return `custom-${slugify(title, 'mode').slice(0, 16)}-${Date.now().toString(36)}`;
+}
+
+/**
+ * Combine built-in and custom modes into the registry the app uses, keyed by
+ * id in display order. Custom modes cannot replace a built-in one.
+ */
+export function buildModeRegistry(builtIn, custom) {
+  const registry = {};
+  builtIn.forEach(mode => {
+    registry[mode.id] = {...mode, custom: false};
+  });
+  custom.forEach(mode => {
+    if (registry[mode.id]) {
+      console.error(`Custom mode ${mode.id} has the same id as a built-in mode and was skipped`);
+      return;
+    }
+    registry[mode.id] = {...mode, custom: true};
+  });
+  return registry;
+}
+
+/**
+ * Share a mode file through the device's share sheet, falling back to sharing
+ * the JSON as text where files cannot be shared. Resolves to false if the
+ * user cancelled.
+ */
+export async function shareMode(mode) {
+  const json = exportModesJson([mode]);
+  const file = new File([json], modeFileName(mode), {type: 'application/json'});
+  try {
+    if (navigator.canShare && navigator.canShare({files: [file]})) {
+      await navigator.share({title: mode.title, files: [file]});
+    } else {
+      await navigator.share({title: mode.title, text: json});
+    }
+    return true;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return false;
+    }
+    throw error;
+  }
+}
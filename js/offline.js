@@ -0,0 +1,42 @@
+// Service worker registration and offline availability reporting
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+/**
+ * Register the service worker that caches the app for offline use.
+ * Resolves to null when the browser has no service worker support.
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  } catch (error) {
+    console.error('Error registering service worker:', error);
+    return null;
+  }
+}
+
+/**
+ * Ask the active service worker whether the app shell is cached.
+ * Resolves to {supported, version, shellReady}; the model is stored separately.
+ */
+export async function getOfflineStatus() {
+  if (!('serviceWorker' in navigator)) {
+    return {supported: false, shellReady: false};
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const worker = registration.active;
+  if (!worker) {
+    return {supported: true, shellReady: false};
+  }
+
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = event => resolve({supported: true, ...event.data});
+    worker.postMessage({type: 'GET_CACHE_STATUS'}, [channel.port2]);
+  });
+}
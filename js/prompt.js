@@ -0,0 +1,227 @@
+// Prompt construction for Gemma 3 instruction-tuned models.
+//
+// Gemma has no system role, so the mode's system prompt (with the running
+// memory of older turns and any knowledge pack passages) is placed at the
+// start of the first user turn. The same turns are also returned as chat
+// messages, with a system message, for inference servers (see inference.js).
+
+const TURN_START = '<start_of_turn>';
+const TURN_END = '<end_of_turn>';
+
+// Longest message excerpt fed to the memory summarizer, in characters
+const SUMMARY_EXCERPT_LENGTH = 600;
+
+/**
+ * Format one conversation turn in Gemma's chat template
+ */
+export function formatTurn(role, content) {
+  return `${TURN_START}${role === 'user' ? 'user' : 'model'}\n${content.trim()}${TURN_END}\n`;
+}
+
+/**
+ * Cue the model to write the next reply
+ */
+function modelTurnCue() {
+  return `${TURN_START}model\n`;
+}
+
+/**
+ * Turns as OpenAI-style chat messages
+ */
+function toChatMessages(systemText, turns) {
+  const messages = turns.map(turn => ({role: turn.role === 'user' ? 'user' : 'assistant', content: turn.content.trim()}));
+  return systemText ? [{role: 'system', content: systemText.trim()}, ...messages] : messages;
+}
+
+/**
+ * Fallback token estimate when the tokenizer is unavailable
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Index of the first message that belongs in a prompt. Greetings the app adds
+ * before the user has said anything are not part of the conversation.
+ */
+function firstUserIndex(history) {
+  const index = history.findIndex(message => message.role === 'user');
+  return index === -1 ? history.length : index;
+}
+
+/**
+ * Format knowledge pack passages as numbered reference notes
+ */
+export function formatReferences(references) {
+  const notes = references
+    .map((reference, index) => `[${index + 1}] ${reference.title}: ${reference.text.trim()}`)
+    .join('\n\n');
+  return 'Reference notes. Use them when they help and cite the ones you use by number, like [1]. ' +
+    'If they do not cover the question, answer from what you know.\n\n' + notes;
+}
+
+/**
+ * Build the text that opens the first user turn
+ */
+function buildPreamble(systemPrompt, memory, references) {
+  let preamble = systemPrompt.trim();
+  if (memory) {
+    preamble += `\n\nSummary of the earlier conversation:\n${memory.trim()}`;
+  }
+  if (references && references.length > 0) {
+    preamble += `\n\n${formatReferences(references)}`;
+  }
+  return preamble + '\n\n';
+}
+
+/**
+ * Shorten a text to about `length` characters, keeping its start and end
+ */
+function shortenText(text, length) {
+  if (text.length <= length) {
+    return text;
+  }
+  const half = Math.floor(length / 2);
+  return `${text.slice(0, half).trimEnd()} … ${text.slice(text.length - half).trimStart()}`;
+}
+
+/**
+ * Fit the parts of a prompt that do not depend on the history into the
+ * budget. If they do not fit, the references are left out from the last
+ * (least relevant) one, then the memory, and then the user message is cut
+ * short. Resolves to {memory, references, userMessage, trimmed, used}:
+ * the parts that fit, what was taken out ('references', 'memory',
+ * 'userMessage') and their size in tokens.
+ */
+async function fitBase({systemPrompt, memory, references, userMessage, countTokens, budget}) {
+  const fitted = {memory: memory || '', references: references ? references.slice() : [], userMessage};
+  const trimmed = [];
+  const cost = () => countTokens(buildPreamble(systemPrompt, fitted.memory, fitted.references) +
+    formatTurn('user', fitted.userMessage) + modelTurnCue());
+
+  let used = await cost();
+  while (used > budget && fitted.references.length > 0) {
+    fitted.references.pop();
+    used = await cost();
+    if (!trimmed.includes('references')) {
+      trimmed.push('references');
+    }
+  }
+  if (used > budget && fitted.memory) {
+    fitted.memory = '';
+    used = await cost();
+    trimmed.push('memory');
+  }
+  if (used > budget) {
+    // Start from the share of the message that should fit, then cut further
+    // until it does
+    const messageTokens = await countTokens(userMessage);
+    let length = Math.floor(userMessage.length * Math.max(0, 1 - (used - budget) / messageTokens));
+    do {
+      fitted.userMessage = shortenText(userMessage, length);
+      used = await cost();
+      length = Math.floor(length * 0.9);
+    } while (used > budget && length > 0);
+    trimmed.push('userMessage');
+  }
+  return {...fitted, trimmed, used};
+}
+
+/**
+ * Build a Gemma prompt holding as much recent history as fits in the budget.
+ *
+ * `history` is the conversation's stored messages, not including `userMessage`.
+ * `references` are knowledge pack passages ({title, text}) for this question;
+ * they are numbered in order, which is how the answer cites them.
+ * `countTokens` resolves to the size of a text in the model's tokens.
+ * Returns {prompt, messages, promptTokens, firstIncludedIndex, references,
+ * trimmed}; messages before firstIncludedIndex did not fit and should be
+ * folded into the memory. When the instructions, memory, references and
+ * user message alone are over the budget, `references` holds those that
+ * were kept and `trimmed` lists what was left out or shortened (see fitBase).
+ */
+export async function buildPrompt({systemPrompt, memory, references, history, userMessage, countTokens, budget}) {
+  const start = firstUserIndex(history);
+  const base = await fitBase({systemPrompt, memory, references, userMessage, countTokens, budget});
+  const preamble = buildPreamble(systemPrompt, base.memory, base.references);
+
+  // Fit the newest messages first
+  const included = [];
+  let used = base.used;
+
+  for (let i = history.length - 1; i >= start; i--) {
+    const message = history[i];
+    if (!message.content || !message.content.trim()) {
+      continue;
+    }
+    const cost = await countTokens(formatTurn(message.role, message.content));
+    if (used + cost > budget) {
+      break;
+    }
+    used += cost;
+    included.unshift({index: i, message});
+  }
+
+  // Never open the window on a model reply
+  while (included.length > 0 && included[0].message.role !== 'user') {
+    included.shift();
+  }
+  const firstIncludedIndex = included.length > 0 ? included[0].index : history.length;
+
+  const turns = included.map(({message}) => ({role: message.role, content: message.content}));
+  turns.push({role: 'user', content: base.userMessage});
+  const messages = toChatMessages(preamble, turns);
+  turns[0] = {role: 'user', content: preamble + turns[0].content};
+
+  const prompt = turns.map(turn => formatTurn(turn.role, turn.content)).join('') + modelTurnCue();
+  return {
+    prompt,
+    messages,
+    promptTokens: await countTokens(prompt),
+    firstIncludedIndex,
+    references: base.references,
+    trimmed: base.trimmed
+  };
+}
+
+/**
+ * Build a prompt asking the model to fold older messages into the running
+ * memory. Returns {prompt, messages} like buildPrompt.
+ */
+export function buildSummaryPrompt(previousSummary, messages) {
+  const transcript = messages
+    .filter(message => message.content && message.content.trim())
+    .map(message => {
+      const speaker = message.role === 'user' ? 'User' : 'Assistant';
+      const content = message.content.trim();
+      const excerpt = content.length > SUMMARY_EXCERPT_LENGTH ?
+        content.slice(0, SUMMARY_EXCERPT_LENGTH) + '...' : content;
+      return `${speaker}: ${excerpt}`;
+    })
+    .join('\n');
+
+  let request = 'Summarize the conversation below in at most 80 words. Keep the user\'s situation, ' +
+    'their questions and the key advice given, so the conversation can be continued later. ' +
+    'Reply with the summary only.\n\n';
+  if (previousSummary) {
+    request += `Summary so far:\n${previousSummary.trim()}\n\n`;
+  }
+  request += `Conversation:\n${transcript}`;
+
+  return {
+    prompt: formatTurn('user', request) + modelTurnCue(),
+    messages: toChatMessages('', [{role: 'user', content: request}])
+  };
+}
+
+/**
+ * Build a prompt for a one-off task outside any conversation, such as
+ * writing a quiz, with the mode's instructions first. Returns
+ * {prompt, messages} like buildPrompt.
+ */
+export function buildTaskPrompt(systemPrompt, request) {
+  return {
+    prompt: formatTurn('user', `${systemPrompt}\n\n${request}`) + modelTurnCue(),
+    messages: toChatMessages(systemPrompt, [{role: 'user', content: request}])
+  };
+}
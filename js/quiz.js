@@ -0,0 +1,288 @@
+// Exam practice quizzes for Study Mode: the prompt asking the model for
+// questions as JSON, checking what comes back, grading answers, and the
+// student's progress (score history per subject and a spaced-repetition list
+// of questions to review), kept in localStorage.
+
+import {normalizeText} from './emergency.js';
+import {t} from './i18n.js';
+
+const PROGRESS_KEY = 'geniGuideSL_quizProgress';
+
+export const QUIZ_MODES = ['study'];
+export const EXAMS = ['NPSE', 'BECE', 'WASSCE'];
+export const SUBJECTS = [
+  'mathematics',
+  'english',
+  'science',
+  'socialStudies',
+  'biology',
+  'chemistry',
+  'physics',
+  'economics',
+  'government',
+  'geography',
+  'literature',
+  'agriculture'
+];
+export const QUESTION_TYPES = ['choice', 'short'];
+export const QUESTION_COUNTS = [5, 10];
+
+// Subject names as the model should read them
+const SUBJECT_NAMES = {
+  mathematics: 'Mathematics',
+  english: 'English Language',
+  science: 'Integrated Science',
+  socialStudies: 'Social Studies',
+  biology: 'Biology',
+  chemistry: 'Chemistry',
+  physics: 'Physics',
+  economics: 'Economics',
+  government: 'Government',
+  geography: 'Geography',
+  literature: 'Literature in English',
+  agriculture: 'Agricultural Science'
+};
+
+// Days until a question is due again, by how many times in a row it has
+// been answered correctly in review. After the last box it is learned.
+const REVIEW_INTERVALS_DAYS = [1, 3, 7, 14, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored history is capped so localStorage does not fill up
+const MAX_HISTORY = 200;
+const MAX_REVIEW = 100;
+
+/**
+ * Ask for a quiz as JSON. `retryNote` explains what was wrong with the last
+ * attempt, if there was one.
+ */
+export function quizRequest({exam, subject, topic, type, count}, retryNote = '') {
+  const shape = type === 'choice' ?
+    '{"questions": [{"question": "...", "choices": ["...", "...", "...", "..."], "answer": 0, "explanation": "..."}]}' :
+    '{"questions": [{"question": "...", "answer": "...", "accept": ["..."], "explanation": "..."}]}';
+  const rules = type === 'choice' ?
+    'Each question has exactly four choices. "answer" is the index (0 to 3) of the correct choice.' :
+    'Each answer is a single word, number or short phrase. "accept" lists other ways of writing the same answer.';
+  const lines = [
+    `Write a practice quiz for a student in Sierra Leone preparing for the ${exam} exam.`,
+    `Subject: ${SUBJECT_NAMES[subject] || subject}. Topic: ${topic}.`,
+    `Write ${count} ${type === 'choice' ? 'multiple-choice' : 'short-answer'} questions at ${exam} level.`,
+    rules,
+    '"explanation" says in one or two sentences why the answer is right.',
+    'Reply with only JSON in exactly this shape, with no other text:',
+    shape
+  ];
+  if (retryNote) {
+    lines.push('', `Your last reply could not be used: ${retryNote}. Reply again with only the JSON.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The JSON object in a model reply, which may be wrapped in a code fence or
+ * surrounded by text. Throws an Error saying what is wrong.
+ */
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('there was no JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`the JSON was not valid (${error.message})`);
+  }
+}
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check one multiple-choice question. The answer may also be given as a
+ * letter or as the text of the choice.
+ */
+function validateChoiceQuestion(data) {
+  const choices = Array.isArray(data.choices) ? data.choices.filter(isText).map(choice => choice.trim()) : [];
+  if (choices.length < 2 || new Set(choices).size !== choices.length) {
+    return null;
+  }
+  let answer = data.answer;
+  if (typeof answer === 'string') {
+    const letter = /^[A-F]$/i.test(answer.trim()) ? answer.trim().toUpperCase().charCodeAt(0) - 65 : -1;
+    answer = letter >= 0 ? letter : choices.indexOf(answer.trim());
+  }
+  if (!Number.isInteger(answer) || answer < 0 || answer >= choices.length) {
+    return null;
+  }
+  return {question: data.question.trim(), choices, answer, explanation: isText(data.explanation) ? data.explanation.trim() : ''};
+}
+
+/**
+ * Check one short-answer question
+ */
+function validateShortQuestion(data) {
+  const answer = typeof data.answer === 'number' ? String(data.answer) : data.answer;
+  if (!isText(answer)) {
+    return null;
+  }
+  const accept = (Array.isArray(data.accept) ? data.accept : [])
+    .map(value => typeof value === 'number' ? String(value) : value)
+    .filter(isText)
+    .map(value => value.trim());
+  return {question: data.question.trim(), answer: answer.trim(), accept, explanation: isText(data.explanation) ? data.explanation.trim() : ''};
+}
+
+/**
+ * Check a quiz written by the model. Unusable questions are dropped; the
+ * quiz is rejected (with an Error saying why, for the retry) if fewer than
+ * half of the questions asked for are usable.
+ */
+export function parseQuiz(text, {type, count}) {
+  const data = extractJson(text);
+  if (!data || !Array.isArray(data.questions)) {
+    throw new Error('it had no "questions" list');
+  }
+  const validate = type === 'choice' ? validateChoiceQuestion : validateShortQuestion;
+  const questions = data.questions
+    .filter(entry => entry && isText(entry.question))
+    .map(validate)
+    .filter(Boolean)
+    .slice(0, count);
+  if (questions.length < Math.ceil(count / 2)) {
+    throw new Error(`only ${questions.length} of the questions had the right fields`);
+  }
+  return questions;
+}
+
+/**
+ * A short answer reduced to lowercase words without punctuation or a leading
+ * "the", "a" or "an", and numbers without thousands separators
+ */
+function normalizeAnswer(text) {
+  return normalizeText(String(text).replace(/(\d),(\d{3})/g, '$1$2'))
+    .trim()
+    .replace(/^(the|a|an) /, '');
+}
+
+/**
+ * Whether an answer to a question is right. Multiple-choice answers are the
+ * index of the choice picked.
+ */
+export function isCorrect(question, answer) {
+  if (question.choices) {
+    return answer === question.answer;
+  }
+  const given = normalizeAnswer(answer || '');
+  return given !== '' && [question.answer, ...question.accept].some(accepted => normalizeAnswer(accepted) === given);
+}
+
+/**
+ * The student's quiz progress: {history, review}
+ */
+export function loadProgress() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+    if (saved && Array.isArray(saved.history) && Array.isArray(saved.review)) {
+      return saved;
+    }
+  } catch (error) {
+    console.error('Error loading quiz progress:', error);
+  }
+  return {history: [], review: []};
+}
+
+/**
+ * Save the student's quiz progress
+ */
+export function saveProgress(progress) {
+  progress.history = progress.history.slice(-MAX_HISTORY);
+  progress.review = progress.review.slice(-MAX_REVIEW);
+  localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+}
+
+/**
+ * Identify a question, so the same one is not added to the review list twice
+ */
+function questionKey(question) {
+  return normalizeAnswer(question.question);
+}
+
+/**
+ * Record a finished quiz. `results` holds whether each question was answered
+ * correctly. Missed questions go on the review list, due tomorrow; in a
+ * review, questions answered correctly move on to a longer interval, and
+ * leave the list after the last one.
+ */
+export function recordQuiz(progress, quiz, results, now = Date.now()) {
+  const score = results.filter(Boolean).length;
+  if (!quiz.review) {
+    progress.history.push({
+      exam: quiz.exam,
+      subject: quiz.subject,
+      topic: quiz.topic,
+      type: quiz.type,
+      score,
+      total: results.length,
+      date: now
+    });
+  }
+
+  quiz.questions.forEach((question, index) => {
+    const key = questionKey(question);
+    const existing = progress.review.findIndex(item => questionKey(item.question) === key);
+    const item = existing >= 0 ? progress.review[existing] : null;
+
+    if (!results[index]) {
+      const entry = item || {exam: quiz.exam, subject: quiz.subject, topic: quiz.topic, question};
+      entry.box = 0;
+      entry.due = now + REVIEW_INTERVALS_DAYS[0] * DAY_MS;
+      if (!item) {
+        progress.review.push(entry);
+      }
+    } else if (item && quiz.review) {
+      item.box += 1;
+      if (item.box >= REVIEW_INTERVALS_DAYS.length) {
+        progress.review.splice(existing, 1);
+      } else {
+        item.due = now + REVIEW_INTERVALS_DAYS[item.box] * DAY_MS;
+      }
+    }
+  });
+
+  saveProgress(progress);
+  return score;
+}
+
+/**
+ * Review questions that are due, oldest first
+ */
+export function dueReviews(progress, now = Date.now()) {
+  return progress.review.filter(item => item.due <= now).sort((a, b) => a.due - b.due);
+}
+
+/**
+ * Scores per subject, most recently practised first:
+ * [{subject, quizzes, average, last, date}] with scores as percentages
+ */
+export function subjectSummary(progress) {
+  const bySubject = new Map();
+  progress.history.forEach(entry => {
+    const summary = bySubject.get(entry.subject) || {subject: entry.subject, quizzes: 0, total: 0, date: 0};
+    const percent = entry.total > 0 ? Math.round(entry.score / entry.total * 100) : 0;
+    summary.quizzes += 1;
+    summary.total += percent;
+    summary.last = percent;
+    summary.date = entry.date;
+    bySubject.set(entry.subject, summary);
+  });
+  return [...bySubject.values()]
+    .map(({subject, quizzes, total, last, date}) => ({subject, quizzes, average: Math.round(total / quizzes), last, date}))
+    .sort((a, b) => b.date - a.date);
+}
+
+/**
+ * A subject's name in the interface language
+ */
+export function subjectLabel(subject) {
+  return t(`quiz.subjects.${subject}`, {}, SUBJECT_NAMES[subject] || subject);
+}
@@ -0,0 +1,96 @@
+// Routing questions to the mode that fits them best. Each mode lists
+// keywords (English and Krio, in data/modes.json) that are matched against the
+// question; when they point somewhere else without settling where, the model
+// is asked to choose between the modes they point to.
+
+import {normalizeText} from './emergency.js';
+import {buildTaskPrompt} from './prompt.js';
+
+// Keywords alone move a question to another mode when that mode scores at
+// least MIN_SCORE and at least MIN_LEAD more than any other. Below MIN_SCORE
+// (a single one-word keyword) the question stays where it was asked, as
+// asking the model would cost about as much as the answer itself.
+const MIN_SCORE = 2;
+const MIN_LEAD = 2;
+
+// Modes the model chooses between besides the current one
+const MAX_CANDIDATES = 3;
+
+const CHOICE_SYSTEM_PROMPT = 'You sort questions from people in Sierra Leone into the topic that can answer them best. Reply with only the id of one topic and nothing else.';
+
+/**
+ * How well a question matches each mode's keywords: every keyword found in
+ * it as whole words counts its number of words, so phrases weigh more than
+ * single words. Returns {modeId: score}.
+ */
+export function scoreModes(modes, text) {
+  const normalized = normalizeText(text);
+  const scores = {};
+  Object.values(modes).forEach(mode => {
+    scores[mode.id] = (mode.keywords || []).reduce((score, keyword) => {
+      const pattern = normalizeText(keyword);
+      return pattern.trim() !== '' && normalized.includes(pattern) ? score + pattern.trim().split(' ').length : score;
+    }, 0);
+  });
+  return scores;
+}
+
+/**
+ * Which mode a question asked in `currentMode` belongs to. Returns null when
+ * it is best answered where it was asked (or the keywords hardly point
+ * elsewhere), {mode} when the keywords clearly point to another mode, or
+ * {candidates} (the current mode first) when they point elsewhere but the
+ * model has to choose.
+ */
+export function classifyQuestion(modes, currentMode, text) {
+  const scores = scoreModes(modes, text);
+  const ranked = Object.keys(scores)
+    .filter(id => scores[id] > 0)
+    .sort((a, b) => scores[b] - scores[a]);
+  if (ranked.length === 0 || scores[ranked[0]] <= (scores[currentMode] || 0)) {
+    return null;
+  }
+
+  const [best, next] = ranked;
+  if (scores[best] < MIN_SCORE) {
+    return null;
+  }
+  if (scores[best] - (next ? scores[next] : 0) >= MIN_LEAD) {
+    return {mode: best};
+  }
+  return {candidates: [currentMode, ...ranked.filter(id => id !== currentMode).slice(0, MAX_CANDIDATES)]};
+}
+
+/**
+ * Prompt asking the model which of the candidate modes a question belongs
+ * to. Returns {prompt, messages} like buildTaskPrompt.
+ */
+export function modeChoicePrompt(modes, candidates, text) {
+  const lines = [
+    'Which of these topics does the question below belong to?',
+    ...candidates.map(id => `- ${id}: ${modes[id].title}. ${modes[id].description}`.trim()),
+    '',
+    `Question: ${text}`,
+    '',
+    'Reply with only the topic id.'
+  ];
+  return buildTaskPrompt(CHOICE_SYSTEM_PROMPT, lines.join('\n'));
+}
+
+/**
+ * The mode the model chose: the candidate id that comes first in its
+ * reply, or null if it named none of them
+ */
+export function parseModeChoice(reply, candidates) {
+  const normalized = normalizeText(reply);
+  let choice = null;
+  let first = Infinity;
+  candidates.forEach(id => {
+    const position = normalized.indexOf(normalizeText(id));
+    if (position >= 0 && position < first) {
+      choice = id;
+      first = position;
+    }
+  });
+  return choice;
+}
@@ -0,0 +1,149 @@
+// User settings, kept in localStorage so they apply before anything else loads
+
+import {t} from './i18n.js';
+
+const SETTINGS_KEY = 'geniGuideSL_settings';
+
+// Sampling options used unless a mode or the user sets their own
+export const DEFAULT_GENERATION_OPTIONS = {temperature: 0.7, topK: 40};
+
+// Context sizes on offer; maxTokens covers the prompt and the reply together
+export const MAX_TOKEN_CHOICES = [1024, 2048, 4096];
+
+// Where answers are generated: the model on this device, or an
+// OpenAI-compatible server on the network (see inference.js)
+export const BACKEND_CHOICES = ['device', 'server'];
+
+// What happens when a question fits another mode better (see routing.js):
+// offer to answer it there, answer it there straight away, or neither
+export const ROUTING_CHOICES = ['suggest', 'auto', 'off'];
+
+export const DEFAULT_SETTINGS = {
+  language: 'en',
+  backend: 'device',
+  // Model variant from data/models.json to run on this device, or 'auto' to
+  // pick the best one the device can run
+  deviceModel: 'auto',
+  serverUrl: '',
+  serverModel: '',
+  modeRouting: 'suggest',
+  // Read answers aloud as they arrive, and the voice for each answer
+  // language (a voiceURI; missing ones are picked automatically)
+  readAloud: false,
+  voices: {},
+  // A null temperature or topK keeps each mode's own value
+  temperature: null,
+  topK: null,
+  maxTokens: 2048,
+  randomSeed: 0,
+  deterministic: false,
+  // Temperature and topK for single modes, keyed by mode id
+  modeOverrides: {}
+};
+
+/**
+ * Load saved settings, filling in defaults for anything missing
+ */
+export function loadSettings() {
+  let settings;
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    settings = {...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {})};
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return {...DEFAULT_SETTINGS, modeOverrides: {}, voices: {}};
+  }
+
+  // A context size the app no longer offers would not fit the model
+  if (!MAX_TOKEN_CHOICES.includes(settings.maxTokens)) {
+    settings.maxTokens = DEFAULT_SETTINGS.maxTokens;
+  }
+  if (!BACKEND_CHOICES.includes(settings.backend)) {
+    settings.backend = DEFAULT_SETTINGS.backend;
+  }
+  if (!ROUTING_CHOICES.includes(settings.modeRouting)) {
+    settings.modeRouting = DEFAULT_SETTINGS.modeRouting;
+  }
+  if (!settings.modeOverrides || typeof settings.modeOverrides !== 'object') {
+    settings.modeOverrides = {};
+  }
+  if (!settings.voices || typeof settings.voices !== 'object') {
+    settings.voices = {};
+  }
+  return settings;
+}
+
+/**
+ * Save settings
+ */
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Settings with every generation option back at its default. The interface
+ * language, mode routing, reading aloud, the model choice and the inference
+ * server setup are kept.
+ */
+export function resetGenerationSettings(settings) {
+  return {
+    ...DEFAULT_SETTINGS,
+    modeOverrides: {},
+    language: settings.language,
+    modeRouting: settings.modeRouting,
+    readAloud: settings.readAloud,
+    voices: settings.voices,
+    backend: settings.backend,
+    deviceModel: settings.deviceModel,
+    serverUrl: settings.serverUrl,
+    serverModel: settings.serverModel
+  };
+}
+
+/**
+ * Check temperature and topK values (from a form, a mode file or the
+ * manifest), keeping only the ones that are set. Throws an Error with a
+ * readable message for values out of range.
+ */
+export function validateGenerationParams(data) {
+  const params = {};
+  if (!data || typeof data !== 'object') {
+    return params;
+  }
+  if (data.temperature !== undefined && data.temperature !== null && data.temperature !== '') {
+    const temperature = Number(data.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      throw new Error(t('modeEditor.errorTemperature'));
+    }
+    params.temperature = temperature;
+  }
+  if (data.topK !== undefined && data.topK !== null && data.topK !== '') {
+    const topK = Number(data.topK);
+    if (!Number.isInteger(topK) || topK < 1 || topK > 100) {
+      throw new Error(t('modeEditor.errorTopK'));
+    }
+    params.topK = topK;
+  }
+  return params;
+}
+
+/**
+ * The model options for a mode's responses. Later sources win: the app
+ * defaults, the mode's own params, the user's settings for all modes, then
+ * the user's settings for this mode. Deterministic answers use greedy
+ * decoding (topK 1) so the fixed seed gives the same answer every time.
+ */
+export function resolveGenerationOptions(settings, mode) {
+  const options = {...DEFAULT_GENERATION_OPTIONS, ...(mode ? mode.params : {})};
+  if (settings.temperature !== null) {
+    options.temperature = settings.temperature;
+  }
+  if (settings.topK !== null) {
+    options.topK = settings.topK;
+  }
+  Object.assign(options, mode ? settings.modeOverrides[mode.id] : {});
+  if (settings.deterministic) {
+    options.topK = 1;
+  }
+  return {...options, maxTokens: settings.maxTokens, randomSeed: settings.randomSeed};
+}
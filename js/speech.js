@@ -0,0 +1,279 @@
+// Speaking and listening: questions dictated through the browser's speech
+// recognition (on the device where the browser can do that, since the app
+// is meant to work offline) and answers read aloud with speechSynthesis, a
+// sentence at a time as they stream in. Both are optional; the interface
+// hides them where the browser has neither.
+
+import {t} from './i18n.js';
+
+// Recognition languages for the app's languages. Browsers have no Krio,
+// Mende or Temne recognizer; Krio is close enough to English to come through
+// as English words, so every language listens in English.
+const RECOGNITION_LANGUAGES = {en: 'en-GB', kri: 'en-GB', men: 'en-GB', tem: 'en-GB'};
+
+// Voices for languages no voice speaks: the nearest one that does
+const VOICE_FALLBACKS = {kri: 'en', men: 'en', tem: 'en'};
+
+// Recognition errors the user can do something about; others are reported
+// with the browser's own code
+const RECOGNITION_ERRORS = ['not-allowed', 'offline', 'language-not-supported', 'audio-capture'];
+
+// A sentence ends at ., ! or ? followed by a space, or at a line break. A
+// full stop after a number is left alone, so "1. " in a list is not read on
+// its own.
+const SENTENCE_END = /(?<!\d)[.!?…](?=\s)|\n/;
+
+/**
+ * The browser's speech recognition class, or null
+ */
+function recognitionClass() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+/**
+ * Whether questions can be dictated in this browser
+ */
+export function isRecognitionSupported() {
+  return Boolean(recognitionClass());
+}
+
+/**
+ * Whether answers can be read aloud in this browser
+ */
+export function isSynthesisSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+    typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * An Error with a `code` naming the recognition problem, with a message in
+ * the interface language
+ */
+function recognitionError(code) {
+  const known = RECOGNITION_ERRORS.includes(code);
+  const error = new Error(known ? t(`voice.error.${code}`) : t('voice.error.failed', {error: code}));
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether recognition in a language can run on the device, installing the
+ * language pack if the browser offers one. Browsers without the on-device
+ * API report false.
+ */
+async function canRecognizeOnDevice(Recognition, lang) {
+  if (typeof Recognition.available !== 'function') {
+    return false;
+  }
+  try {
+    const options = {langs: [lang], processLocally: true};
+    let status = await Recognition.available(options);
+    if (status === 'downloadable' && typeof Recognition.install === 'function' && navigator.onLine) {
+      status = await Recognition.install(options) ? 'available' : status;
+    }
+    return status === 'available';
+  } catch (error) {
+    console.error('Error checking on-device speech recognition:', error);
+    return false;
+  }
+}
+
+/**
+ * Listen for a question in a language (an app language code). `onText` gets
+ * the words heard so far each time they change; `onEnd` is called once
+ * listening stops, with an Error (see recognitionError) if it failed, or
+ * null. Recognition runs on the device where the browser can; otherwise it
+ * needs a connection and fails with code 'offline' without one. Resolves to
+ * {stop}.
+ */
+export async function startRecognition(language, {onText, onEnd}) {
+  const Recognition = recognitionClass();
+  const lang = RECOGNITION_LANGUAGES[language] || RECOGNITION_LANGUAGES.en;
+  const onDevice = await canRecognizeOnDevice(Recognition, lang);
+  if (!onDevice && typeof navigator !== 'undefined' && navigator.onLine === false) {
+    throw recognitionError('offline');
+  }
+
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+  if (onDevice) {
+    recognition.processLocally = true;
+  }
+
+  let failure = null;
+  recognition.onresult = (event) => {
+    const words = [...event.results].map(result => result[0].transcript).join('');
+    onText(words.trim());
+  };
+  recognition.onerror = (event) => {
+    // Silence and stopping are not failures
+    if (event.error !== 'no-speech' && event.error !== 'aborted') {
+      const code = event.error === 'network' ? 'offline' :
+        event.error === 'service-not-allowed' ? 'not-allowed' : event.error;
+      failure = recognitionError(code);
+    }
+  };
+  recognition.onend = () => onEnd(failure);
+  recognition.start();
+  return {stop: () => recognition.stop()};
+}
+
+/**
+ * The voices this browser offers. The list may be empty until the browser
+ * has loaded it; 'voiceschanged' fires on speechSynthesis when it has.
+ */
+export function listVoices() {
+  return isSynthesisSupported() ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Whether a voice speaks a language (an app language code)
+ */
+function speaksLanguage(voice, language) {
+  return voice.lang.toLowerCase().split(/[-_]/)[0] === language;
+}
+
+/**
+ * The voices to offer for a language: those that speak it or, for languages
+ * no voice speaks, its fallback. Voices on the device (which work offline)
+ * come first.
+ */
+export function voicesFor(voices, language) {
+  let matching = voices.filter(voice => speaksLanguage(voice, language));
+  if (matching.length === 0 && VOICE_FALLBACKS[language]) {
+    matching = voices.filter(voice => speaksLanguage(voice, VOICE_FALLBACKS[language]));
+  }
+  return matching.sort((a, b) => Number(b.localService) - Number(a.localService));
+}
+
+/**
+ * The voice to read a language with: the one chosen in the settings if the
+ * browser still has it, otherwise the first of voicesFor. Null leaves the
+ * choice to the browser.
+ */
+export function chooseVoice(voices, language, voiceURI = '') {
+  return voices.find(voice => voice.voiceURI === voiceURI) || voicesFor(voices, language)[0] || null;
+}
+
+/**
+ * How a voice is named in the settings
+ */
+export function voiceLabel(voice) {
+  return voice.localService ?
+    `${voice.name} (${voice.lang})` :
+    t('voice.needsInternet', {name: voice.name, lang: voice.lang});
+}
+
+/**
+ * Markdown reduced to the words to say: no code, markup, link addresses or
+ * source numbers
+ */
+export function speakableText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|\*|_|~~)(?=\S)([^*_~]*?\S)\1/g, '$2')
+    .replace(/^\s*\|?[\s:|-]+\|?\s*$/gm, '')
+    .replace(/\|/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read text aloud, a sentence at a time, as it arrives. `push` adds text
+ * (complete sentences are queued to be spoken straight away), `finish`
+ * speaks whatever is left, and `pause`, `resume` and `stop` control the
+ * reading. `onStateChange` is told 'speaking', 'paused' or 'idle' (once
+ * everything is spoken or reading stopped). The browser reads one thing at
+ * a time, so stop one reader before starting another.
+ */
+export function createSpeaker({voice = null, onStateChange = () => {}} = {}) {
+  const synth = window.speechSynthesis;
+  let buffer = '';
+  let pending = 0;
+  let finished = false;
+  let stopped = false;
+  let state = 'idle';
+
+  const setState = (next) => {
+    if (next !== state) {
+      state = next;
+      onStateChange(state);
+    }
+  };
+
+  const speak = (text) => {
+    const words = speakableText(text);
+    if (!words || stopped) {
+      return;
+    }
+    const utterance = new window.SpeechSynthesisUtterance(words);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    utterance.onend = utterance.onerror = () => {
+      pending -= 1;
+      if (pending === 0 && finished && !stopped) {
+        setState('idle');
+      }
+    };
+    pending += 1;
+    synth.speak(utterance);
+    if (state === 'idle') {
+      setState('speaking');
+    }
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+    push(text) {
+      buffer += text;
+      let match = buffer.match(SENTENCE_END);
+      while (match) {
+        speak(buffer.slice(0, match.index + 1));
+        buffer = buffer.slice(match.index + 1);
+        match = buffer.match(SENTENCE_END);
+      }
+    },
+    finish() {
+      finished = true;
+      speak(buffer);
+      buffer = '';
+      if (pending === 0 && !stopped) {
+        setState('idle');
+      }
+    },
+    pause() {
+      if (state === 'speaking') {
+        synth.pause();
+        setState('paused');
+      }
+    },
+    resume() {
+      if (state === 'paused') {
+        synth.resume();
+        setState('speaking');
+      }
+    },
+    stop() {
+      if (stopped) {
+        return;
+      }
+      stopped = true;
+      buffer = '';
+      synth.cancel();
+      setState('idle');
+    }
+  };
+}
@@ -0,0 +1,295 @@
+// Keeping saved data safe: the schema version of what is stored and the
+// migrations that bring older data up to it, recovery of damaged records,
+// watching how much storage is left (archiving old conversations, and as a
+// last resort deleting archived ones, when it runs out) and asking the
+// browser not to clear the app's data.
+
+import {
+  archiveConversation,
+  createConversation,
+  deleteArchivedConversation,
+  generateTitle,
+  loadArchivedConversations,
+  loadConversations,
+  saveConversation
+} from './conversations.js';
+import {normalizeConversation} from './export.js';
+
+const SCHEMA_KEY = 'geniGuideSL_schemaVersion';
+
+// Keys used before conversations moved to IndexedDB
+const LEGACY_HISTORY_KEY = 'geniGuideSL_history';
+const LEGACY_MEMORY_KEY = 'geniGuideSL_memory';
+
+// A message in the old history: {"role": "...", "content": "..."}
+const LEGACY_MESSAGE_PATTERN = /\{\s*"role"\s*:\s*"(user|assistant)"\s*,\s*"content"\s*:\s*("(?:[^"\\]|\\.)*")/g;
+
+// Where the messages of a mode start: "<mode>": [
+const LEGACY_MODE_PATTERN = /[{,]\s*"([\w-]+)"\s*:\s*\[/g;
+
+// Storage is low when less than this is free, or this share of it is used
+const LOW_STORAGE_MB = 50;
+const LOW_STORAGE_SHARE = 0.95;
+
+// Conversations not changed for this long are archived when storage is low
+export const ARCHIVE_AFTER_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a save fails for lack of space, at least this many of the oldest
+// conversations are archived (or, with none left to archive, archived ones
+// deleted) to make room
+const URGENT_ARCHIVE_COUNT = 10;
+const URGENT_PRUNE_COUNT = 5;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Import the single chat per mode kept in localStorage as conversations
+ * ({mode: [{role, content}]}, with the running memory under its own key)
+ */
+async function importLegacyHistory() {
+  const savedHistory = localStorage.getItem(LEGACY_HISTORY_KEY);
+  if (!savedHistory) {
+    return;
+  }
+
+  const history = parseLegacyHistory(savedHistory);
+  let memory = {};
+  try {
+    memory = JSON.parse(localStorage.getItem(LEGACY_MEMORY_KEY)) || {};
+  } catch (error) {
+    // The memory is only a summary; it is rebuilt as the chat goes on
+    console.error('Error reading old chat memory:', error);
+  }
+
+  const imported = [];
+  Object.keys(history).forEach(mode => {
+    const messages = Array.isArray(history[mode]) ? history[mode] : [];
+    const firstQuestion = messages.find(message => message && message.role === 'user');
+    if (!firstQuestion) {
+      return;
+    }
+    const conversation = createConversation(mode);
+    conversation.messages = messages;
+    conversation.title = generateTitle(firstQuestion.content);
+    conversation.memory = memory[mode] || null;
+    const checked = normalizeConversation(conversation, {salvage: true});
+    if (checked) {
+      imported.push(checked);
+    }
+  });
+
+  for (const conversation of imported) {
+    await saveConversation(conversation);
+  }
+  localStorage.removeItem(LEGACY_HISTORY_KEY);
+  localStorage.removeItem(LEGACY_MEMORY_KEY);
+}
+
+// Migrations in order; each brings stored data from the version before up to
+// its own
+const MIGRATIONS = [
+  // 1: conversations moved from localStorage to IndexedDB
+  {version: 1, migrate: importLegacyHistory}
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the old history. If it is damaged (cut short when storage ran out,
+ * say), the messages that can still be read are kept.
+ */
+export function parseLegacyHistory(text) {
+  try {
+    const history = JSON.parse(text);
+    if (history && typeof history === 'object' && !Array.isArray(history)) {
+      return history;
+    }
+  } catch (error) {
+    console.error('Old chat history is damaged, keeping what can be read:', error);
+  }
+
+  const history = {};
+  const starts = [...text.matchAll(LEGACY_MODE_PATTERN)];
+  starts.forEach((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].index : text.length;
+    const messages = [];
+    for (const match of text.slice(start.index, end).matchAll(LEGACY_MESSAGE_PATTERN)) {
+      try {
+        messages.push({role: match[1], content: JSON.parse(match[2])});
+      } catch (error) {
+        // A broken escape in this message; the others are still usable
+      }
+    }
+    if (messages.length > 0) {
+      history[start[1]] = messages;
+    }
+  });
+  return history;
+}
+
+/**
+ * The schema version of the stored data; 0 before versions were recorded
+ */
+function storedSchemaVersion() {
+  const version = parseInt(localStorage.getItem(SCHEMA_KEY), 10);
+  return version > 0 ? version : 0;
+}
+
+/**
+ * Bring stored data up to SCHEMA_VERSION. A migration that fails is logged
+ * and tried again on the next start; the ones after it wait until it has
+ * run. Data from a newer version of the app is left alone.
+ */
+export async function runMigrations() {
+  const from = storedSchemaVersion();
+  if (from > SCHEMA_VERSION) {
+    console.error(`Saved data is from a newer version of the app (schema ${from}); not migrating`);
+    return;
+  }
+
+  for (const {version, migrate} of MIGRATIONS.filter(migration => migration.version > from)) {
+    try {
+      await migrate();
+      localStorage.setItem(SCHEMA_KEY, String(version));
+    } catch (error) {
+      console.error(`Error migrating saved data to schema ${version}:`, error);
+      break;
+    }
+  }
+}
+
+/**
+ * Load the saved conversations. Damaged ones are repaired as far as
+ * possible (see normalizeConversation) and saved that way with their next
+ * change; those that cannot be read at all are skipped but kept.
+ */
+export async function loadStoredConversations() {
+  const list = [];
+  (await loadConversations()).forEach(record => {
+    const conversation = normalizeConversation(record, {salvage: true});
+    if (conversation) {
+      list.push(conversation);
+    } else {
+      console.error('Skipping unreadable conversation:', record && record.id);
+    }
+  });
+  return list;
+}
+
+/**
+ * The storage the browser allows the app and how much of it is used, in MB,
+ * or null where the browser does not say
+ */
+export async function estimateStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  try {
+    const {quota, usage} = await navigator.storage.estimate();
+    if (!(quota > 0)) {
+      return null;
+    }
+    return {quotaMB: Math.floor(quota / BYTES_PER_MB), usedMB: Math.ceil((usage || 0) / BYTES_PER_MB)};
+  } catch (error) {
+    console.error('Error estimating storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether storage estimated by estimateStorage is running low
+ */
+export function isStorageLow(storage) {
+  return Boolean(storage) &&
+    (storage.quotaMB - storage.usedMB < LOW_STORAGE_MB || storage.usedMB >= storage.quotaMB * LOW_STORAGE_SHARE);
+}
+
+/**
+ * Whether an error means storage is full (from localStorage or IndexedDB)
+ */
+export function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+let persistRequest = null;
+
+/**
+ * Ask the browser to keep the app's data when the device runs short of
+ * space. Asked once per visit; resolves to whether the data is kept.
+ */
+export function requestPersistentStorage() {
+  if (!persistRequest) {
+    persistRequest = (async () => {
+      if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) {
+        return false;
+      }
+      try {
+        return await navigator.storage.persisted() || await navigator.storage.persist();
+      } catch (error) {
+        console.error('Error requesting persistent storage:', error);
+        return false;
+      }
+    })();
+  }
+  return persistRequest;
+}
+
+/**
+ * Whether the browser has agreed to keep the app's data, without asking
+ */
+export async function isStoragePersisted() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persisted) {
+    return false;
+  }
+  try {
+    return await navigator.storage.persisted();
+  } catch (error) {
+    console.error('Error checking persistent storage:', error);
+    return false;
+  }
+}
+
+/**
+ * The conversations to archive, oldest first: those not pinned, not in
+ * `keepIds` (open or in use) and not changed for ARCHIVE_AFTER_DAYS. When a
+ * save has failed for lack of space (`urgent`), at least the
+ * URGENT_ARCHIVE_COUNT oldest are archived whatever their age.
+ */
+export function conversationsToArchive(list, keepIds, {urgent = false, now = Date.now()} = {}) {
+  const candidates = list
+    .filter(conversation => !conversation.pinned && !keepIds.includes(conversation.id))
+    .sort((a, b) => a.updatedAt - b.updatedAt);
+  const old = candidates.filter(conversation => now - conversation.updatedAt >= ARCHIVE_AFTER_DAYS * DAY_MS);
+  return urgent && old.length < URGENT_ARCHIVE_COUNT ? candidates.slice(0, URGENT_ARCHIVE_COUNT) : old;
+}
+
+/**
+ * Make room: archive old conversations (see conversationsToArchive) and,
+ * when space has run out and nothing could be archived, delete the oldest
+ * archived ones. Returns {archived: [ids], pruned: count}.
+ */
+export async function freeUpSpace(list, keepIds, {urgent = false} = {}) {
+  const archived = [];
+  for (const conversation of conversationsToArchive(list, keepIds, {urgent})) {
+    try {
+      await archiveConversation(conversation);
+      archived.push(conversation.id);
+    } catch (error) {
+      console.error('Error archiving conversation:', error);
+      break;
+    }
+  }
+
+  let pruned = 0;
+  if (urgent && archived.length === 0) {
+    const oldest = (await loadArchivedConversations())
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(0, URGENT_PRUNE_COUNT);
+    for (const {id} of oldest) {
+      await deleteArchivedConversation(id);
+      pruned += 1;
+    }
+  }
+  return {archived, pruned};
+}
@@ -0,0 +1,176 @@
+// GeniGuideSL service worker: keeps the app shell and the MediaPipe runtime
+// in Cache Storage so the app starts with no network at all. The Gemma model
+// is downloaded and stored by the page itself (see js/model-store.js).
+
+// Bump this whenever any file in APP_SHELL_FILES changes so clients pick up the update
+const CACHE_VERSION = 'v38';
+const CACHE_PREFIX = 'geniGuideSL-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+
+const APP_SHELL_FILES = [
+  './',
+  'index.html',
+  'index.js',
+  'js/agronomy.js',
+  'js/app-db.js',
+  'js/conversations.js',
+  'js/cv.js',
+  'js/device.js',
+  'js/diagnostics.js',
+  'js/emergency.js',
+  'js/export.js',
+  'js/i18n.js',
+  'js/idb.js',
+  'js/inference-worker.js',
+  'js/inference.js',
+  'js/knowledge.js',
+  'js/locales/en.js',
+  'js/locales/kri.js',
+  'js/markdown.js',
+  'js/model-store.js',
+  'js/modes.js',
+  'js/offline.js',
+  'js/prompt.js',
+  'js/quiz.js',
+  'js/routing.js',
+  'js/safety.js',
+  'js/settings.js',
+  'js/sha256.js',
+  'js/speech.js',
+  'js/storage.js',
+  'manifest.webmanifest',
+  'data/modes.json',
+  'data/agronomy.json',
+  'data/emergency-rules.json',
+  'data/models.json',
+  'data/safety-rules.json',
+  'data/knowledge/index.json',
+  'data/knowledge/farming-crop-guide.json',
+  'data/knowledge/health-first-aid.json',
+  'data/knowledge/law-rights-guide.json',
+  'data/knowledge/study-science-notes.json',
+  'assets/geneline-x-pic.jpg',
+  // From @mediapipe/tasks-genai 0.10.29, the version the README vendors
+  'vendor/tasks-genai/genai_bundle.mjs',
+  'vendor/tasks-genai/wasm/genai_wasm_internal.js',
+  'vendor/tasks-genai/wasm/genai_wasm_internal.wasm',
+  'vendor/tasks-genai/wasm/genai_wasm_nosimd_internal.js',
+  'vendor/tasks-genai/wasm/genai_wasm_nosimd_internal.wasm'
+];
+
+// Files that can be updated on the server between app versions (safety rules
+// that should not wait for a release). They come from the network when it is
+// available, refreshing the cached copy used offline.
+const NETWORK_FIRST_FILES = ['data/emergency-rules.json', 'data/safety-rules.json'];
+
+/**
+ * Resolve a path relative to the service worker scope
+ */
+function scopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Report whether the whole app shell is available offline
+ */
+async function getCacheStatus() {
+  const shellCache = await caches.open(SHELL_CACHE);
+  const cachedShell = await Promise.all(
+    APP_SHELL_FILES.map(path => shellCache.match(scopedUrl(path))));
+
+  return {
+    version: CACHE_VERSION,
+    shellReady: cachedShell.every(Boolean)
+  };
+}
+
+/**
+ * Fetch from the network, updating the cache, and fall back to the cache offline
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request, {cache: 'no-cache'});
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, {ignoreSearch: true});
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(APP_SHELL_FILES.map(scopedUrl));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    // Drop caches left behind by previous versions
+    const keep = [SHELL_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && !keep.includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  // Resumed model downloads go straight to the network
+  if (request.headers.has('Range') || request.cache === 'no-store') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (NETWORK_FIRST_FILES.some(path => scopedUrl(path) === url.origin + url.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  // Cache first: everything else we serve is versioned through CACHE_VERSION
+  event.respondWith((async () => {
+    const cached = await caches.match(request, {ignoreSearch: true});
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      return await fetch(request);
+    } catch (error) {
+      // Navigations while offline fall back to the cached app shell
+      if (request.mode === 'navigate') {
+        const shell = await caches.match(scopedUrl('index.html'));
+        if (shell) {
+          return shell;
+        }
+      }
+      throw error;
+    }
+  })());
+});
+
+self.addEventListener('message', event => {
+  const port = event.ports[0];
+  if (!port) {
+    return;
+  }
+
+  if (event.data && event.data.type === 'GET_CACHE_STATUS') {
+    getCacheStatus().then(status => port.postMessage(status));
+  }
+});